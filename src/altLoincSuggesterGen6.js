@@ -19,69 +19,273 @@ const path = require('path');
 const excUtil = require('./lib/exceljsUtil');
 const util = require('util');
 const ucumUtil = require('@lhncbc/ucum-lhc').UcumLhcUtils.getInstance();
-const {writeCSV, delimitedToList, copyFields, getSort, isNEU} = require('./lib/common');
-const {getDefaultSpecimen} = require('./lib/labNameParser');
+const {writeCSV, getCSVWriter, delimitedToList, copyFields, getSort, isNEU, getNumRecords} = require('./lib/common');
+const csvReader = require('./lib/csvReader');
+const {getNdjsonWriter} = require('./lib/resultsNdjsonExporter');
+const {isFlagged, getReportEntry, writeHtmlReport} = require('./lib/htmlReportWriter');
+const {getColumnProfile} = require('./lib/columnProfile');
+const wbStyler = require('./lib/resultsWorkbookStyler');
+const {getDefaultSpecimen, setRuleTables} = require('./lib/labNameParser');
+const {loadRuleTables} = require('./lib/ruleTableLoader');
+const ruleBasedUnitMapper = require('./lib/pcornetRuleBasedUnit2UcumMapper');
+const {getLabNameNormalizer} = require('./lib/labNameNormalizer');
+const {DEFAULT_TRIAGE_THRESHOLDS, getAlgoConfidence, getTriage} = require('./lib/algoConfidence');
+const {COMMENSURABILITY, getUnitConversion, formatUnitConversion} = require('./lib/ucumUnitConverter');
 const loincUtils = require('./lib/loincUtils');
+const loincMapTo = require('./lib/loincMapTo');
 const PartType = loincUtils.PartTypeList; // part types plus CLASS
-const addPartSynonyms = require('./lib/loincPartSynonyms').addPartSynonyms;
+const {addPartSynonyms, loadPartSynonymTable, getDefaultPartSynonymTable} = require('./lib/loincPartSynonyms');
 const pcornetValidationMgrHandle = require('./pcornetValidationMgr'); // used to initialize pcornetValidationMgr below
+const {SGG_FIELDS, OUTPUT_FIELDS} = require('./lib/outputFields');
 
 const INC_CATEGORY = 'Inclusion category'; // use value "non qn" to exclude a record
-const SGG_FIELDS = ['SGG_LOINC', 'SGG_LONG_COMMON_NAME', 'SGG_OTHER'];
+// For the lexical matching, see executeLexicalMatching(): the mapped-to LOINC is suspicious if less than half of the
+// raw name (by the token IDF) is found in its text; the candidates need a better score.
+const LEXICAL_POOR_MATCH = 0.5;
+const LEXICAL_GOOD_MATCH = 0.6;
+const LEXICAL_RELAXATION = 'lexical-match';
+const CLASS_DEFAULT_DISAGREEMENT = 'class-default-specimen-disagrees'; // a marker in RULE_RELAXED_BY, no correction
 
 // To be initialized in main, see loincUtils.getLoincTableUtil() for more details.
 let loincTableUtil, loincToParts, getStdPartName, getUnitProperties, ucumMapperMgr, unitBasedValidationHelper,
-  getLoincForParts, hasLoincWithPart, pcornetValidationMgr;
+  getLoincForParts, hasLoincWithPart, pcornetValidationMgr, labNameNormalizer;
+let mapTo = {}; // LOINC# to the LOINC#s it maps to, from the LOINC MapTo.csv file, see lib/loincMapTo.js
+let triageThresholds = DEFAULT_TRIAGE_THRESHOLDS; // see lib/algoConfidence.js
+// SPECIMEN_SOURCE values that can't be converted by getStdPartName(). Per Clem, "UN" is likely unknown
+// May be replaced by the "specimen-source-mapping" rule table, see lib/ruleTableLoader.js
+let pcnSpcmMapping = {SER_PLAS: 'Ser/Plas', BODY_FLD: 'Body fld', PLR_FLD: 'Plr fld', RESPIRATOR: 'Respiratory', UN: ''};
+
+// The built-in general rule, the last resort, always the last of the rules, see executeGeneralRule()
+const GENERAL_RULE = { _ruleType: 'GeneralReplace', _rowNum: 99999, RULE_NUM: 99999,
+  description: 'As the last resort, just use row.inferred to try finding corrections. Must be the last'
+};
+// The rules run by executeRules(): the rules from the alt-loinc-suggest-guiding-table (if any, see
+// lib/ruleTableLoader.js), followed by the general rule. Set in initAsyncGlobals().
+let guidingRules = [GENERAL_RULE];
+// rule._ruleType to the executor function, see executeRulesForRecord(). More may be added by registerRuleExecutor()
+const ruleExecutors = {
+  // check the lastest gen-4 version for these functions, they have been replaced by the one,
+  // executeGeneralRule().
+  //PROPERTY: executePropertyRule, // Got one issue, row #1818, ionized balanced issue, but resolved after removing .ionized from the modifier list
+  // SCALE: executeScaleRule,
+  // METHOD: executeMethodRule, // rule 42 covered by rule 77, should be fine.
+  //SYSTEM: executeSystemRule,
+  //TIME: executeTimeRule, // fine to remove this, general rule captures it.
+  // SpecimenInName: executeParsedSpecimenRule, // This is hooked in using a "fake" rule #99990
+  // ParsedTime: executeParsedTimeRule,         // This is hooked in using a "fake" rule #99991
+  // ComponentModifier: executeModifierRule,    // This is hooked in using a "fake" rule #99992, now handled by the general rule
+  Replace: executeReplaceRule,               // the rules in the guiding table, by default
+  GeneralReplace: executeGeneralRule         // Use as the last resort, rule #99999
+};
 
 let globalOutputDir; // to be populated later
+let globalMappingFiles; // the combined mapping file and the LOINC file, for the run info, populated later
+// The counts of the stages (see logStage()) added across the chunks when streaming, see validateAndSuggestStream()
+let streamStageCounts = null;
 
 // The values of these fields are generated and should be cleared before processing.
 let COMPUTED_FIELDS = [
   ... SGG_FIELDS,
-  // inferred has an entry for each part that has inferred values, each entry is a hash {names, types}
-  // where types list corresponds to the names list, with values "parsed" or "inferred". The types are not
-  // being used in any way but can potentially be useful, and more types may be added.
-  // In final results file, all inferred parts are merged into two string fields: parsed_parts, inferred_parts
-  'inferred', 'inferred_parts', 'parsed_parts', 'ucum_converted',
+  // inferred has an entry for each part that has inferred values, each entry is a hash {names, types, sources}
+  // where types list corresponds to the names list, with values "parsed", "inferred", or "default" (the default
+  // specimen, see executeDefaultSpecimen()). More types may be added.
+  // In final results file, all inferred parts are merged into a string field per type: parsed_parts, inferred_parts,
+  // default_parts
+  'inferred', 'inferred_parts', 'parsed_parts', 'default_parts', 'ucum_converted',
+  // the raw name normalized (abbreviations expanded, etc.) for the parsing, see lib/labNameNormalizer.js
+  'NORMALIZED_LAB_NAME',
   'ALGO_MAPPING_ISSUES', 'ALGO_JUDGEMENT',
-  'RULE_RELAXED_BY', 'TARGET_TERM'
+  'RULE_RELAXED_BY', 'TARGET_TERM',
+  // structured details kept for structured (NDJSON) output, see resultsNdjsonExporter.js:
+  // issue_confidences: issue type to confidence; candidates: the best match and other matches found with their
+  // scores and relaxations; target_terms: the target terms (as part maps) tried by the rules; property_conflicts:
+  // the units whose UCUM dimensions imply a property other than the mapped ones, see pcornetValidationMgr.js
+  'issue_confidences', 'candidates', 'target_terms', 'property_conflicts',
+  // the confidence of the judgement and the triage based on it, see assessConfidence()
+  'ALGO_CONFIDENCE', 'ALGO_TRIAGE',
+  // the conversion of the raw unit to the example unit of SGG_LOINC, see setUnitConversions()
+  'SGG_UNIT_CONVERSION',
+  // the RULE_NUMs of the rules fired for the row, see executeRulesForRecord()
+  'RULES_FIRED'
 ];
 
 
 module.exports = {
+  OUTPUT_FIELDS, // see lib/outputFields.js
   initAsyncGlobals,
+  registerRuleExecutor,
   validateAndSuggest,
-  updateResultsFile
+  validateAndSuggestStream,
+  updateResultsFile,
+  updateResultsDelimitedFile
 }
 
 
 function validateAndSuggest(pcnRows) {
   preProcessAndValidate(pcnRows);
-  // There used to be a few dozens of rules but have been abstracted into one general rule.
-  // But keeping the structure/workflow in case more rules will need to be added.
-  // let rules = loadAltLoincRules(combinedMappingRuleXlsx, 'alt-loinc-suggest-guiding-table', getStdPartName);
-  let rules = [{ _ruleType: 'GeneralReplace', _rowNum: 99999, RULE_NUM: 99999,
-    description: 'As the last resort, just use row.inferred to try finding corrections. Must be the last'
-  }];
+  // There used to be a few dozens of rules but have been abstracted into one general rule. More rules may be
+  // declared in the alt-loinc-suggest-guiding-table, see initAsyncGlobals().
+  let rules = guidingRules;
   executeRules(rules, pcnRows);
+  executeLexicalMatching(pcnRows);
+  executeDefaultSpecimen(rules, pcnRows);
+  checkMappedLoincStatus(pcnRows);
+  setUnitConversions(pcnRows);
+  assessConfidence(pcnRows);
   pcnRows.forEach(row => reformatValuesToString(row));
 
   return pcnRows;
 }
 
 
+/**
+ * Validate and suggest for the rows in the given delimited (CSV/TSV) file, in a streaming fashion: the rows
+ * are read, processed (see validateAndSuggest()), and written to the output file in chunks, so that files
+ * much larger than what can be held in memory can be processed. The output file is the same as what
+ * updateResultsDelimitedFile() would write for the input file.
+ * initAsyncGlobals() must have been called before calling this function.
+ * @param inputFile the input data file, CSV or TSV (see delimiter below)
+ * @param outputFile the output file name
+ * @param opts optional, with the following optional fields:
+ *        - delimiter: the delimiter for both the input and output files, default to comma
+ *        - chunkSize: the number of rows to process at a time, default to 5000
+ *        - showProgress: whether to show the progress on stderr, default to true
+ *        - checkFirstChunk: optional function that takes the rows in the first chunk (with the standard column
+ *          names, see columnProfile below) and the rows as loaded from the input file, e.g., for checking the
+ *          required columns.
+ *        - ndjsonFile: optional, if specified, the structured results are also written to this file, see
+ *          resultsNdjsonExporter.js for details.
+ *        - columnProfile: optional, the column profile for the input file, see lib/columnProfile.js. The rows
+ *          are processed with the standard column names, and written with the input (local) column names.
+ *        - htmlReportFile: optional, if specified, the review report of the flagged rows is written to this file,
+ *          see lib/htmlReportWriter.js for details.
+ * @return {Promise<number>} the number of rows processed.
+ */
+async function validateAndSuggestStream(inputFile, outputFile, opts) {
+  let {delimiter = ',', chunkSize = 5000, showProgress = true, checkFirstChunk, ndjsonFile, htmlReportFile,
+    columnProfile = getColumnProfile()} = opts || {};
+  let reportEntries = []; // only the flagged rows are kept for the review report
+  let numRecordsCol = columnProfile.toLocal('NUM_RECORDS');
+  let writer, colSet, outputFields;
+  let ndjsonWriter = ndjsonFile? getNdjsonWriter(ndjsonFile): null;
+  let statsCollector = getStatsCollector('ALGO_JUDGEMENT');
+  let startTime = Date.now();
+  streamStageCounts = {}; // the stage counts are logged once at the end, not per chunk
+
+  let processChunk = (inputRows, startIndex, progress) => {
+    // the processing changes some input fields, keep the input rows as is.
+    let pcnRows = inputRows.map(row => columnProfile.toStandardRow(row));
+    if(! writer) { // the columns are known only when the first chunk is read
+      if(checkFirstChunk) checkFirstChunk(pcnRows, inputRows);
+      let columns = Object.keys(inputRows[0]);
+      colSet = new Set(columns);
+      outputFields = OUTPUT_FIELDS.filter(f => colSet.has(columnProfile.toLocal(f)));
+      writer = getCSVWriter(outputFile, delimiter, columns);
+    }
+    pcnRows.forEach((row, index) => {
+      if(!row.hasOwnProperty('ROW_NUM')) {
+        row.ROW_NUM = startIndex + index + 2; // otherwise it would be numbered within the chunk.
+      }
+    });
+    validateAndSuggest(pcnRows);
+    if(htmlReportFile) {
+      reportEntries.push(...pcnRows.filter(isFlagged).map(getReportEntry));
+    }
+
+    let outRows = inputRows.map((inputRow, index) => {
+      statsCollector.add(outputFields.includes('ALGO_JUDGEMENT')? pcnRows[index].ALGO_JUDGEMENT: 'COL-NOT-EXIST',
+        getNumRecords({NUM_RECORDS: inputRow[numRecordsCol]}));
+      return getResultsRow(inputRow, pcnRows[index], outputFields, columnProfile);
+    });
+    if(showProgress) {
+      let rowCount = startIndex + inputRows.length;
+      let seconds = (Date.now() - startTime) / 1000;
+      process.stderr.write(util.format('\rprocessed %d rows (%d%%), %d rows/sec ', rowCount,
+        Math.round(100 * progress.bytesRead / (progress.totalBytes || 1)), Math.round(rowCount / (seconds || 1))));
+    }
+    return Promise.all([writer.write(outRows), ndjsonWriter && ndjsonWriter.write(pcnRows)]);
+  };
+
+  let rowCount;
+  try {
+    rowCount = await csvReader.readInChunks(inputFile, {columns: true, delimiter}, chunkSize, processChunk);
+  }
+  finally {
+    let stageCounts = streamStageCounts;
+    streamStageCounts = null;
+    if(showProgress) process.stderr.write('\n');
+    Object.entries(stageCounts).forEach(([stage, counts]) => logStage(stage, counts));
+  }
+  if(ndjsonWriter) await ndjsonWriter.end();
+  if(htmlReportFile && writer) {
+    await writeHtmlReport(reportEntries, htmlReportFile, {sourceFile: path.basename(inputFile)});
+  }
+  if(writer) {
+    await writer.end();
+    statsCollector.report();
+  }
+  else {
+    console.log('WARN: no data rows in the input file %s, no output file written.', inputFile);
+  }
+  return rowCount;
+}
+
+
 /**
  * Initialize necessary global variables that are needed, mostly async.
  * @param combinedMappingRuleXlsx the xlsx file that has unit to ucum, unit to property mappings
  * @param loincFileCSV the Loinc.csv file path. THe file may be downloaded from LOINC website.
  * @param outputDir the location/directory where the output file(s) will be written to.
+ * @param opts optional, with the following optional fields:
+ *        - loincIndexCache: the LOINC index cache file, or true for the default cache file, for faster startup,
+ *          see lib/loincIndexCache.js
+ *        - mapToFile: the LOINC MapTo.csv file, default to the one in the LOINC release of loincFileCSV, if any,
+ *          see lib/loincMapTo.js. Without it, the DEPRECATED/DISCOURAGED mapped-to LOINCs are flagged but not replaced.
+ *        - partSynonymsFile: the part synonym table, whose accepted groups are used in addition to the ones in
+ *          data/loinc-part-synonyms.csv, see lib/loincPartSynonyms.js
+ *        - ruleTablesDir: the directory of the JSON/CSV rule tables, which take precedence over the rule table
+ *          sheets in combinedMappingRuleXlsx, see lib/ruleTableLoader.js
+ *        - triageThresholds: {fix, correct}, the confidence thresholds of the triage, see lib/algoConfidence.js
  */
-async function initAsyncGlobals(outputDir, combinedMappingRuleXlsx, loincFileCSV) {
+async function initAsyncGlobals(outputDir, combinedMappingRuleXlsx, loincFileCSV, opts) {
   globalOutputDir = outputDir;
+  globalMappingFiles = {combinedMappingRuleXlsx, loincFileCSV};
+  triageThresholds = opts && opts.triageThresholds || DEFAULT_TRIAGE_THRESHOLDS;
+
+  let ruleTables = await loadRuleTables(combinedMappingRuleXlsx, opts && opts.ruleTablesDir);
+  setRuleTables(ruleTables);
+  if(ruleTables.unitRules) ruleBasedUnitMapper.setRules(ruleTables.unitRules);
+  pcnSpcmMapping = ruleTables.specimenSourceMapping || pcnSpcmMapping;
+  if(ruleTables.guidingRules) setGuidingRules(ruleTables.guidingRules);
+  globalMappingFiles.ruleTables = ruleTables.sources;
+  Object.entries(ruleTables.sources).forEach(([name, source]) => console.log('Rule table %s loaded from %s', name, source));
 
   // initialize some tools
-  loincTableUtil = await loincUtils.getLoincTableUtil(loincFileCSV, combinedMappingRuleXlsx);
+  loincTableUtil = await loincUtils.getLoincTableUtil(loincFileCSV, combinedMappingRuleXlsx,
+    {cacheFile: opts && opts.loincIndexCache});
   ({loincToParts, getStdPartName, getLoincForParts, hasLoincWithPart} = loincTableUtil);
+  let mapToFile = opts && opts.mapToFile || loincMapTo.getDefaultMapToFile(loincFileCSV);
+  if(mapToFile) {
+    mapTo = await loincMapTo.loadMapTo(mapToFile);
+    globalMappingFiles.mapToFile = mapToFile;
+    console.log('LOINC MapTo loaded from %s: %d entries', mapToFile, Object.keys(mapTo).length);
+  }
+  else {
+    console.log('WARN: no LOINC MapTo.csv file found, DEPRECATED/DISCOURAGED mapped-to LOINCs will not be replaced.');
+  }
+  let partSynonymsFiles = [getDefaultPartSynonymTable(), opts && opts.partSynonymsFile].filter(file => file);
+  for(let partSynonymsFile of partSynonymsFiles) {
+    let numGroups = await loadPartSynonymTable(partSynonymsFile);
+    console.log('%d accepted part synonym groups loaded from %s', numGroups, partSynonymsFile);
+  }
+  globalMappingFiles.partSynonymsFiles = partSynonymsFiles;
+  if(! partSynonymsFiles.length) {
+    console.log('WARN: no LOINC part synonym table found, only the identical parts are considered compatible.');
+  }
+
+  labNameNormalizer = getLabNameNormalizer(combinedMappingRuleXlsx);
+  console.log('%d lab name abbreviations loaded from %s', labNameNormalizer.abbreviations.length,
+    labNameNormalizer.source);
 
   getUnitProperties = loincTableUtil.getUnitToPropertiesMapper(combinedMappingRuleXlsx); // already init above but fine
   pcornetValidationMgr = pcornetValidationMgrHandle.getMgr(loincTableUtil, getUnitProperties);
@@ -97,14 +301,48 @@ async function initAsyncGlobals(outputDir, combinedMappingRuleXlsx, loincFileCSV
 }
 
 
+// Set the rules from the alt-loinc-suggest-guiding-table (see lib/ruleTableLoader.js) to run before the general rule.
+function setGuidingRules(rules) {
+  rules = rules.filter(rule => !rule.disabled);
+  let reserved = rules.find(rule => rule.RULE_NUM === GENERAL_RULE.RULE_NUM);
+  if(reserved) {
+    throw new Error(util.format('%s: RULE_NUM %s is reserved for the general rule', reserved._location,
+      reserved.RULE_NUM));
+  }
+  let unknownType = rules.find(rule => !ruleExecutors[rule._ruleType]);
+  if(unknownType) {
+    throw new Error(util.format('%s: no executor for RULE_TYPE %s, see registerRuleExecutor()',
+      unknownType._location, unknownType._ruleType));
+  }
+  guidingRules = [...rules, GENERAL_RULE];
+  console.log('%d alternative LOINC rules loaded from the guiding table', rules.length);
+}
+
+
 /**
- * Pre-process the pcornet data, e.g., standardize RAW_LAB_NAME to string type, turn
+ * Register the executor for the given rule type (RULE_TYPE in the alt-loinc-suggest-guiding-table), so that custom
+ * rules can be plugged in. It must be called before initAsyncGlobals(), which checks the rule types.
+ * @param ruleType the rule type, replacing the existing executor of the type if any
+ * @param executor function(rule, recLnParts, unit, unitProperties, row, rowNum, helpers) that returns null if the
+ *        rule doesn't apply, or the result of helpers.replaceAndFind(), see executeRulesForRecord() and
+ *        executeReplaceRule() for an example. The rule conditions (CLASS, COMPONENT, etc.) have been checked before
+ *        the executor is called. helpers has the functions replaceAndFind and getAltPartsFromInferred.
+ */
+function registerRuleExecutor(ruleType, executor) {
+  if(! ruleType || typeof executor !== 'function') {
+    throw new Error('registerRuleExecutor: a rule type and an executor function are required');
+  }
+  ruleExecutors[ruleType] = executor;
+}
+
+
+/**
+ * Pre-process the pcornet data, e.g., standardize RAW_LAB_NAME to string type and normalize it into
+ * NORMALIZED_LAB_NAME (see lib/labNameNormalizer.js), which the parsing works on, turn
  * @param pcnRows
  */
 function preProcessAndValidate(pcnRows) {
   addLoincPartsFillMissingColumns(pcnRows);
-  // SPECIMEN_SOURCE values that can't be converted by getStdPartName(). Per Clem, "UN" is likely unknown
-  let pcnSpcmMapping = {SER_PLAS: 'Ser/Plas', BODY_FLD: 'Body fld', PLR_FLD: 'Plr fld', RESPIRATOR: 'Respiratory', UN: ''}
   let pcnSpcmIssues = {multi_values: [], unknowns: {}}; // for logging only
   function normalizeSPECIMEN_SOURCE(row) {
     let spcList = [];
@@ -129,7 +367,7 @@ function preProcessAndValidate(pcnRows) {
     row.ucum_converted = '';
     let rawUnit = pcornetValidationMgr.getXformedRawUnit(row);
     if(rawUnit) {
-      let loinc = row.LAB_LOINC || '';
+      let loinc = getValidatedLoinc(row);
       row.ucum_converted = ucumMapperMgr.mapToUcum(rawUnit, {loinc}).ucum ||
                            ucumMapperMgr.mapToUcum(rawUnit, {loinc, isCI: true}).ucum || '';
     }
@@ -142,6 +380,7 @@ function preProcessAndValidate(pcnRows) {
     for(let f of COMPUTED_FIELDS) {
       if(row.hasOwnProperty(f)) row[f] = '';
     }
+    row.NORMALIZED_LAB_NAME = labNameNormalizer.normalize(row.RAW_LAB_NAME);
 
     normalizeSPECIMEN_SOURCE(row);
     convertToUcum(row);
@@ -153,13 +392,48 @@ function preProcessAndValidate(pcnRows) {
       pcornetValidationMgr.inferAndValidate(row, units, rowNum);
     }
   });
+  logPropertyConflicts(pcnRows);
 //  console.log('#### SPECIMEN_SOURCE issues:\n%s', JSON.stringify(pcnSpcmIssues, null, 4));
 }
 
+// Log the units whose properties per the unit-ucum-properties mapping and per the UCUM dimensions disagree, with the
+// number of rows, for reviewing the mapping, see pcornetValidationMgr.getUcumProperties()
+function logPropertyConflicts(pcnRows) {
+  let conflicts = {};
+  pcnRows.forEach(row => (row.property_conflicts || []).forEach(({unit, mapped, ucum, dimension}) => {
+    let entry = conflicts[unit] = conflicts[unit] ||
+      {mapped: mapped.join(', '), ucum: util.format('%s (%s)', ucum, dimension), rows: 0};
+    entry.rows += 1;
+  }));
+  if(Object.keys(conflicts).length) {
+    logStage('unit-property-conflicts (unit-ucum-properties vs UCUM dimensions)', conflicts);
+  }
+}
+
+
+// Log the counts (a hash, possibly nested, of the counts) of a processing stage, e.g., the number of rows corrected.
+// When streaming, the counts are added up across the chunks instead, and logged once at the end, see
+// validateAndSuggestStream(); the values other than numbers are taken from the first chunk having them.
+function logStage(stage, counts) {
+  if(! streamStageCounts) {
+    console.log('=== %s====', stage, JSON.stringify(counts, null, 4));
+    return;
+  }
+  let addCounts = (total, more) => Object.keys(more).reduce((acc, key) => {
+    if(typeof more[key] === 'number') acc[key] = (acc[key] || 0) + more[key];
+    else if(more[key] && typeof more[key] === 'object') acc[key] = addCounts(acc[key] || {}, more[key]);
+    else if(! acc.hasOwnProperty(key)) acc[key] = more[key];
+    return acc;
+  }, total);
+  streamStageCounts[stage] = addCounts(streamStageCounts[stage] || {}, counts);
+}
+
 /**
  * The LOINC mapping validation/correction process requires the records to have the LOINC parts, class, long name, and
  * example ucum units. Add or override the fields using data from LOINC.
  * There are other columsn (e.g., NUM_RECORDS)
+ * If the mapped-to LOINC is DEPRECATED/DISCOURAGED and has a MapTo replacement, row.mapto is set and the fields are
+ * those of the replacement, so that the replacement is what gets validated (and corrected), see getValidatedLoinc().
  * @param pcnRows
  */
 function addLoincPartsFillMissingColumns(pcnRows) {
@@ -167,7 +441,8 @@ function addLoincPartsFillMissingColumns(pcnRows) {
     if(!row.hasOwnProperty('ROW_NUM')) {
       row.ROW_NUM = index + 2;
     }
-    let loinc = loincToParts[row.LAB_LOINC];
+    row.mapto = getMapTo(row);
+    let loinc = loincToParts[getValidatedLoinc(row)];
     if(loinc) {
       copyFields(loinc, row, ['LONG_COMMON_NAME', 'EXAMPLE_UCUM_UNITS:example ucum'], {delim: ':'});
       for(let part of PartType) { // also includes CLASS
@@ -177,16 +452,214 @@ function addLoincPartsFillMissingColumns(pcnRows) {
   });
 }
 
-// try default specimen only if no specimen found in the raw name
-function shouldTryDefaultSpecimen(row) {
-  return false; // DISALBED FOR NOW, need to figure out the sequence - allow this if specimen is the only mismatch
-  let tryIt = false;
-  if(!(row.inferred && row.inferred.SYSTEM && row.inferred.SYSTEM.names && row.inferred.SYSTEM.names.length)) {
-    let defaultSys = getDefaultSpecimen(row);
-    tryIt = !!(defaultSys && ! pcornetValidationMgr.partsCompatible('SYSTEM', defaultSys, row.SYSTEM, row));
+// Get the MapTo replacement info for row.mapto, {LOINC_NUM, STATUS, LONG_COMMON_NAME, parts, replacement, chain,
+// others}, if the mapped-to LOINC is DEPRECATED/DISCOURAGED and has a replacement (see lib/loincMapTo.js), or empty
+// string otherwise. LONG_COMMON_NAME and parts (part type, including CLASS, to the part name) are of the mapped-to
+// LOINC itself, since the row fields are those of the replacement.
+// Not in COMPUTED_FIELDS since it's computed before the clearing of those, and always (re)assigned anyway.
+function getMapTo(row) {
+  let mapped = loincToParts[row.LAB_LOINC];
+  let replacement = mapped && loincMapTo.RETIRED_STATUSES.includes(mapped.STATUS) &&
+    loincMapTo.getMapToReplacement(row.LAB_LOINC, mapTo, loincToParts);
+  return !replacement? '': Object.assign({LOINC_NUM: row.LAB_LOINC, STATUS: mapped.STATUS,
+    LONG_COMMON_NAME: mapped.LONG_COMMON_NAME,
+    parts: PartType.reduce((acc, pt) => { acc[pt] = mapped[pt] && mapped[pt][0] || ''; return acc; }, {})},
+    replacement);
+}
+
+
+// The LOINC being validated for the row, i.e., the MapTo replacement of the mapped-to LOINC if any, see getMapTo()
+function getValidatedLoinc(row) {
+  return row.mapto? row.mapto.replacement: row.LAB_LOINC || '';
+}
+
+
+/**
+ * When the parsing/inference says nothing about the COMPONENT, check the raw lab name against the mapped-to LOINC
+ * by text (see lib/loincLexicalIndex.js). If the match is poor, e.g., "FERRITIN" mapped to an iron LOINC, a COMPONENT
+ * issue is added, and, unless the row is already FIXED by the rules, the best text matches are suggested among the
+ * LOINCs that agree with the row otherwise, see getLexicalCandidateFilter(). Such suggestions are based on the text
+ * only, and are marked by the "lexical-match" relaxation.
+ * @param pcnRows the processed rows, after the rules
+ */
+function executeLexicalMatching(pcnRows) {
+  let counts = {poorMatches: 0, corrected: 0};
+  pcnRows.forEach(row => {
+    if(isExcludeStatus(row) || row.ALGO_JUDGEMENT === 'FIXED' || hasInferredPart(row, 'COMPONENT')) return;
+    let mappedLoinc = getValidatedLoinc(row);
+    let mappedScore = loincTableUtil.lexicalMatcher.score(row.NORMALIZED_LAB_NAME, mappedLoinc);
+    if(! mappedScore || mappedScore.coverage >= LEXICAL_POOR_MATCH) return;
+
+    counts.poorMatches += 1;
+    // text only evidence, so the confidence is at most 0.5
+    pcornetValidationMgr.addAlgoMappingIssue(row, 'COMPONENT', Math.round((1 - mappedScore.coverage) * 50) / 100);
+    row.ALGO_JUDGEMENT = 'INCORRECT_aj';
+
+    let candidates = loincTableUtil.lexicalMatcher.findCandidates(row.NORMALIZED_LAB_NAME,
+      {filter: getLexicalCandidateFilter(row, mappedLoinc), minScore: LEXICAL_GOOD_MATCH});
+    if(! candidates.length) return;
+    counts.corrected += 1;
+    let matches = candidates.map(c => Object.assign({}, loincToParts[c.LOINC_NUM],
+      {RULE_NUM: 'Lexical', score: c.score, relaxations: [LEXICAL_RELAXATION]}));
+    row.candidates = matches.map(m => getCandidateSummary(m, row));
+    Object.assign(row, {SGG_LOINC: matches[0].LOINC_NUM, SGG_LONG_COMMON_NAME: matches[0].LONG_COMMON_NAME,
+      RULE_RELAXED_BY: LEXICAL_RELAXATION, ALGO_JUDGEMENT: 'FIXED'});
+    row.SGG_OTHER = matches.slice(1).map(m => util.format('%s:{%s}', m.LOINC_NUM, m.LONG_COMMON_NAME)).join('; ');
+  });
+  logStage('lexical-matching', counts);
+}
+
+
+// Get the filter of the lexical candidates for the given row: not the mapped-to LOINC, not DEPRECATED/DISCOURAGED,
+// the PROPERTY implied by the units (or the mapped-to PROPERTY if none), the SYSTEM and TIME compatible with the
+// parsed ones (or the mapped-to ones if none were parsed), and the SCALE compatible with the mapped-to SCALE.
+function getLexicalCandidateFilter(row, mappedLoinc) {
+  let properties = getAllPossibleUnits(row).reduce((acc, unit) => acc.concat(getUnitProperties(unit)), []);
+  properties = properties.length? properties: [row.PROPERTY];
+  let getExpected = (partType) => hasInferredPart(row, partType)? row.inferred[partType].names: [row[partType]];
+  let [systems, times] = [getExpected('SYSTEM'), getExpected('TIME')];
+  let compatible = (partType, partName, expected) =>
+    expected.some(name => pcornetValidationMgr.partsCompatible(partType, partName, name, row));
+
+  return (loincNum) => {
+    let loinc = loincToParts[loincNum];
+    return loincNum !== mappedLoinc && !!loinc && ! loincMapTo.RETIRED_STATUSES.includes(loinc.STATUS) &&
+      properties.includes(loinc.PROPERTY[0]) && compatible('SYSTEM', loinc.SYSTEM[0], systems) &&
+      compatible('TIME', loinc.TIME[0], times) && compatible('SCALE', loinc.SCALE[0], [row.SCALE]);
+  };
+}
+
+
+function hasInferredPart(row, partType) {
+  return !!(row.inferred && row.inferred[partType] && row.inferred[partType].names &&
+    row.inferred[partType].names.length);
+}
+
+
+/**
+ * Flag the rows whose mapped-to LOINC is DEPRECATED or DISCOURAGED, with the status as the mapping issue. This is
+ * done after the rules so that the status issue itself does not trigger the rules. If there is a MapTo replacement
+ * (which has been validated in place of the mapped-to LOINC, see addLoincPartsFillMissingColumns()):
+ * - no other issues: the replacement is the suggested LOINC, judged REPLACED_mapto.
+ * - other issues, not fixed (INCORRECT_aj): the replacement is still the suggested LOINC, to at least move off
+ *   the retired code, but the judgement is unchanged.
+ * - FIXED: the suggestion found for the replacement stands.
+ * If there is no replacement, a DEPRECATED mapped-to LOINC is judged INCORRECT_aj; DISCOURAGED is only flagged.
+ * @param pcnRows the processed rows
+ */
+function checkMappedLoincStatus(pcnRows) {
+  let counts = {};
+  pcnRows.forEach(row => {
+    if(isExcludeStatus(row)) return;
+    let status = loincToParts[row.LAB_LOINC].STATUS;
+    if(! loincMapTo.RETIRED_STATUSES.includes(status)) return;
+
+    pcornetValidationMgr.addAlgoMappingIssue(row, status, status === 'DEPRECATED'? 1.0: 0.5);
+    if(! row.mapto) {
+      if(status === 'DEPRECATED') row.ALGO_JUDGEMENT = 'INCORRECT_aj';
+    }
+    else if(row.ALGO_JUDGEMENT !== 'FIXED') {
+      let replacement = loincToParts[row.mapto.replacement];
+      if(row.ALGO_JUDGEMENT === 'CORRECT_aj') row.ALGO_JUDGEMENT = 'REPLACED_mapto';
+      row.SGG_LOINC = replacement.LOINC_NUM;
+      row.SGG_LONG_COMMON_NAME = replacement.LONG_COMMON_NAME;
+      row.SGG_OTHER = row.mapto.others.map(loinc => util.format('%s:{%s}', loinc,
+        loincToParts[loinc].LONG_COMMON_NAME)).join('; ');
+      row.candidates = [replacement, ...row.mapto.others.map(loinc => loincToParts[loinc])]
+        .map(loinc => getCandidateSummary(Object.assign({RULE_NUM: 'MapTo'}, loinc), row));
+    }
+    let key = status + (row.mapto? ' replaced': ' no replacement') + ', ' + row.ALGO_JUDGEMENT;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  if(Object.keys(counts).length) {
+    logStage('mapped-to LOINC status', counts);
   }
-  if(row.ROW_NUM === 1595) console.log('#%s: try-default-specimen = %s', row.ROW_NUM, tryIt);
-  return tryIt;
+}
+
+
+/**
+ * The default specimen stage: for the rows still judged correct after the rules and the lexical matching, i.e.,
+ * with no mapping issues, and without a specimen in the raw name, the SYSTEM is inferred from the SPECIMEN_SOURCE
+ * or the default specimen of the CLASS (see pcornetValidationMgr.inferDefaultSystem()). If the SPECIMEN_SOURCE
+ * disagrees with the mapped-to SYSTEM, the row gets a (lower confidence) SYSTEM issue, and the rules are run again
+ * on such rows to find the corrections, which are marked by the "matched-with-default-specimen" relaxation, see
+ * matchPart(). A disagreeing class default only lowers the confidence of the row (see assessConfidence()), and is
+ * marked by "class-default-specimen-disagrees" in RULE_RELAXED_BY, no correction is searched for.
+ * @param rules the rules, see executeRules()
+ * @param pcnRows the processed rows, after the rules and the lexical matching
+ */
+function executeDefaultSpecimen(rules, pcnRows) {
+  let defaulted = pcnRows.filter(row => !isExcludeStatus(row) && pcornetValidationMgr.inferDefaultSystem(row));
+  let classDefaulted = pcnRows.filter(row => !isExcludeStatus(row) &&
+    pcornetValidationMgr.getNumDefaultDisagreements(row));
+  classDefaulted.forEach(row => {
+    row.RULE_RELAXED_BY = [...delimitedToList(row.RULE_RELAXED_BY), CLASS_DEFAULT_DISAGREEMENT].join('; ');
+  });
+  logStage('default-specimen', {'rows with the SYSTEM disagreeing with the SPECIMEN_SOURCE': defaulted.length,
+    'rows with the SYSTEM disagreeing with the class default specimen': classDefaulted.length});
+  if(defaulted.length) executeRules(rules, defaulted, 'default-specimen multiples-info');
+}
+
+
+/**
+ * Set the conversion of the row unit to the example unit of the suggested LOINC (SGG_UNIT_CONVERSION), e.g.,
+ * "1 mg/dL = 0.01 g/L", so that the values can be rescaled when the mapping is corrected, see lib/ucumUnitConverter.js
+ * It's left empty if no rescaling is needed (factor 1) or the units are not commensurable (see the candidates).
+ * @param pcnRows the processed rows, after the stages that suggest LOINCs
+ */
+function setUnitConversions(pcnRows) {
+  let counts = {};
+  pcnRows.forEach(row => {
+    let suggested = row.SGG_LOINC && row.candidates && row.candidates[0];
+    if(isExcludeStatus(row) || !suggested) return;
+    let factor = suggested.unit_conversion && suggested.unit_conversion.factor;
+    row.SGG_UNIT_CONVERSION = factor === 1? '': formatUnitConversion(suggested.unit_conversion);
+    let key = suggested.commensurability + (factor === 1? '': row.SGG_UNIT_CONVERSION? ', rescaled': '');
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  logStage('suggested-unit-conversions', counts);
+}
+
+
+/**
+ * Set the confidence of the judgement (ALGO_CONFIDENCE) and the triage (ALGO_TRIAGE) of each processed row, from the
+ * issue confidences, the suggested candidate, and the mapped LOINC parts corroborated by the raw name/unit, see
+ * lib/algoConfidence.js
+ * @param pcnRows the processed rows, after all the other stages
+ */
+function assessConfidence(pcnRows) {
+  let counts = {};
+  pcnRows.forEach(row => {
+    if(isExcludeStatus(row)) return;
+    let confidence = getAlgoConfidence(row.ALGO_JUDGEMENT, {issueConfidences: row.issue_confidences,
+      candidate: row.SGG_LOINC && row.candidates && row.candidates[0], numCorroborated: getNumCorroboratedParts(row),
+      numDefaultDisagreements: pcornetValidationMgr.getNumDefaultDisagreements(row)});
+    row.ALGO_CONFIDENCE = confidence === null? '': confidence;
+    row.ALGO_TRIAGE = getTriage(row.ALGO_JUDGEMENT, confidence, triageThresholds);
+    counts[row.ALGO_TRIAGE] = (counts[row.ALGO_TRIAGE] || 0) + 1;
+  });
+  logStage('algo-triage', counts);
+}
+
+
+// The number of the mapped LOINC parts corroborated by the raw name/unit: the parsed/inferred parts that agree with
+// the mapped ones, and the PROPERTY if implied by the unit(s). SCALE is not counted since any unit implies Qn.
+function getNumCorroboratedParts(row) {
+  let parts = Object.entries(row.inferred || {})
+    .filter(([partType, info]) => PartType.includes(partType) && !['CLASS', 'SCALE'].includes(partType) &&
+      info.names.some(name => pcornetValidationMgr.partsCompatible(partType, name, row[partType], row)))
+    .map(([partType]) => partType);
+  if(! parts.includes('PROPERTY') && !(row.ALGO_MAPPING_ISSUES || []).includes('PROPERTY') &&
+    getAllPossibleUnits(row).some(unit => getUnitProperties(unit).includes(row.PROPERTY))) {
+    parts.push('PROPERTY');
+  }
+  return parts.length;
+}
+
+
+// Whether the SYSTEM of the row is inferred from the default specimen, see executeDefaultSpecimen()
+function hasDefaultSystem(row) {
+  return !!(row.inferred && row.inferred.SYSTEM && row.inferred.SYSTEM.types.includes('default'));
 }
 
 /**
@@ -195,16 +668,19 @@ function shouldTryDefaultSpecimen(row) {
  * See the descriptions at the top of the file and replaceAndFind() for more details.
  * @param rules
  * @param pcnRows
+ * @param stage optional, the stage name for logging the counts, see logStage(), default to multiples-info
  */
 // 3. Rules - from combined-unit-mapping (some latest version). See replaceAndFind() for more details.
-function executeRules(rules, pcnRows) {
-  console.log('\n====== started executeRules: %d rules; %d pcnRows', rules.length, pcnRows.length);
+function executeRules(rules, pcnRows, stage = 'multiples-info') {
+  if(! streamStageCounts) {
+    console.log('\n====== started executeRules: %d rules; %d pcnRows', rules.length, pcnRows.length);
+  }
   let multiplesInfo = {multiples: 0, corrected: 0, needFix: 0}; // needFix are those with mapping issues that will need to run the rules
   pcnRows.forEach((row, rowNum) => {
     if(isExcludeStatus(row)) return;  // for now, WACKO* and NON_QN; some rules may want to run even without ALGO_MAPPING_ISSUES
     if(row.ALGO_MAPPING_ISSUES) multiplesInfo.needFix += 1;
 
-    let recLoincParts = loincToParts[row.LAB_LOINC];
+    let recLoincParts = loincToParts[getValidatedLoinc(row)];
     let units = getAllPossibleUnits(row);
     units = units.length? units: ['NA-NA']; // just so that the record gets to go through the process - some rules don't care about unit
 
@@ -221,6 +697,7 @@ function executeRules(rules, pcnRows) {
 
     let [bestMatch, rest] = selectBestMatch(allMatches, row, rules);
     if(rest.length > 0) multiplesInfo.multiples += 1;
+    row.candidates = [bestMatch, ...rest].map(m => getCandidateSummary(m, row));
 
     //addSubstitutionInfo(row, bestMatch.altLoincParts || {}, {replace: true});
     allMatches = [bestMatch]; // put in an array to reuse the below process.
@@ -248,30 +725,70 @@ function executeRules(rules, pcnRows) {
     row.SGG_OTHER = rest.map(m => util.format('%s:{%s}', m.LOINC_NUM, m.LONG_COMMON_NAME)).join('; ');
   });
 
-  console.log('=== multiples-info====', JSON.stringify(multiplesInfo, null, 4));
+  logStage(stage, multiplesInfo);
+}
+
+
+/**
+ * Get the summary of a candidate (match) as found in executeRules() for structured output.
+ * @param match the match/candidate, see selectBestMatch()
+ * @param row the data row the candidate is for
+ * @return a hash with LOINC_NUM, LONG_COMMON_NAME, STATUS, RULE_NUM, score, relaxations, parts, where parts
+ *         is a hash from part type (including CLASS) to the part name, and commensurability and unit_conversion,
+ *         of the row units with the candidate example units, see getCandidateUnitConversion().
+ */
+function getCandidateSummary(match, row) {
+  let {commensurability, conversion} = match.unitConversion || getCandidateUnitConversion(getRowUnits(row), match);
+  return {
+    LOINC_NUM: match.LOINC_NUM,
+    LONG_COMMON_NAME: match.LONG_COMMON_NAME,
+    STATUS: match.STATUS,
+    RULE_NUM: match.RULE_NUM,
+    score: match.hasOwnProperty('score')? match.score: null,
+    relaxations: match.relaxations || [],
+    parts: PartType.reduce((acc, pt) => { acc[pt] = match[pt] && match[pt][0] || ''; return acc; }, {}),
+    commensurability,
+    unit_conversion: conversion
+  };
+}
+
+
+// Get the commensurability of the given row units with the example units of the given candidate, and the
+// conversion, see lib/ucumUnitConverter.js
+function getCandidateUnitConversion(units, candidate) {
+  return getUnitConversion(units, delimitedToList(candidate.EXAMPLE_UCUM_UNITS));
+}
+
+
+// The raw unit and its UCUM forms, see getAllPossibleUnits()
+function getRowUnits(row) {
+  return [...new Set([row.RAW_UNIT, ...getAllPossibleUnits(row)].filter(unit => unit))];
 }
 
 
 // TODO: combine this with the above "unique" block
 /**
  * Select one best match. Best, first and foremost, is defined as matching all (alt) parts, then
- * not DEPRECATED/DISCOURAGED, then just pick the first.
+ * not DEPRECATED/DISCOURAGED, then with example units the row unit can be converted to (and not those it can't,
+ * see lib/ucumUnitConverter.js), then just pick the first.
  * @param allMatches all matches as collected in executeRules, where each match is a map:
  *           <loinc-part>: [<single-or-no-part-name>] (also include CLASS)
  *           LOINC_NUM,  LONG_COMMON_NAME, STATUS: single string value
  *           RULE_NUM: numeric, corresponding to rule.RULE_NUM
  * @param row the data row
  * @param rules the list of rules
- * @return the best match (one element in the allMatches list)
+ * @return the best match (one element in the allMatches list). Each match gets the fields score and unitConversion,
+ *         see ucumUnitConverter.getUnitConversion()
  */
 function selectBestMatch(allMatches, row, rules) {
   if(! allMatches || !allMatches.length) return [null, null];
-  if(allMatches.length === 1) return [allMatches[0], []];
 
   let candidates = allMatches.slice();
+  let rowUnits = getRowUnits(row);
   candidates.forEach(m => {
     m.score = 50; // default
     if(m.relaxations) m.score -= 25 * Math.pow(m.relaxations.length, 0.25);
+    if(m.ruleScoreBonus) m.score += m.ruleScoreBonus; // SCORE_BONUS of the guiding rule
     if(m.STATUS === 'DEPRECATED') m.score -= 20;
     if(m.STATUS === 'DISCOURAGED') m.score -= 10;
     if(row.SYSTEM === 'XXX' && !(row.inferred && row.inferred.SYSTEM && row.inferred.SYSTEM.names)) {
@@ -289,7 +806,10 @@ function selectBestMatch(allMatches, row, rules) {
       }
       return (!row[part] && !m[part][0] || row[part] === m[part][0])? acc + 1: acc;
     }, 0);
-    if(row.RAW_UNIT && row.RAW_UNIT === m.EXAMPLE_UCUM_UNITS) m.score += 10;
+    // the example units convertible from the row unit, e.g., g/L vs mg/dL, boost; the incommensurable ones demote
+    m.unitConversion = getCandidateUnitConversion(rowUnits, m);
+    if(m.unitConversion.commensurability === COMMENSURABILITY.yes) m.score += 10;
+    if(m.unitConversion.commensurability === COMMENSURABILITY.no) m.score -= 20;
     if(count === PartType.length) m.score += 50;
     if(row.ROW_NUM === 881) {
       //console.log('#MATCHED-PARTS=%d; inferred=%s alts=%s; candidate=%s', count, JSON.stringify(row.inferred), JSON.stringify(m.altLoincParts), JSON.stringify(m));
@@ -331,52 +851,40 @@ function selectBestMatch(allMatches, row, rules) {
  * @return a list of alternative LOINCs where each is a hash that has the 7 parts as a field, plus LOINC_NUM, RULE_NUM.
  */
 function executeRulesForRecord(recLnParts, unit, unitProperties, rules, row, rowNum) {
-  // The rules can generally be categories into types by LOINC parts (see loadAltLoincRules), each handle by
-  // a rule executor. Such executors return:
+  // The rules are of types (rule._ruleType, see the guiding table in lib/ruleTableLoader.js), each handled by
+  // a rule executor (see ruleExecutors at the top). Such executors return:
   // - null if the rule is not applicable to the record
   // - a result object with result.altLoincs as an empty array if the rule is applicable but no corrections found
   // - a result object where result.altLoincs is a list, each is a correction
-
-  let ruleExecutors = {  // rule._ruleType to executor function - should move it out of this function but ok
-    // check the lastest gen-4 version for these functions, they have been replaced by the one,
-    // executeGeneralRule().
-    // keeping the structure here just in case new rules are needed.
-    //PROPERTY: executePropertyRule, // Got one issue, row #1818, ionized balanced issue, but resolved after removing .ionized from the modifier list
-    // SCALE: executeScaleRule,
-    // METHOD: executeMethodRule, // rule 42 covered by rule 77, should be fine.
-    //SYSTEM: executeSystemRule,
-    //TIME: executeTimeRule, // fine to remove this, general rule captures it.
-    // SpecimenInName: executeParsedSpecimenRule, // This is hooked in using a "fake" rule #99990
-    // ParsedTime: executeParsedTimeRule,         // This is hooked in using a "fake" rule #99991
-    // ComponentModifier: executeModifierRule,    // This is hooked in using a "fake" rule #99992, now handled by the general rule
-    GeneralReplace: executeGeneralRule         // Use as the last resort, rule #99999
-  }
+  let helpers = {replaceAndFind, getAltPartsFromInferred};
   let altLoincs = [];
   for(let rule of rules) {
     let result;
-    if(shouldTryDefaultSpecimen(row) || row.ALGO_MAPPING_ISSUES) {
-      let executor = ruleExecutors[rule._ruleType];
-      if(executor) {
-        result = executor(rule, recLnParts, unit, unitProperties, row, rowNum);
-      }
-      else {
-        console.log('==WARM: NO executor for rule-type %s defined, skipped', rule._ruleType);
-      }
+    if(row.ALGO_MAPPING_ISSUES && isRuleApplicable(rule, recLnParts, unitProperties, row)) {
+      result = ruleExecutors[rule._ruleType](rule, recLnParts, unit, unitProperties, row, rowNum, helpers);
     }
     if(! result) { // rule not fired (conditions not met); result.altLoincs (array) indicate if there are any actual fixes
       continue;
     }
+    row.RULES_FIRED = row.RULES_FIRED || [];
+    if(! row.RULES_FIRED.includes(rule.RULE_NUM)) row.RULES_FIRED.push(rule.RULE_NUM);
 
     // addSubstitutionInfo(row, result.altLoincParts || {}); // add for each rule, but all may be replaced by THE one if a best fix is found
-    if(result.targetTerm) { (row.TARGET_TERM = row.TARGET_TERM || []).push(result.targetTerm); }
+    if(result.targetTerm) {
+      (row.TARGET_TERM = row.TARGET_TERM || []).push(result.targetTerm);
+      (row.target_terms = row.target_terms || []).push({rule: result.targetTerm.rule, parts: result.targetTerm.parts});
+    }
 
-    if(result.altLoincs && result.altLoincs.length) {
-      result.altLoincs.forEach(altPartsInfo => {
+    let ruleAltLoincs = (result.altLoincs || []).filter(altPartsInfo => !rule.allowedRelaxations ||
+      (altPartsInfo.relaxations || []).every(relax => rule.allowedRelaxations.includes(relax)));
+    if(ruleAltLoincs.length) {
+      ruleAltLoincs.forEach(altPartsInfo => {
         altPartsInfo.RULE_NUM = rule.RULE_NUM; // returned loinctPart info is just already deep-copied.
+        altPartsInfo.ruleScoreBonus = rule.scoreBonus || 0;
         altLoincs.push(altPartsInfo);
       });
     }
-    else {
+    else if(rule === GENERAL_RULE) { // the guiding rules may well find nothing
       if(row.ALGO_JUDGEMENT !== 'INCORRECT_aj') {
         console.error('---- BUG for row#=%d: rule %s fired, ALGO_JUDGEMENT=%s', rowNum, rule.RULE_NUM, row.ALGO_JUDGEMENT);
       }
@@ -391,6 +899,32 @@ function executeRulesForRecord(recLnParts, unit, unitProperties, rules, row, row
 }
 
 
+// Check the conditions of the given guiding rule (the empty ones are not checked), see lib/ruleTableLoader.js
+function isRuleApplicable(rule, recLnParts, unitProperties, row) {
+  let conditions = rule.conditions;
+  if(! conditions) return true; // e.g., the general rule
+  let recClass = recLnParts && recLnParts.CLASS && recLnParts.CLASS[0];
+  let recComponent = recLnParts && recLnParts.COMPONENT && recLnParts.COMPONENT[0];
+  let issues = row.ALGO_MAPPING_ISSUES || [];
+  return (!conditions.CLASS.length || conditions.CLASS.includes(recClass)) &&
+    (!conditions.COMPONENT || !!recComponent && conditions.COMPONENT.test(recComponent)) &&
+    conditions.ISSUES.every(issue => issues.includes(issue)) &&
+    (!conditions.UNIT_PROPERTY.length || (unitProperties || []).some(p => conditions.UNIT_PROPERTY.includes(p)));
+}
+
+
+/**
+ * The rules in the guiding table (RULE_TYPE Replace): replace the given parts (SET_<part type>), on top of the
+ * parsed/inferred parts unless USE_INFERRED is N, and search for the alternative LOINCs.
+ * See executeRulesForRecord for details on the parameters
+ */
+function executeReplaceRule(rule, recLnParts, unit, unitProperties, row, rowNum) {
+  let altParts = Object.assign(rule.useInferred? getAltPartsFromInferred(row): {}, rule.replacementParts);
+  return Object.keys(altParts).length === 0? null:
+    replaceAndFind(recLnParts.LOINC_NUM, altParts, {rule, row, rowNum});
+}
+
+
 /**
  * Rule #99999:
  * This rule is a last-report general rule: if a row has inferred LOINC parts (implying mapping issue)
@@ -401,7 +935,7 @@ function executeGeneralRule(rule, recLnParts, unit, unitProperties, row, rowNum)
   let altParts = getAltPartsFromInferred(row);
   // if(row.ROW_NUM === 4528) { console.log('#4528: altParts/inferred parts: ', JSON.stringify(altParts)); }
 
-  return Object.keys(altParts).length === 0 && !shouldTryDefaultSpecimen(row)? null:
+  return Object.keys(altParts).length === 0? null:
     replaceAndFind(recLnParts.LOINC_NUM, altParts, {rule, row, rowNum});
 }
 
@@ -457,8 +991,8 @@ function replaceAndFind(loinc, replacementParts, context) {
   // Build the "target-loinc-term" to look for. A null value for a part would be a request to skip the part match
   let targetTermParts = PartType.reduce((acc, partType) => {
     acc[partType] = replacementParts.hasOwnProperty(partType) && !replacementParts[partType]? null:
-      replacementParts[partType] || refPartsInfo[partType] || [];
-    addPartSynonyms(partType, acc[partType]);
+      (replacementParts[partType] || refPartsInfo[partType] || []).slice();
+    addPartSynonyms(partType, acc[partType], row.CLASS); // the synonyms of the synonyms are not added
     return acc;
   }, {});
 
@@ -469,10 +1003,6 @@ function replaceAndFind(loinc, replacementParts, context) {
       if(acc[part].length === 0) acc[part].push(''); // explicitly represent no/empty part name
       if(part === 'SYSTEM') {
         acc[part].push('XXX');
-        if(acc[part].some(name => ['Urine', 'CSF'].includes(name))) {
-          let toAdd = acc[part].includes('Urine')? ['Urine+Ser', 'Urine+Ser/Plas']: ['Ser+CSF', 'Ser/Plas+CSF'];
-          acc[part] = [...acc[part], ...toAdd];
-        }
       }
     }
     return acc;
@@ -498,7 +1028,8 @@ function replaceAndFind(loinc, replacementParts, context) {
   // not ideal as the various details/relaxations in isAltLoinc() and lower are lost for records without a fix, but you
   // may not want to log all the failed combinations, anyways.
   let targetTerm = Object.values(targetTermParts).map(names => names? names.join(',') || '-': '*').join('; ');
-  result.targetTerm = {rule: context.rule.RULE_NUM, term: targetTerm};
+  let parts = PartType.reduce((acc, pt) => { acc[pt] = targetTermParts[pt] && targetTermParts[pt].slice(); return acc; }, {});
+  result.targetTerm = {rule: context.rule.RULE_NUM, term: targetTerm, parts}; // parts: null for "skipped" part types
 
   return result;
 }
@@ -571,7 +1102,12 @@ function matchPart(context, partType, srcParts, candidateLoincParts, currRelaxLe
   let matched = srcParts[partType] === null || // null for skipping the match and considered matched
                 srcParts[partType].length === 0 && candidates.length === 0 ||
                 srcParts[partType].some(e => candidates.includes(e));
-  if(matched) return matched;
+  if(matched) {
+    if(partType === 'SYSTEM' && srcParts.SYSTEM && hasDefaultSystem(row)) {
+      relaxations.push('matched-with-default-specimen');
+    }
+    return matched;
+  }
 
   switch (partType) {
     case 'METHOD':
@@ -593,15 +1129,8 @@ function matchPart(context, partType, srcParts, candidateLoincParts, currRelaxLe
     case 'COMPONENT':
       matched = relaxedComponentMatch(row, srcParts, candidateLoincParts, relaxations)
       break;
-    case 'SYSTEM':
-      matched = srcParts.SYSTEM.some(sys => pcornetValidationMgr.partsCompatible('SYSTEM', sys, candidates[0], row));
-      if(!matched && shouldTryDefaultSpecimen(row) &&
-        pcornetValidationMgr.partsCompatible('SYSTEM', getDefaultSpecimen(row), candidates[0], row)) {
-        matched = true;
-        relaxations.push('matched-with-default-specimen');
-        console.log('#%s matched-with-default-specimen: %s', row.ROW_NUM, defaultSys);
-      }
-      if(!matched && candidates[0] === 'XXX') {
+    case 'SYSTEM': // the synonyms are already in srcParts, see replaceAndFind()
+      if(candidates[0] === 'XXX') {
         relaxations.push('specimen-xxx-match-waived');
         // console.log('#%s specimen-xxx-match-waived', row.ROW_NUM);
         matched = true;
@@ -674,35 +1203,110 @@ function relaxedComponentMatch(row, targetLoincParts, candidateLoincParts, relax
  * Update the xlsx file from the processed rows - the processed rows should have been loaded
  * from the exact xlsx file, processed. See COMPUTED_FIELDS above, no other fields should have been changed.
  * Otherwise the rows should be exactly the same as in the xlsx file
+ * Besides the values, the ALGO_JUDGEMENT cells are filled by the judgement (conditional formatting, so that the
+ * manual formatting is preserved), SGG_LOINC cells are linked to the suggestion details, and the summary and
+ * run-info sheets are added, see lib/resultsWorkbookStyler.js
  * @param processedRows the processed pcornet rows, update based on the COMPUTED_FIELDS
  * @param pcornetXlsx the pcornet data spreadsheet file
  * @param outputFile the output file name
+ * @param columnProfile optional, the column profile of the xlsx file, see lib/columnProfile.js
  * @return {Promise<string>} the output file written
  */
-async function updateResultsFile(processedRows, pcornetXlsx, outputFile) {
+async function updateResultsFile(processedRows, pcornetXlsx, outputFile, columnProfile = getColumnProfile()) {
   let [workbook, worksheet] = await excUtil.getWorksheet(pcornetXlsx);
   let cellMgr = excUtil.getCellMgr(worksheet);
   let colSet = new Set(cellMgr.getColNames());
+  let toLocal = columnProfile.toLocal;
   //let setValue = (field, rowOrd, value) => cellMgr.setValue(field, rowOrd, value);
-  let setValue = (field, rowOrd, value) => {if(colSet.has(field)) cellMgr.setValue(field, rowOrd, value)};
-  let outputFields = [...SGG_FIELDS,
-    'ALGO_MAPPING_ISSUES', 'ALGO_JUDGEMENT', 'TARGET_TERM', 'parsed_parts', 'inferred_parts', 'RULE_RELAXED_BY'];
+  let setValue = (field, rowOrd, value) => {
+    if(colSet.has(toLocal(field))) cellMgr.setValue(toLocal(field), rowOrd, value);
+  };
 
+  let rowIndexToDetailsRow = wbStyler.addDetailsSheet(workbook, processedRows);
   for(let rowNum = 2; rowNum <= worksheet.rowCount; ++rowNum) {
     let updatedRow = processedRows[rowNum - 2];
-    for(let f of outputFields) {
-      setValue(f, rowNum, updatedRow[f] || '');
+    for(let f of OUTPUT_FIELDS) {
+      setValue(f, rowNum, isNEU(updatedRow[f])? '': updatedRow[f]); // ALGO_CONFIDENCE may be 0
+    }
+    if(rowIndexToDetailsRow[rowNum - 2]) {
+      setValue('SGG_LOINC', rowNum, wbStyler.getDetailsLink(updatedRow.SGG_LOINC, rowIndexToDetailsRow[rowNum - 2]));
     }
   }
+  let judgementCol = cellMgr.getColMapping()[toLocal('ALGO_JUDGEMENT')];
+  if(judgementCol) {
+    wbStyler.addJudgementFills(worksheet, judgementCol, worksheet.rowCount);
+  }
+
+  let overallStats = basicStats(worksheet, cellMgr, 'ALGO_JUDGEMENT', columnProfile);
+  wbStyler.addSummarySheet(workbook, processedRows, overallStats);
+  wbStyler.addRunInfoSheet(workbook, getRunInfo(pcornetXlsx, outputFile));
   // TODO: when finalized, set the denominator/numerator column? for which status column?
   await workbook.xlsx.writeFile(outputFile);
 
-  basicStats(worksheet, cellMgr, 'ALGO_JUDGEMENT');
+  let missingOutCols = OUTPUT_FIELDS.filter(f => !colSet.has(toLocal(f))).map(toLocal);
+  if(missingOutCols.length) {
+    console.log('WARMING: output columns missing in the input file will not be included in the output file:\n%s', missingOutCols);
+  }
+}
+
+
+// Get the run info, see resultsWorkbookStyler.addRunInfoSheet()
+function getRunInfo(inputFile, outputFile) {
+  let {combinedMappingRuleXlsx, loincFileCSV, mapToFile, partSynonymsFiles, ruleTables} = globalMappingFiles;
+  return [
+    ['Run time', new Date().toISOString()],
+    ['Software version', require('../package.json').version],
+    ['Input file', wbStyler.getFileInfo(inputFile)],
+    ['Output file', path.resolve(outputFile)],
+    ['Combined mapping file', wbStyler.getFileInfo(combinedMappingRuleXlsx)],
+    ['LOINC table file', wbStyler.getFileInfo(loincFileCSV)],
+    ['LOINC version (latest VersionLastChanged)', loincTableUtil.loincVersion],
+    ['LOINC MapTo file', mapToFile? wbStyler.getFileInfo(mapToFile): '(none)'],
+    ['Part synonym tables', partSynonymsFiles.map(file => wbStyler.getFileInfo(file)).join('; ') || '(none)'],
+    ['Triage thresholds (fix, correct)', [triageThresholds.fix, triageThresholds.correct].join(', ')],
+    ['Rule tables (others built-in)', Object.entries(ruleTables).map(e => e.join(': ')).join('; ') || '(none)'],
+    ['Number of LOINC terms', Object.keys(loincToParts).length]
+  ];
+}
+
 
-  let missingOutCols = outputFields.filter(f => !colSet.has(f));
+/**
+ * Write the results into a delimited (CSV or TSV) file, the counterpart of updateResultsFile() for delimited
+ * input files: the output file has the same columns (in the same order) as the input file, where the output
+ * columns (see OUTPUT_FIELDS) are populated from the processed rows and all other columns are passed through
+ * untouched from the input rows. Output columns missing from the input file will not be included.
+ * @param processedRows the processed pcornet rows, see validateAndSuggest()
+ * @param inputRows the rows as loaded from the input file, must NOT be the same objects as processedRows since
+ *        the processing changes some of the input fields (e.g., SPECIMEN_SOURCE).
+ * @param outputFile the output file name
+ * @param delimiter optional, default to comma
+ * @param columnProfile optional, the column profile of the input file, see lib/columnProfile.js. The inputRows have
+ *        the local column names, and the processedRows have the standard column names.
+ * @return {Promise<string>} the output file written
+ */
+async function updateResultsDelimitedFile(processedRows, inputRows, outputFile, delimiter,
+                                          columnProfile = getColumnProfile()) {
+  let columns = inputRows.length? Object.keys(inputRows[0]): [];
+  let colSet = new Set(columns);
+  let toLocal = columnProfile.toLocal;
+  let outputFields = OUTPUT_FIELDS.filter(f => colSet.has(toLocal(f)));
+  let numRecordsCol = toLocal('NUM_RECORDS'); // a missing column counts as one record per row, see getNumRecords()
+
+  let statsCollector = getStatsCollector('ALGO_JUDGEMENT');
+  let outRows = inputRows.map((inputRow, index) => {
+    let updatedRow = processedRows[index];
+    statsCollector.add(outputFields.includes('ALGO_JUDGEMENT')? updatedRow.ALGO_JUDGEMENT: 'COL-NOT-EXIST',
+      getNumRecords({NUM_RECORDS: inputRow[numRecordsCol]}));
+    return getResultsRow(inputRow, updatedRow, outputFields, columnProfile);
+  });
+  await writeCSV(outRows, outputFile, delimiter, columns);
+  statsCollector.report();
+
+  let missingOutCols = OUTPUT_FIELDS.filter(f => !colSet.has(toLocal(f))).map(toLocal);
   if(missingOutCols.length) {
     console.log('WARMING: output columns missing in the input file will not be included in the output file:\n%s', missingOutCols);
   }
+  return outputFile;
 }
 
 
@@ -748,7 +1352,7 @@ function getAllPossibleUnits(row) {
       // Try all possible ucum mappings to get alternative unit spellings/formats
       ucumMapperMgr.getMapperNames().forEach(mapper => {
         [false, true].forEach(isCI => {
-          let ucumStatus = ucumMapperMgr.mapWith(mapper, unit, {isCI, loinc: row.LAB_LOINC, validate: false});
+          let ucumStatus = ucumMapperMgr.mapWith(mapper, unit, {isCI, loinc: getValidatedLoinc(row), validate: false});
           if(ucumStatus && ucumStatus.ucum) {
             uniqUnits[ucumStatus.ucum] = true;
           }
@@ -761,6 +1365,17 @@ function getAllPossibleUnits(row) {
 }
 
 
+// A copy of the input row with the given output fields populated from the processed row. If the column profile
+// is given, the output fields are written to the corresponding (local) columns of the input row.
+function getResultsRow(inputRow, processedRow, outputFields, columnProfile) {
+  let outRow = Object.assign({}, inputRow);
+  outputFields.forEach(f => { // not "|| ''" since ALGO_CONFIDENCE may be 0
+    outRow[columnProfile? columnProfile.toLocal(f): f] = isNEU(processedRow[f])? '': processedRow[f];
+  });
+  return outRow;
+}
+
+
 // for now, only support one level hash, with simple value or value list.
 function objToNVpairString(obj) {
   return Object.entries(obj||{}).map(([name, value]) => {
@@ -776,6 +1391,7 @@ function objToNVpairString(obj) {
 // Also, if from/to parts have exact value then remove it from both.
 function reformatValuesToString(row) {
   row.ALGO_MAPPING_ISSUES = (row.ALGO_MAPPING_ISSUES || []).join('; ');
+  row.RULES_FIRED = (row.RULES_FIRED || []).join('; ');
 
   // there is only one rule, 99999 now, so no need to do this.
   // let targetTerms = (row.TARGET_TERM || []).sort(getSort([t=> t.rule, true])); // let rule 99999 be the first
@@ -788,38 +1404,62 @@ function reformatValuesToString(row) {
 
 // ================ stats stuff, non core stuff =================
 
-function basicStats(worksheet, cellMgr, statusField) {
-  let stats = {};
-  let total = { TOTAL: 0, agg_TOTAL: 0};
+function basicStats(worksheet, cellMgr, statusField, columnProfile = getColumnProfile()) {
+  let statsCollector = getStatsCollector(statusField);
   let colSet = new Set(cellMgr.getColNames());
   // get cell value and use default if the COLUMN DOES NOT EXIST.
-  let getWithDefault = (field, rowOrd, defaultValue) => colSet.has(field)? cellMgr.getValue(field, rowOrd): defaultValue;
+  let getWithDefault = (field, rowOrd, defaultValue) => colSet.has(columnProfile.toLocal(field))?
+    cellMgr.getValue(columnProfile.toLocal(field), rowOrd): defaultValue;
 
 
   for(let rowNum = 2; rowNum <= worksheet.rowCount; ++rowNum) {
     // let numRecords = parseInt(cellMgr.getValue('NUM_RECORDS', rowNum)) || 0;
     // let currStatus = cellMgr.getValue(statusField, rowNum);
-    let numRecords = parseInt(getWithDefault('NUM_RECORDS', rowNum, 1));
+    let numRecords = getNumRecords({NUM_RECORDS: getWithDefault('NUM_RECORDS', rowNum, 1)});
     let currStatus = getWithDefault(statusField, rowNum, 'COL-NOT-EXIST');
-
-    total.TOTAL += 1; total.agg_TOTAL += numRecords;
-    stats[currStatus] = (stats[currStatus] || 0) + 1;
-    stats['agg_' + currStatus] = (stats['agg_' + currStatus] || 0) + numRecords;
+    statsCollector.add(currStatus, numRecords);
   }
 
-  let sortKeys = (obj) => Object.keys(obj).sort().reduce((acc, key) => { acc[key] = obj[key]; return acc; }, {});
-  stats = sortKeys(stats);
-  stats = Object.assign(total, stats);
-  if(statusField === 'ALGO_JUDGEMENT') { // only field for now.
-    statsReport_algo(stats);
-  }
+  return statsCollector.report();
+}
+
+
+/**
+ * Get a collector that counts the rows (simple and weighted by NUM_RECORDS) per status value, so that the
+ * stats can be collected regardless of where the rows come from (worksheet or rows in json).
+ * @param statusField the status field the stats are for, e.g., ALGO_JUDGEMENT
+ * @return an object with two functions:
+ *         - add(currStatus, numRecords): count a row with the given status and number of records
+ *         - report(): report the stats collected so far, for now only for ALGO_JUDGEMENT, returns the reported
+ *           stats, [simple, weighted], see statsReport_algo()
+ */
+function getStatsCollector(statusField) {
+  let stats = {};
+  let total = { TOTAL: 0, agg_TOTAL: 0};
+
+  return {
+    add: (currStatus, numRecords) => {
+      total.TOTAL += 1; total.agg_TOTAL += numRecords;
+      stats[currStatus] = (stats[currStatus] || 0) + 1;
+      stats['agg_' + currStatus] = (stats['agg_' + currStatus] || 0) + numRecords;
+    },
+    report: () => {
+      let sortKeys = (obj) => Object.keys(obj).sort().reduce((acc, key) => { acc[key] = obj[key]; return acc; }, {});
+      let allStats = Object.assign({}, total, sortKeys(stats));
+      if(statusField === 'ALGO_JUDGEMENT') { // only field for now.
+        return statsReport_algo(allStats);
+      }
+      return [];
+    }
+  };
 }
 
 
+// The judgement counts only, see evaluateResults.js for evaluating against the manual judgements (research runs)
 function statsReport_algo(stats) {
   let simple = {TYPE: 'simple'}, weighted = {TYPE: 'weighted'};
 
-  ['TOTAL', 'WACKO_INVALID_LOINC', 'WACKO_NUMERIC_RAW_NAME', 'CORRECT_aj', 'INCORRECT_aj', 'FIXED'].forEach(f => {
+  ['TOTAL', 'WACKO_INVALID_LOINC', 'WACKO_NUMERIC_RAW_NAME', 'CORRECT_aj', 'INCORRECT_aj', 'FIXED', 'REPLACED_mapto'].forEach(f => {
     simple[f.replace('WACKO_', '')] = stats[f];
     weighted[f.replace('WACKO_', '')] = stats['agg_' + f];
   });
@@ -828,4 +1468,5 @@ function statsReport_algo(stats) {
 
   writeCSV([simple, weighted],  path.join(globalOutputDir, 'overview-stats-algo.csv'));
   console.log('==== algo-judgement====%s', JSON.stringify([simple, weighted], null, 4));
+  return [simple, weighted];
 }
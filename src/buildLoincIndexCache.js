@@ -0,0 +1,25 @@
+// Build (or rebuild if out of date) the LOINC index cache for the given Loinc.csv, so that the later runs with the
+// --loinc-index-cache option start fast, see lib/loincIndexCache.js. This step is optional: the runs with the
+// option build the cache themselves if it's missing or out of date.
+
+const util = require('util');
+const {program} = require('commander');
+const {buildLoincIndexCache} = require('./lib/loincUtils');
+
+function err_exit(...args) {
+  console.error('\n%s', util.format(...args));
+  process.exit(1);
+}
+
+program
+  .usage('[options] <loinc-csv-file> [cache-file]')
+  .parse(process.argv);
+
+if(program.args.length < 1 || program.args.length > 2) {
+  err_exit('Usage: %s', program.usage());
+}
+let [loincFileCSV, cacheFile] = program.args;
+
+buildLoincIndexCache(loincFileCSV, cacheFile).then(cacheFile => {
+  console.log('The LOINC index cache for %s is up to date: %s', loincFileCSV, cacheFile);
+}).catch(e => err_exit('Unable to build the LOINC index cache: %s', e.message || e));
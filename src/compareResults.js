@@ -0,0 +1,73 @@
+// Compare the results files of two runs (as written by pcornetAltLoincSuggesterMain.js), e.g., before and after
+// a change to the rules or the mapping files, see lib/resultsComparer.js for the details. Two csv files are written:
+// - the rows whose ALGO_JUDGEMENT, SGG_LOINC, or ALGO_MAPPING_ISSUES changed (and the added/removed rows)
+// - the summary of the judgement transitions, by rows and by NUM_RECORDS.
+// This runs offline off the results files, the LOINC table and the mapping files are not needed.
+
+const path = require('path');
+const util = require('util');
+const {program} = require('commander');
+const {newFileNameFrom, writeCSV} = require('./lib/common');
+const {readDataRows} = require('./lib/dataFileUtil');
+const {INPUT_COLUMNS, getColumnProfile, loadColumnProfile} = require('./lib/columnProfile');
+const {DEFAULT_KEY_FIELDS, COMPARED_FIELDS, compareResults} = require('./lib/resultsComparer');
+const {OUTPUT_FIELDS} = require('./lib/outputFields');
+
+function err_exit(...args) {
+  console.error('\n%s', util.format(...args));
+  process.exit(1);
+}
+
+program
+  .usage('[options] <output-dir> <previous-results-file> <current-results-file>')
+  .option('-f, --format <format>', 'format of the results files: xlsx, csv, or tsv. ' +
+    'Default to the format by the file extension')
+  .option('-k, --key-columns <columns>', 'comma separated columns for matching the rows of the two files, default to ' +
+    DEFAULT_KEY_FIELDS.join(','))
+  .option('-p, --column-profile <json-file>', 'column mapping profile of the results files, see ' +
+    'data/sample-column-profile.json')
+  .parse(process.argv);
+
+if(program.args.length !== 3) {
+  err_exit('Usage: %s', program.usage());
+}
+let [outputDir, oldFile, newFile] = program.args;
+let options = program.opts();
+let keyFields = options.keyColumns? options.keyColumns.split(',').map(col => col.trim()).filter(col => col):
+  DEFAULT_KEY_FIELDS;
+
+(async () => {
+  let columnProfile = getColumnProfile(), oldRows, newRows;
+  try {
+    if(options.columnProfile) {
+      columnProfile = loadColumnProfile(options.columnProfile, [...INPUT_COLUMNS, ...OUTPUT_FIELDS]);
+    }
+    oldRows = (await readDataRows(oldFile, options.format)).map(columnProfile.toStandardRow);
+    newRows = (await readDataRows(newFile, options.format)).map(columnProfile.toStandardRow);
+  }
+  catch(e) {
+    err_exit(e.message);
+  }
+  [[oldFile, oldRows], [newFile, newRows]].forEach(([file, rows]) => {
+    let missing = [...keyFields, ...COMPARED_FIELDS].filter(f => rows.length && !rows[0].hasOwnProperty(f));
+    if(missing.length) {
+      err_exit('The column(s) %s are not found in %s', missing.map(columnProfile.toLocal).join(', '), file);
+    }
+  });
+
+  let {diffRows, transitions, stats} = compareResults(oldRows, newRows, keyFields);
+  let baseName = path.basename(newFile, path.extname(newFile));
+  let diffFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'diff', ext: '.csv'});
+  let summaryFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'diff-summary', ext: '.csv'});
+  let diffColumns = ['ROW_NUM', ...keyFields.filter(f => !['ROW_NUM', 'NUM_RECORDS'].includes(f)), 'NUM_RECORDS',
+    'CHANGE', ...COMPARED_FIELDS.reduce((acc, f) => acc.concat('OLD_' + f, 'NEW_' + f), [])];
+  await writeCSV(diffRows, diffFile, ',', diffColumns);
+  await writeCSV(transitions, summaryFile, ',', ['FROM', 'TO', 'NUM_ROWS', 'NUM_RECORDS']);
+
+  console.log('%s previous rows, %s current rows: %s matched, %s changed, %s added, %s removed', stats.numOld,
+    stats.numNew, stats.numMatched, stats.numChanged, stats.numAdded, stats.numRemoved);
+  console.log('Judgement transitions (rows / records):');
+  transitions.filter(t => t.FROM !== t.TO).forEach(t =>
+    console.log('  %s -> %s: %d / %d', t.FROM || '(empty)', t.TO || '(empty)', t.NUM_ROWS, t.NUM_RECORDS));
+  console.log('Changed rows written to %s, transition summary written to %s', diffFile, summaryFile);
+})();
@@ -0,0 +1,99 @@
+// Evaluate the algorithm judgements in a results file (as written by pcornetAltLoincSuggesterMain.js) against the
+// manual judgements in one of its columns (e.g., manual_judgement), see lib/resultsEvaluator.js for the details.
+// Three csv files are written:
+// - the confusion matrix of ALGO_JUDGEMENT vs the manual judgement, simple and weighted by NUM_RECORDS
+// - the precision/recall of the flagging and of the suggested LOINCs, overall and by CLASS and by issue type
+// - the rows disagreeing with the manual judgements.
+// This is meant to replace the overview-stats-algo.csv (judgement counts only) for the research runs.
+// This runs offline off the results file; the LOINC table is only needed for the CLASS breakdown (see --loinc) if
+// the results file has no CLASS column.
+
+const path = require('path');
+const util = require('util');
+const {program} = require('commander');
+const {newFileNameFrom, writeCSV} = require('./lib/common');
+const {readDataRows} = require('./lib/dataFileUtil');
+const {loadLoincTable} = require('./lib/loincUtils');
+const {INPUT_COLUMNS, getColumnProfile, loadColumnProfile} = require('./lib/columnProfile');
+const {DEFAULT_MANUAL_FIELDS, DEFAULT_MANUAL_LOINC_FIELD, MANUAL, evaluateResults} = require('./lib/resultsEvaluator');
+const {OUTPUT_FIELDS} = require('./lib/outputFields');
+
+function err_exit(...args) {
+  console.error('\n%s', util.format(...args));
+  process.exit(1);
+}
+
+program
+  .usage('[options] <output-dir> <results-file>')
+  .option('-f, --format <format>', 'format of the results file: xlsx, csv, or tsv. ' +
+    'Default to the format by the file extension')
+  .option('-m, --manual-column <column>', 'the column of the manual judgements, default to the first found of ' +
+    DEFAULT_MANUAL_FIELDS.join(', '))
+  .option('-c, --manual-loinc-column <column>', 'the column of the manual (correct) LOINCs, default to ' +
+    DEFAULT_MANUAL_LOINC_FIELD + ' if found. A LOINC code in the manual judgement column is also taken as one')
+  .option('-l, --loinc <loinc-csv>', 'the Loinc.csv file, for the CLASS of the mapped-to LOINCs if the results ' +
+    'file has no CLASS column')
+  .option('-p, --column-profile <json-file>', 'column mapping profile of the results file, see ' +
+    'data/sample-column-profile.json')
+  .parse(process.argv);
+
+if(program.args.length !== 2) {
+  err_exit('Usage: %s', program.usage());
+}
+let [outputDir, resultsFile] = program.args;
+let options = program.opts();
+
+(async () => {
+  let columnProfile = getColumnProfile(), rows, loincClasses = {};
+  try {
+    if(options.columnProfile) {
+      columnProfile = loadColumnProfile(options.columnProfile, [...INPUT_COLUMNS, ...OUTPUT_FIELDS]);
+    }
+    rows = (await readDataRows(resultsFile, options.format)).map(columnProfile.toStandardRow);
+    if(options.loinc) {
+      (await loadLoincTable(options.loinc, ['LOINC_NUM', 'CLASS'])).forEach(loinc =>
+        loincClasses[loinc.LOINC_NUM] = loinc.CLASS);
+    }
+  }
+  catch(e) {
+    err_exit(e.message || e);
+  }
+  if(! rows.length) {
+    err_exit('No rows in %s', resultsFile);
+  }
+  let manualField = options.manualColumn || DEFAULT_MANUAL_FIELDS.find(f => rows[0].hasOwnProperty(f));
+  let manualLoincField = options.manualLoincColumn || DEFAULT_MANUAL_LOINC_FIELD;
+  let missing = ['LAB_LOINC', 'ALGO_JUDGEMENT', 'SGG_LOINC', 'ALGO_MAPPING_ISSUES']
+    .filter(f => !rows[0].hasOwnProperty(f)).map(columnProfile.toLocal);
+  if(! manualField || !rows[0].hasOwnProperty(manualField)) {
+    missing.push(manualField || DEFAULT_MANUAL_FIELDS.join(' or '));
+  }
+  if(options.manualLoincColumn && !rows[0].hasOwnProperty(manualLoincField)) {
+    missing.push(manualLoincField);
+  }
+  if(missing.length) {
+    err_exit('The column(s) %s are not found in %s', missing.join(', '), resultsFile);
+  }
+
+  let {confusion, metrics, disagreements, stats} = evaluateResults(rows, {manualField, loincClasses,
+    manualLoincField: rows[0].hasOwnProperty(manualLoincField)? manualLoincField: null});
+  let baseName = path.basename(resultsFile, path.extname(resultsFile));
+  let confusionFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'eval-confusion', ext: '.csv'});
+  let metricsFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'eval-metrics', ext: '.csv'});
+  let disagreementsFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'eval-disagreements', ext: '.csv'});
+  await writeCSV(confusion, confusionFile, ',', ['TYPE', 'ALGO_JUDGEMENT', ...Object.values(MANUAL), 'TOTAL']);
+  await writeCSV(metrics, metricsFile, ',', ['GROUP_BY', 'GROUP', 'TYPE', 'JUDGED', 'TP', 'FP', 'FN', 'TN',
+    'FLAG_PRECISION', 'FLAG_RECALL', 'SGG_KNOWN', 'SGG_EXPECTED', 'SGG_AGREED', 'SGG_PRECISION', 'SGG_RECALL']);
+  await writeCSV(disagreements, disagreementsFile, ',', ['ROW_NUM', 'LAB_LOINC', 'RAW_LAB_NAME', 'RAW_UNIT',
+    'SPECIMEN_SOURCE', 'NUM_RECORDS', 'CLASS', 'ALGO_JUDGEMENT', 'ALGO_MAPPING_ISSUES', 'SGG_LOINC',
+    'MANUAL_JUDGEMENT', 'MANUAL_LOINC', 'DISAGREEMENT']);
+
+  console.log('%s rows, %s judged manually (column %s), %s with unrecognized manual judgements', stats.numRows,
+    stats.numJudged, manualField, stats.numUnrecognized);
+  console.log('Overall (rows / records):');
+  let [simple, weighted] = metrics.filter(m => m.GROUP_BY === 'overall');
+  ['FLAG_PRECISION', 'FLAG_RECALL', 'SGG_PRECISION', 'SGG_RECALL'].forEach(f =>
+    console.log('  %s: %s / %s', f, simple? simple[f]: '', weighted? weighted[f]: ''));
+  console.log('Confusion matrix written to %s, precision/recall to %s, %d disagreements to %s', confusionFile,
+    metricsFile, disagreements.length, disagreementsFile);
+})();
@@ -0,0 +1,62 @@
+// Export the suggested LOINC corrections in a results file (as written by pcornetAltLoincSuggesterMain.js)
+// into a FHIR R4 ConceptMap (json), see lib/fhirConceptMapExporter.js for the details.
+// This runs offline off the results file, the mapping files are not needed, and the LOINC table is optional (for
+// comparing the parts of the mapped-to and suggested LOINCs for the equivalence).
+
+const fs = require('fs');
+const util = require('util');
+const {program} = require('commander');
+const {readDataRows} = require('./lib/dataFileUtil');
+const {loadLoincTable, PartTypeList} = require('./lib/loincUtils');
+const {toConceptMap, DEFAULT_PROPERTY_URI} = require('./lib/fhirConceptMapExporter');
+
+function err_exit(...args) {
+  console.error('\n%s', util.format(...args));
+  process.exit(1);
+}
+
+program
+  .usage('[options] <results-file> <output-json-file>')
+  .option('-f, --format <format>', 'format of the results file: xlsx, csv, or tsv. ' +
+    'Default to the format by the file extension')
+  .option('--site-column <column>', 'column of the site (or data partner) code, added as a dependsOn property')
+  .option('--loinc <Loinc.csv>', 'the LOINC table, for comparing the parts of the mapped-to and suggested LOINCs ' +
+    'for the equivalence, which is based on the relaxations and mapping issues otherwise')
+  .option('--property-uri <uri>', 'base URI of the dependsOn properties (raw lab name, unit, and specimen source)',
+    DEFAULT_PROPERTY_URI)
+  .option('--url <url>', 'canonical url of the ConceptMap')
+  .option('--map-name <name>', 'name of the ConceptMap', 'LoincMappingCorrections')
+  .option('--map-version <version>', 'business version of the ConceptMap')
+  .option('--status <status>', 'status of the ConceptMap', 'draft')
+  .parse(process.argv);
+
+if(program.args.length !== 2) {
+  err_exit('Usage: %s', program.usage());
+}
+let [resultsFile, outputFile] = program.args;
+let options = program.opts();
+
+(async () => {
+  let rows, loincToParts = null;
+  try {
+    rows = await readDataRows(resultsFile, options.format);
+    if(options.loinc) {
+      loincToParts = {};
+      (await loadLoincTable(options.loinc, ['LOINC_NUM', ...PartTypeList])).forEach(loinc =>
+        loincToParts[loinc.LOINC_NUM] = loinc);
+    }
+  }
+  catch(e) {
+    err_exit(e.message || e);
+  }
+  if(rows.length && options.siteColumn && !rows[0].hasOwnProperty(options.siteColumn)) {
+    err_exit('The site column %s is not found in %s', options.siteColumn, resultsFile);
+  }
+
+  let conceptMap = toConceptMap(rows, {url: options.url, name: options.mapName, version: options.mapVersion,
+    status: options.status, siteField: options.siteColumn, propertyUri: options.propertyUri, loincToParts});
+  fs.writeFileSync(outputFile, JSON.stringify(conceptMap, null, 2));
+  let elements = conceptMap.group[0].element;
+  console.log('%s mapping corrections of %s mapped-to LOINCs written to %s',
+    elements.reduce((acc, element) => acc + element.target.length, 0), elements.length, outputFile);
+})();
@@ -0,0 +1,54 @@
+// Generate the LOINC part synonym table (see lib/loincPartSynonyms.js) from the LOINC Part files, see
+// lib/partSynonymGenerator.js for how the groups are found. The generated groups are "proposed"; the curators review
+// the table and set STATUS to "accepted" or "rejected" (with an optional CURATOR_NOTE), and only the accepted groups
+// are used. If the output file exists, e.g., when regenerating for a new LOINC release, the curator decisions in it
+// are carried over.
+// Regenerate into data/loinc-part-synonyms.csv (the groups curated there are kept) to have it loaded by default, or
+// see the --part-synonyms option of pcornetAltLoincSuggesterMain.js.
+
+const fs = require('fs');
+const util = require('util');
+const {program} = require('commander');
+const {writeCSV} = require('./lib/common');
+const {SYNONYM_TABLE_COLUMNS} = require('./lib/loincPartSynonyms');
+const {PART_TYPES, generatePartSynonymGroups, mergeCuratorDecisions} = require('./lib/partSynonymGenerator');
+
+function err_exit(...args) {
+  console.error('\n%s', util.format(...args));
+  process.exit(1);
+}
+
+program
+  .usage('[options] <part-csv-file> <output-csv-file> <loinc-part-link-csv-file...>')
+  .option('-t, --part-types <types>', 'comma separated part types to generate the synonyms for, default to ' +
+    PART_TYPES.join(','))
+  .option('-m, --max-group-size <size>', 'skip the groups with more parts than this', (value) => parseInt(value), 10)
+  .parse(process.argv);
+
+if(program.args.length < 3) {
+  err_exit('Usage: %s\n(the LoincPartLink files are LoincPartLink_Primary.csv and LoincPartLink_Supplementary.csv)',
+    program.usage());
+}
+let [partFile, outputFile, ...linkFiles] = program.args;
+let options = program.opts();
+let partTypes = options.partTypes? options.partTypes.split(',').map(t => t.trim().toUpperCase()).filter(t => t):
+  PART_TYPES;
+if(partTypes.some(type => !PART_TYPES.includes(type))) {
+  err_exit('Unsupported part type(s): %s', partTypes.filter(type => !PART_TYPES.includes(type)).join(', '));
+}
+if(!(options.maxGroupSize > 1)) {
+  err_exit('Invalid max group size: %s', options.maxGroupSize);
+}
+let missing = [partFile, ...linkFiles].filter(file => !fs.existsSync(file));
+if(missing.length) {
+  err_exit('File(s) not found: %s', missing.join(', '));
+}
+
+(async () => {
+  let groups = await generatePartSynonymGroups(partFile, linkFiles, {partTypes, maxGroupSize: options.maxGroupSize});
+  if(fs.existsSync(outputFile)) {
+    groups = await mergeCuratorDecisions(groups, outputFile);
+  }
+  await writeCSV(groups, outputFile, ',', SYNONYM_TABLE_COLUMNS);
+  console.log('%d synonym groups written to %s', groups.length, outputFile);
+})().catch(e => err_exit('Unable to generate the part synonyms: %s', e.message || e));
@@ -0,0 +1,126 @@
+
+// The row level confidence (ALGO_CONFIDENCE) of the algorithm judgement, and the triage (ALGO_TRIAGE) based on it,
+// so that the reviewers can focus on the uncertain rows. The confidence, from 0 to 1, is computed from:
+// - the issue confidences (see pcornetValidationMgr.addAlgoMappingIssue()), combined as independent evidences
+//   (noisy-OR) into the confidence that the mapping is wrong: 1 - (1 - c1) * (1 - c2) * ...
+// - for a suggested LOINC (FIXED, REPLACED_mapto), the fit of the suggested candidate, i.e., its score from
+//   selectBestMatch() in altLoincSuggesterGen6.js scaled to 0-1, and the number of relaxations used to find it,
+//   each reducing the confidence by RELAXATION_FACTOR. The confidence is: issue confidence * fit * factor^relaxations
+// - for a mapping judged correct, the number of the mapped LOINC parts corroborated by the raw name/unit, e.g., a
+//   parsed specimen that agrees with the mapped one: 1 - (1 - CORRECT_BASE) * (1 - CORRECT_EVIDENCE)^parts, i.e.,
+//   0.5 when nothing can be checked, 0.7 with one part that agrees, 0.82 with two, and so on. Each mapped part that
+//   disagrees with a class default part (e.g., the default specimen of the CLASS, which is only a guess) reduces it
+//   by DEFAULT_DISAGREEMENT_FACTOR, so that the row needs review rather than being judged incorrect. The mapping
+//   issues that don't make the mapping incorrect (e.g., a DISCOURAGED mapped LOINC without a replacement) reduce it
+//   further, by multiplying it with 1 - the issue confidence.
+// - for a mapping judged incorrect without a suggestion, the issue confidence.
+// The triage is one of:
+// - confident-fix: FIXED or REPLACED_mapto with the confidence at or above the "fix" threshold
+// - confident-correct: CORRECT_aj with the confidence at or above the "correct" threshold
+// - needs-review: all other rows processed, including the incorrect ones without a suggestion.
+// The rows not processed (e.g., WACKO_INVALID_LOINC, NON_QN) have neither the confidence nor the triage.
+
+const util = require('util');
+
+const FIXED_JUDGEMENTS = ['FIXED', 'REPLACED_mapto'];
+const RELAXATION_FACTOR = 0.9;
+const CORRECT_BASE = 0.5;
+const CORRECT_EVIDENCE = 0.4;
+const DEFAULT_DISAGREEMENT_FACTOR = 0.6;
+const FULL_MATCH_SCORE = 100; // a rule candidate matching all the parts without relaxations, see selectBestMatch()
+const DEFAULT_TRIAGE_THRESHOLDS = {fix: 0.6, correct: 0.8};
+const TRIAGE = {fix: 'confident-fix', review: 'needs-review', correct: 'confident-correct'};
+
+module.exports = {
+  DEFAULT_TRIAGE_THRESHOLDS,
+  TRIAGE,
+  getIssueConfidence,
+  getCandidateFit,
+  getAlgoConfidence,
+  getTriage,
+  parseTriageThresholds
+}
+
+
+/**
+ * Combine the given issue confidences into the confidence that the mapping is wrong, see the top of this file.
+ * @param issueConfidences issue type to confidence, see row.issue_confidences
+ * @return the combined confidence, 0 if no issues.
+ */
+function getIssueConfidence(issueConfidences) {
+  return 1 - Object.values(issueConfidences || {}).reduce((acc, c) => acc * (1 - Math.min(Math.max(c, 0), 1)), 1);
+}
+
+
+/**
+ * Get the fit of the given (suggested) candidate, from 0 to 1.
+ * @param candidate the candidate summary, see getCandidateSummary() in altLoincSuggesterGen6.js
+ * @return the fit: the candidate score scaled to 0-1 for the rule candidates, the score as is for the lexical
+ *         candidates (already 0-1), and 1 for the MapTo replacements or the candidates without a score.
+ */
+function getCandidateFit(candidate) {
+  if(! candidate || candidate.RULE_NUM === 'MapTo' || typeof candidate.score !== 'number') return 1;
+  let fit = candidate.RULE_NUM === 'Lexical'? candidate.score: candidate.score / FULL_MATCH_SCORE;
+  return Math.min(Math.max(fit, 0), 1);
+}
+
+
+/**
+ * Get the confidence of the algorithm judgement of a row, see the top of this file.
+ * @param judgement the ALGO_JUDGEMENT
+ * @param evidence a hash with the following fields:
+ *        - issueConfidences: issue type to confidence, see row.issue_confidences, also for CORRECT_aj
+ *        - candidate: the suggested candidate summary, for FIXED/REPLACED_mapto
+ *        - numCorroborated: the number of the mapped LOINC parts corroborated by the raw name/unit, for CORRECT_aj
+ *        - numDefaultDisagreements: the number of the mapped LOINC parts disagreeing with the class default parts,
+ *          for CORRECT_aj, see pcornetValidationMgr.getNumDefaultDisagreements()
+ * @return the confidence rounded to 2 decimals, or null if the judgement is not one of the above or INCORRECT_aj.
+ */
+function getAlgoConfidence(judgement, evidence) {
+  let {issueConfidences, candidate, numCorroborated = 0, numDefaultDisagreements = 0} = evidence || {};
+  let confidence = null;
+  if(FIXED_JUDGEMENTS.includes(judgement)) {
+    let numRelaxations = candidate && candidate.relaxations? candidate.relaxations.length: 0;
+    confidence = getIssueConfidence(issueConfidences) * getCandidateFit(candidate) *
+      Math.pow(RELAXATION_FACTOR, numRelaxations);
+  }
+  else if(judgement === 'INCORRECT_aj') {
+    confidence = getIssueConfidence(issueConfidences);
+  }
+  else if(judgement === 'CORRECT_aj') {
+    confidence = (1 - (1 - CORRECT_BASE) * Math.pow(1 - CORRECT_EVIDENCE, numCorroborated)) *
+      Math.pow(DEFAULT_DISAGREEMENT_FACTOR, numDefaultDisagreements) * (1 - getIssueConfidence(issueConfidences));
+  }
+  return confidence === null? null: Math.round(confidence * 100) / 100;
+}
+
+
+/**
+ * Get the triage of a row, see the top of this file.
+ * @param judgement the ALGO_JUDGEMENT
+ * @param confidence the confidence, see getAlgoConfidence()
+ * @param thresholds optional, {fix, correct}, default to DEFAULT_TRIAGE_THRESHOLDS
+ * @return one of the TRIAGE values, or empty string if the confidence is null (row not processed)
+ */
+function getTriage(judgement, confidence, thresholds = DEFAULT_TRIAGE_THRESHOLDS) {
+  if(confidence === null || confidence === undefined) return '';
+  if(FIXED_JUDGEMENTS.includes(judgement) && confidence >= thresholds.fix) return TRIAGE.fix;
+  if(judgement === 'CORRECT_aj' && confidence >= thresholds.correct) return TRIAGE.correct;
+  return TRIAGE.review;
+}
+
+
+/**
+ * Parse the triage thresholds given as "<fix>,<correct>", e.g., "0.6,0.8".
+ * @param text the thresholds text
+ * @return {fix, correct}
+ * @throws Error if the text is not two numbers from 0 to 1, separated by a comma.
+ */
+function parseTriageThresholds(text) {
+  let values = (text + '').split(',').map(v => v.trim());
+  let [fix, correct] = values.map(Number);
+  if(values.length !== 2 || values.some(v => !v) || ![fix, correct].every(v => v >= 0 && v <= 1)) {
+    throw new Error(util.format('Invalid triage thresholds "%s", expecting <fix>,<correct>, each from 0 to 1', text));
+  }
+  return {fix, correct};
+}
@@ -0,0 +1,98 @@
+
+// Column mapping profile, so that datasets with other column names (e.g., ARUP, Epic Clarity, or Cerner extracts)
+// can be validated as-is without renaming the columns: the (local) column names are mapped to the standard
+// (PCORnet) column names when the rows are loaded, and mapped back when the results are written, so that the
+// output file keeps the original headers. A profile is a json file like:
+// {
+//   "description": "optional description of the profile",
+//   "columns": {
+//     "local_code_name": "RAW_LAB_NAME",
+//     "units": "RAW_UNIT",
+//     ...
+//   }
+// }
+// where "columns" maps the local column names to the standard column names, which may be the input columns (see
+// INPUT_COLUMNS) or the output columns (e.g., ALGO_JUDGEMENT, SGG_LOINC). The columns not in the profile are used
+// as is. See data/sample-column-profile.json for an example.
+
+const fs = require('fs');
+const util = require('util');
+
+const INPUT_COLUMNS = ['ROW_NUM', 'LAB_LOINC', 'RAW_LAB_NAME', 'RAW_UNIT', 'SPECIMEN_SOURCE', 'NUM_RECORDS',
+  'Inclusion category'];
+
+module.exports = {
+  INPUT_COLUMNS,
+  getColumnProfile,
+  loadColumnProfile
+}
+
+
+/**
+ * Get the column profile for the given column mapping.
+ * @param columns optional, the mapping from the local column names to the standard column names. If not
+ *        specified, the profile is the identity mapping, i.e., the columns have the standard names already.
+ * @return the profile, with the following functions:
+ *         - toStandard(local): get the standard name for the given local column name
+ *         - toLocal(standard): get the local name for the given standard column name
+ *         - toStandardRow(row): get a copy of the given (loaded) row with the standard column names
+ *         - getConflicts(localColumns): for the given (local) columns of a file, get the list of the standard
+ *           columns that are both in the file and mapped from another column, which are ambiguous.
+ */
+function getColumnProfile(columns) {
+  let localToStd = Object.assign({}, columns);
+  let stdToLocal = Object.entries(localToStd).reduce((acc, [local, std]) => { acc[std] = local; return acc; }, {});
+  let toStandard = (local) => localToStd.hasOwnProperty(local)? localToStd[local]: local;
+
+  return {
+    toStandard,
+    toLocal: (std) => stdToLocal.hasOwnProperty(std)? stdToLocal[std]: std,
+    toStandardRow: (row) => Object.keys(row).reduce((acc, col) => {
+      if(localToStd.hasOwnProperty(col) || !stdToLocal.hasOwnProperty(col)) { // skip the shadowed standard columns
+        acc[toStandard(col)] = row[col];
+      }
+      return acc;
+    }, {}),
+    getConflicts: (localColumns) => localColumns.filter(col => stdToLocal.hasOwnProperty(col) &&
+      !localToStd.hasOwnProperty(col) && localColumns.includes(stdToLocal[col]))
+  };
+}
+
+
+/**
+ * Load the column profile from the given json file, see the top of this file for the format.
+ * @param profileFile the profile json file
+ * @param standardColumns the list of valid standard column names
+ * @return the profile, see getColumnProfile()
+ * @throws Error if the file is not valid, e.g., unknown standard column names, or the mapping is not one to one.
+ */
+function loadColumnProfile(profileFile, standardColumns) {
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(profileFile, 'utf8'));
+  }
+  catch(e) {
+    throw new Error(util.format('Unable to load the column profile %s: %s', profileFile, e.message));
+  }
+  let columns = profile && profile.columns;
+  if(!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw new Error(util.format('Invalid column profile %s: "columns" must be a mapping from the local column ' +
+      'names to the standard column names', profileFile));
+  }
+
+  let errors = [], seen = {};
+  Object.entries(columns).forEach(([local, std]) => {
+    if(! standardColumns.includes(std)) {
+      errors.push(util.format('%s: unknown standard column "%s"', local, std));
+    }
+    else if(seen[std]) {
+      errors.push(util.format('%s: "%s" is already mapped from %s', local, std, seen[std]));
+    }
+    seen[std] = seen[std] || local;
+  });
+  if(errors.length) {
+    throw new Error(util.format('Invalid column profile %s:\n  %s', profileFile, errors.join('\n  ')));
+  }
+
+  return getColumnProfile(columns);
+}
@@ -8,20 +8,70 @@ const xlsx = require('xlsx');
  * Write the given rows into the given csv file (or standard output if filename is not provided.
  * @param fileName
  * @param rows
+ * @param delimiter optional, default to comma
+ * @param columns optional, the list of columns (and their order) to write, default to the fields of the first row
+ * @return a promise that resolves when all rows have been written
  */
-function writeCSV(rows, fileName, delimiter) {
+function writeCSV(rows, fileName, delimiter, columns) {
   let options = {header: true};
   if(delimiter) {
     options.delimiter = delimiter;
   }
+  if(columns) {
+    options.columns = columns;
+  }
   let output = fileName? fs.createWriteStream(fileName): process.stdout;
   let csvWriter = csv.stringify(options);
+  let done = new Promise((resolve, reject) => {
+    (fileName? output: csvWriter).on('finish', resolve);
+    output.on('error', reject);
+  });
   csvWriter.pipe(output);
 
   for (let rec of rows) {
     csvWriter.write(rec);
   }
   csvWriter.end();
+  return done;
+}
+
+
+/**
+ * Get a writer for writing rows into the given csv file incrementally, e.g., when the rows are processed in
+ * chunks and can't be held in memory all at once. See writeCSV() for the parameters.
+ * @return a writer with two functions:
+ *         - write(rows): write the given list of rows, returns a promise that resolves when it's ok to write more.
+ *         - end(): finish the writing, returns a promise that resolves when all rows have been written.
+ */
+function getCSVWriter(fileName, delimiter, columns) {
+  let options = {header: true};
+  if(delimiter) {
+    options.delimiter = delimiter;
+  }
+  if(columns) {
+    options.columns = columns;
+  }
+  let output = fs.createWriteStream(fileName);
+  let csvWriter = csv.stringify(options);
+  let done = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+  });
+  csvWriter.pipe(output);
+
+  return {
+    write: (rows) => {
+      let ok = true;
+      for (let rec of rows) {
+        ok = csvWriter.write(rec);
+      }
+      return ok? Promise.resolve(): new Promise(resolve => csvWriter.once('drain', resolve));
+    },
+    end: () => {
+      csvWriter.end();
+      return done;
+    }
+  };
 }
 
 
@@ -130,12 +180,55 @@ function isNEU(value, blank) {
   return !! (value === null || value === '' || value === undefined || (blank && !(value + '').trim()));
 }
 
+// The number of records of the given (aggregated) row, i.e., its NUM_RECORDS, which may be formatted with thousands
+// separators, e.g., " 54,321 ". A row without NUM_RECORDS (blank or no such column) counts as one record, and an
+// unparsable value as zero. Used for all the counts weighted by NUM_RECORDS so that they agree.
+function getNumRecords(row) {
+  return isNEU(row.NUM_RECORDS, true)? 1: parseInt((row.NUM_RECORDS + '').replace(/,/g, '')) || 0;
+}
+
 // will trim value and remove empty elements
 // default delimiter is semi-colon if not specified.
 function delimitedToList(value, delimiter) {
   return (value || '').split(delimiter || ';').map(e => e.trim()).filter(e => e);
 }
 
+// Get a key for the combination of the given field values of the given object, e.g., for aggregating the
+// records that have the same LAB_LOINC, RAW_LAB_NAME, RAW_UNIT. Values are trimmed, null/undefined as empty.
+function getComboKey(obj, fields) {
+  return fields.map(f => isNEU(obj[f])? '': (obj[f] + '').trim()).join('\t');
+}
+
+/**
+ * Get an aggregator that aggregates records into rows of the distinct combinations of the given key fields, with
+ * the number of records as NUM_RECORDS, e.g., to turn the individual lab results into the (PCORnet style) rows.
+ * @param keyFields the list of fields of the combination, see getComboKey()
+ * @param mergeRecord optional, function(row, record) called for each record added, e.g., for collecting values
+ *        of other fields into the row.
+ * @return the aggregator with the following functions:
+ *         - add(record, count): add the record (count default to 1), returns the index of the row for the record.
+ *         - getRows(): the list of rows, each has ROW_NUM (1-based, in the order first seen), the key fields, and
+ *           NUM_RECORDS, plus whatever added by mergeRecord.
+ */
+function getComboAggregator(keyFields, mergeRecord) {
+  let keyToIndex = {}, rows = [];
+  return {
+    add: (record, count) => {
+      let key = getComboKey(record, keyFields);
+      if(! keyToIndex.hasOwnProperty(key)) {
+        keyToIndex[key] = rows.length;
+        rows.push(copyFields(record, {ROW_NUM: rows.length + 1}, keyFields));
+        rows[rows.length - 1].NUM_RECORDS = 0;
+      }
+      let row = rows[keyToIndex[key]];
+      row.NUM_RECORDS += (count === undefined? 1: count);
+      if(mergeRecord) mergeRecord(row, record);
+      return keyToIndex[key];
+    },
+    getRows: () => rows
+  };
+}
+
 // true IFF both lists are non-empty and has common elements, except when emptyEmptyOk is
 // true in which case two lists are considered overlap if both are empty (or null/undefined)
 function listsOverlap(list1, list2, emptyEmptyOk=false) {
@@ -353,8 +446,10 @@ module.exports = {
   isExcludedStatus,
   arrNoOrdShallowEq,
   writeCSV,
+  getCSVWriter,
   fixUnit,
   isNEU,
+  getNumRecords,
   fixHoursInInut,
   xlsxColNamesForSheet,
   listsOverlap,
@@ -363,6 +458,8 @@ module.exports = {
   getXlsxWorksheetAndJson,
   addToValueList,
   delimitedToList,
+  getComboKey,
+  getComboAggregator,
   arrayToMap: (array) => array.reduce((acc, value) => {acc[value] = value; return acc}, {}),
   fieldListMapping,
   getSort,
@@ -1,6 +1,7 @@
 // A util script that loads CSV file into an array, for use with small csv files only.
 var fs = require('fs');
 var csv = require('csv');
+var csvSync = require('csv/lib/sync');
 var iconv = require('iconv-lite');
 
 
@@ -65,9 +66,148 @@ function readExcelCSV(csvFile, csvOptions) {
 }
 
 
+/**
+ * Detect the encoding of the given CSV file, which is either UTF-8 or the Microsoft excel encoding (iso88591).
+ * Only the beginning of the file is checked: if it decodes as UTF-8 without any invalid byte sequences (or
+ * has the UTF-8 BOM), it's considered UTF-8, otherwise it's considered an excel CSV file.
+ * @param csvFile
+ * @param sampleSize optional, number of bytes to check, default to 64K
+ * @return 'utf8' or 'iso88591'
+ */
+function detectEncoding(csvFile, sampleSize = 65536) {
+  let fd = fs.openSync(csvFile, 'r');
+  let buffer = Buffer.alloc(sampleSize);
+  let bytesRead = fs.readSync(fd, buffer, 0, sampleSize, 0);
+  fs.closeSync(fd);
+  buffer = buffer.slice(0, bytesRead);
+
+  if(buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return 'utf8';
+  }
+  // the sample may end in the middle of a multi-byte character, don't let that be mistaken as an invalid sequence.
+  let text = buffer.toString('utf8', 0, bytesRead < sampleSize? bytesRead: bytesRead - 3);
+  return text.indexOf('\uFFFD') < 0? 'utf8': 'iso88591';
+}
+
+
+/**
+ * Detect the delimiter of the given delimited file, tab or comma, whichever appears more in the header line.
+ * This is for files that may come either way, e.g., the OMOP vocabulary files (CONCEPT.csv) are tab delimited.
+ * @param csvFile
+ * @return tab or comma
+ */
+function detectDelimiter(csvFile) {
+  let header = readFirstLine(csvFile, 'utf8');
+  let count = (delim) => header.split(delim).length - 1;
+  return count('\t') > count(',')? '\t': ',';
+}
+
+
+/**
+ * Read the column names in the header line of the given CSV file without reading the rest of the file, e.g., for
+ * checking the required columns before reading a large file in chunks (see readInChunks()).
+ * @param csvFile
+ * @param csvOptions the same options as for reading the records; if the columns option is a function, it's applied
+ *        to the column names, e.g., for lower casing them.
+ * @return the list of column names, empty if the file is empty.
+ */
+function readHeader(csvFile, csvOptions) {
+  let {columns, delimiter} = csvOptions || {};
+  let header = readFirstLine(csvFile, detectEncoding(csvFile)).replace(/^\uFEFF/, '');
+  let names = header? csvSync.parse(header, {delimiter: delimiter || ',', relax: true})[0] || []: [];
+  return typeof columns === 'function'? columns(names): names;
+}
+
+
+// The first line of the given file (within the first 64K bytes), decoded with the given encoding
+function readFirstLine(csvFile, encoding) {
+  let fd = fs.openSync(csvFile, 'r');
+  let buffer = Buffer.alloc(65536);
+  let bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  fs.closeSync(fd);
+  return iconv.decode(buffer.slice(0, bytesRead), encoding).split(/\r?\n/)[0];
+}
+
+
+/**
+ * Load CSV file into a list of records, detecting the encoding first (see detectEncoding()): UTF-8 files are
+ * read with readCSV() (with the BOM, if any, stripped), otherwise with readExcelCSV().
+ * This is meant to use with smaller files only where you can afford to load the whole thing in memory.
+ * @param csvFile
+ * @param csvOptions options/hash directly passed to csv.parse(), so see csv.parse() for more details.
+ * @returns {Promise} resolves to the record list loaded.
+ */
+function readWithEncodingDetection(csvFile, csvOptions) {
+  return detectEncoding(csvFile) === 'utf8'?
+    readCSV(csvFile, Object.assign({bom: true}, csvOptions)):
+    readExcelCSV(csvFile, csvOptions);
+}
+
+
+/**
+ * Read the given (potentially very large) CSV file in chunks of records, so that the file can be processed
+ * with bounded memory. The encoding is detected the same way as in readWithEncodingDetection().
+ * The parsing is paused while a chunk is being processed, so processChunk may be asynchronous (e.g., when
+ * writing the processed records to another stream).
+ * @param csvFile
+ * @param csvOptions options/hash directly passed to csv.parse(), so see csv.parse() for more details.
+ * @param chunkSize the (max) number of records in a chunk
+ * @param processChunk the function to process a chunk, which is called with three parameters:
+ *        - records: the list of records in the chunk
+ *        - startIndex: the 0-based index (in the file) of the first record in the chunk
+ *        - progress: a hash with two fields, bytesRead and totalBytes, for showing progress.
+ *        It may return a promise, in which case the reading is resumed after the promise resolves.
+ * @returns {Promise} resolves to the total number of records read and processed.
+ */
+function readInChunks(csvFile, csvOptions, chunkSize, processChunk) {
+  let encoding = detectEncoding(csvFile);
+  let parser = csv.parse(encoding === 'utf8'? Object.assign({bom: true}, csvOptions): csvOptions);
+  let fileStream = fs.createReadStream(csvFile);
+  let totalBytes = fs.statSync(csvFile).size;
+
+  return new Promise(function(resolve, reject) {
+    let chunk = [];
+    let count = 0;
+    let flush = () => {
+      let records = chunk;
+      let startIndex = count;
+      chunk = [];
+      count += records.length;
+      let progress = {bytesRead: fileStream.bytesRead, totalBytes};
+      // in a then() so that a synchronous throw in processChunk also rejects, rather than escaping the parser events
+      return Promise.resolve().then(() => processChunk(records, startIndex, progress));
+    };
+    let failed = (err) => {
+      console.error('ERROR happened in readInChunks: ', err);
+      fileStream.destroy();
+      reject(err);
+    };
+
+    parser.on('data', (record) => {
+      chunk.push(record);
+      if(chunk.length >= chunkSize) {
+        parser.pause();
+        flush().then(() => parser.resume()).catch(failed);
+      }
+    });
+    parser.on('end', () => {
+      (chunk.length? flush(): Promise.resolve()).then(() => resolve(count)).catch(failed);
+    });
+    parser.on('error', failed);
+
+    (encoding === 'utf8'? fileStream: fileStream.pipe(iconv.decodeStream(encoding))).pipe(parser);
+  });
+}
+
+
 module.exports = {
   read: readCSV,
-  readExcelCSV
+  readInChunks,
+  readExcelCSV,
+  readWithEncodingDetection,
+  detectEncoding,
+  detectDelimiter,
+  readHeader
 };
 
 if(require.main === module) {
@@ -0,0 +1,66 @@
+
+// Reading the input data file (the rows to be validated) in one of the supported formats:
+// - xlsx: the Excel file, the first worksheet is used. See the sample-input-file.xlsx
+// - csv, tsv: delimited text files (comma or tab separated) with a header row.
+// The format may be given explicitly or is determined by the file extension.
+
+const path = require('path');
+const util = require('util');
+const {getXlsxSheetJson} = require('./common');
+const csvReader = require('./csvReader');
+
+// format name to the delimiter (null for xlsx, which is not a delimited file)
+const FileFormats = {
+  xlsx: null,
+  csv: ',',
+  tsv: '\t'
+};
+
+// file extension (lower case) to the format
+const extToFormat = {
+  '.xlsx': 'xlsx',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.txt': 'tsv'
+};
+
+module.exports = {
+  FileFormats,
+  getFileFormat,
+  getDelimiter: (format) => FileFormats[format],
+  readDataRows
+}
+
+
+/**
+ * Get the data file format for the given file, either as explicitly specified or based on the file extension.
+ * @param fileName the data file name/path
+ * @param format optional, one of the formats in FileFormats (case insensitive), if specified, it's used as is.
+ * @return the format name, e.g., xlsx, csv, tsv
+ * @throws Error if the format is unknown or can not be determined by the file extension.
+ */
+function getFileFormat(fileName, format) {
+  format = format? format.toLowerCase(): extToFormat[path.extname(fileName || '').toLowerCase()];
+  if(! format || ! FileFormats.hasOwnProperty(format)) {
+    throw new Error(util.format('Unknown or unsupported data file format for %s, supported formats: %s',
+      fileName, Object.keys(FileFormats).join(', ')));
+  }
+  return format;
+}
+
+
+/**
+ * Load the rows of the given data file, each row is a map from column name (the header) to the value.
+ * For delimited files, the encoding is detected (UTF-8 or the excel iso88591), see csvReader.
+ * @param fileName the data file name/path
+ * @param format optional, see getFileFormat()
+ * @return {Promise} resolves to the list of rows.
+ */
+async function readDataRows(fileName, format) {
+  format = getFileFormat(fileName, format);
+  if(format === 'xlsx') {
+    return getXlsxSheetJson(fileName);
+  }
+  return csvReader.readWithEncodingDetection(fileName, {columns: true, delimiter: FileFormats[format]});
+}
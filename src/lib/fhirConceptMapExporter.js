@@ -0,0 +1,189 @@
+// Exporting the suggested LOINC corrections (rows with ALGO_JUDGEMENT FIXED, or REPLACED_mapto for the retired
+// mapped-to LOINCs replaced per the LOINC MapTo file) as a FHIR R4 ConceptMap, so that
+// the mapping changes (LAB_LOINC --> SGG_LOINC) can be loaded into a terminology server. This works entirely
+// off the result rows (see altLoincSuggesterGen6.updateResultsFile()); the LOINC parts (for the equivalence, see
+// getEquivalence()) are taken from the processed rows if available, or from the LOINC table if given.
+// - One group, with LOINC as both the source and the target system.
+// - One element per mapped-to LOINC (LAB_LOINC), with the raw lab name as the display if all its rows have the
+//   same raw name.
+// - One target per row, SGG_LOINC, with the raw lab name, raw unit, and specimen source (if any) as the
+//   "dependsOn" properties (the URIs under the propertyUri, see toConceptMap()), which tell apart the targets of
+//   the same element, RULE_RELAXED_BY as the comment, and the equivalence as determined by getEquivalence().
+//   A column of the result rows (e.g., a site or data partner code) may be added as one more dependsOn property.
+// - The sourceUri and targetUri are the value set of all LOINC codes, http://loinc.org/vs.
+
+const {delimitedToList, isNEU, getDateString} = require('./common');
+const {RETIRED_STATUSES} = require('./loincMapTo');
+const PartTypeList = require('./loincUtils').PartTypeList;
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const LOINC_VALUE_SET = 'http://loinc.org/vs'; // the implicit value set of all LOINC codes
+// The default base URI of the dependsOn properties, see toConceptMap()
+const DEFAULT_PROPERTY_URI = 'http://example.org/fhir/loinc-mapping-validation/property';
+const CORRECTED_JUDGEMENTS = ['FIXED', 'REPLACED_mapto'];
+const COMPARED_PART_TYPES = PartTypeList.filter(pt => pt !== 'CLASS');
+
+// Relaxations (see altLoincSuggesterGen6.matchPart) where the suggested LOINC is more general than the
+// raw test, e.g., the method or specimen is not specified, or some details are dropped from the component.
+const wideningRelaxations = [
+  /^METHOD-empty-ok$/,
+  /^METHOD-match-waived$/,
+  /^specimen-xxx-match-waived$/,
+  /^matchPart: dropping /
+];
+
+// Relaxations where the suggested LOINC is more specific than what's known of the raw test.
+const narrowingRelaxations = [
+  /^matched-with-default-specimen$/
+];
+
+// the source properties for the dependsOn of the targets, row field to the property
+const dependsOnFields = ['RAW_LAB_NAME', 'RAW_UNIT', 'SPECIMEN_SOURCE'];
+
+module.exports = {
+  LOINC_SYSTEM,
+  DEFAULT_PROPERTY_URI,
+  getEquivalence,
+  toConceptMap
+}
+
+
+/**
+ * Determine the ConceptMap equivalence between the mapped-to LOINC and the suggested LOINC of a (FIXED) row, by
+ * comparing their parts (see comparePart()), with the relaxations used in finding the suggested LOINC as extra
+ * evidence:
+ * - wider: the suggested LOINC is more general, e.g., the mapped-to METHOD is dropped, or Ser to Ser/Plas.
+ * - narrower: the suggested LOINC is more specific, e.g., Ser/Plas to Ser, or a default specimen was assumed.
+ * - inexact: some parts are just different, e.g., MCnc to SCnc, or both of the above apply.
+ * - equivalent: the parts are the same and there are no relaxations, e.g., a REPLACED_mapto row.
+ * If the parts are not available, the ALGO_MAPPING_ISSUES (other than the DEPRECATED/DISCOURAGED status of the
+ * mapped-to LOINC) make the suggestion inexact unless the relaxations tell otherwise.
+ * @param row a result row, the ALGO_MAPPING_ISSUES and RULE_RELAXED_BY fields are used, and the parts, see
+ *        getMappedAndSuggestedParts()
+ * @param loincToParts optional, LOINC# to the parts (part type to the part name), for the rows without the parts
+ * @return the equivalence code.
+ */
+function getEquivalence(row, loincToParts) {
+  let relaxations = delimitedToList(row.RULE_RELAXED_BY);
+  let changes = new Set(); // wider, narrower, different
+  relaxations.forEach(relax => {
+    if(wideningRelaxations.some(re => re.test(relax))) changes.add('wider');
+    if(narrowingRelaxations.some(re => re.test(relax))) changes.add('narrower');
+  });
+
+  let {mapped, suggested} = getMappedAndSuggestedParts(row, loincToParts);
+  if(mapped && suggested) {
+    COMPARED_PART_TYPES.forEach(pt => {
+      let change = comparePart(pt, mapped[pt] || '', suggested[pt] || '');
+      if(change) changes.add(change);
+    });
+  }
+  else if(delimitedToList(row.ALGO_MAPPING_ISSUES).some(issue => !RETIRED_STATUSES.includes(issue)) &&
+    ! changes.size) {
+    changes.add('different');
+  }
+
+  if(changes.has('different') || changes.has('wider') && changes.has('narrower')) {
+    return 'inexact';
+  }
+  return changes.has('wider')? 'wider': changes.has('narrower')? 'narrower': 'equivalent';
+}
+
+
+// Compare the mapped-to part with the suggested part of the given type: null if the same, "wider" if the suggested
+// one is more general (e.g., the METHOD dropped, the SYSTEM Ser to Ser/Plas or XXX, the COMPONENT Thyroxine.free to
+// Thyroxine), "narrower" if the other way around, and "different" otherwise.
+function comparePart(partType, mappedPart, suggestedPart) {
+  if(mappedPart === suggestedPart) return null;
+  let isMoreGeneral = (general, specific) => {
+    if(! specific) return false;
+    switch(partType) {
+      case 'METHOD':
+        return ! general;
+      case 'SYSTEM':
+        return general === 'XXX' || general.split('/').includes(specific);
+      case 'COMPONENT':
+        return !! general && ['.', '^'].includes(specific.charAt(general.length)) && specific.startsWith(general);
+      default:
+        return false;
+    }
+  };
+  return isMoreGeneral(suggestedPart, mappedPart)? 'wider': isMoreGeneral(mappedPart, suggestedPart)? 'narrower':
+    'different';
+}
+
+
+// Get the parts of the mapped-to and the suggested LOINCs of the given row, each a map from the part type to the
+// part name or null if not available: from the processed row (the mapped-to parts are the row fields, and the
+// suggested one is the first candidate), or from loincToParts.
+function getMappedAndSuggestedParts(row, loincToParts) {
+  let lookup = (loinc) => loincToParts && loincToParts[String(loinc).trim()] || null;
+  let candidate = (row.candidates || [])[0];
+  let isProcessed = typeof row.COMPONENT === 'string' && row.COMPONENT && !row.mapto; // the parts of LAB_LOINC
+  return {
+    mapped: isProcessed? PartTypeList.reduce((acc, pt) => { acc[pt] = row[pt] || ''; return acc; }, {}):
+      lookup(row.LAB_LOINC),
+    suggested: candidate && candidate.LOINC_NUM === row.SGG_LOINC && candidate.parts || lookup(row.SGG_LOINC)
+  };
+}
+
+
+/**
+ * Create a FHIR R4 ConceptMap for the LOINC corrections in the given result rows (see the top of this file).
+ * @param rows the result rows, only the rows with ALGO_JUDGEMENT FIXED or REPLACED_mapto and a SGG_LOINC are used.
+ * @param opts optional settings:
+ *        - url, name, title, version: the corresponding ConceptMap elements
+ *        - status: the ConceptMap status, default to draft
+ *        - siteField: the row field (e.g., a site or data partner code) to add as a dependsOn property, if any.
+ *        - propertyUri: the base URI of the dependsOn properties, default to DEFAULT_PROPERTY_URI
+ *        - loincToParts: LOINC# to the parts (part type to part name), for the equivalence, see getEquivalence()
+ * @return the ConceptMap resource (json object)
+ */
+function toConceptMap(rows, opts) {
+  let {url, name = 'LoincMappingCorrections', title, version, status = 'draft', siteField,
+    propertyUri = DEFAULT_PROPERTY_URI, loincToParts} = opts || {};
+  let fields = siteField? [...dependsOnFields, siteField]: dependsOnFields;
+  let elements = {}; // LAB_LOINC to the element
+
+  rows.filter(row => CORRECTED_JUDGEMENTS.includes(row.ALGO_JUDGEMENT) && row.SGG_LOINC).forEach(row => {
+    let code = String(row.LAB_LOINC).trim();
+    let element = elements[code] = elements[code] || {code, display: row.RAW_LAB_NAME || undefined, target: []};
+    if(element.display !== (row.RAW_LAB_NAME || undefined)) element.display = null; // differs, dropped below
+    element.target.push(toTarget(row, fields, propertyUri, loincToParts));
+  });
+  Object.values(elements).forEach(element => { if(! element.display) delete element.display; });
+
+  let conceptMap = {
+    resourceType: 'ConceptMap',
+    url,
+    version,
+    name,
+    title,
+    status,
+    date: getDateString(),
+    description: 'Suggested corrections of LOINC mappings, from the LOINC mapping validation and correction tool',
+    sourceUri: LOINC_VALUE_SET,
+    targetUri: LOINC_VALUE_SET,
+    group: [{source: LOINC_SYSTEM, target: LOINC_SYSTEM, element: Object.values(elements)}]
+  };
+  Object.keys(conceptMap).forEach(key => { if(conceptMap[key] === undefined) delete conceptMap[key]; });
+
+  return conceptMap;
+}
+
+
+// Create the ConceptMap element target for the given result row, the given fields are the dependsOn properties
+// (under propertyUri)
+function toTarget(row, fields, propertyUri, loincToParts) {
+  let target = {
+    code: String(row.SGG_LOINC).trim(),
+    display: row.SGG_LONG_COMMON_NAME || undefined,
+    equivalence: getEquivalence(row, loincToParts),
+    comment: row.RULE_RELAXED_BY || undefined,
+    dependsOn: fields.filter(field => !isNEU(row[field], true))
+      .map(field => ({property: propertyUri.replace(/\/+$/, '') + '/' + field, value: String(row[field])}))
+  };
+  Object.keys(target).forEach(key => { if(target[key] === undefined) delete target[key]; });
+  if(! target.dependsOn.length) delete target.dependsOn;
+  return target;
+}
@@ -0,0 +1,217 @@
+
+// Input adapter for FHIR (R4) Observation resources, so that the LOINC codes in FHIR feeds can be validated the
+// same way as the PCORnet rows. The input file may be:
+// - a json file of a Bundle (e.g., a searchset or collection), or a single Observation, or
+// - an NDJSON file (e.g., from the FHIR bulk data export), one resource (Observation, Specimen, or Bundle) per line.
+// Each Observation with a LOINC coding is turned into the row fields as:
+// - LAB_LOINC: the code of the first LOINC coding in Observation.code
+// - RAW_LAB_NAME: Observation.code.text, or the display of the first non-LOINC (e.g., local) coding
+// - RAW_UNIT: Observation.valueQuantity.unit, or valueQuantity.code if there is no unit
+// - SPECIMEN_SOURCE: the type of the referenced Specimen (found in the bundle/file or in the contained resources),
+//   as the LOINC SYSTEM part name if the text, a display, or a SNOMED CT code is a known specimen type (see
+//   SPECIMEN_TYPE_NAMES and SNOMED_SPECIMEN_TYPES), otherwise the text, or the display or code of the first coding.
+// The observations are then aggregated by the distinct combinations of these fields (with NUM_RECORDS), which
+// are the rows to be validated. The results may be written back to the observations as an extension.
+
+const fs = require('fs');
+const {getComboAggregator, isNEU} = require('./common');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+// The LOINC SYSTEM part names for the common specimen type names, in lower case without the trailing "specimen" or
+// "sample". The LOINC SYSTEM part names themselves (e.g., Ser, Urine) are recognized later on, no need to list here.
+const SPECIMEN_TYPE_NAMES = {
+  'serum': 'Ser', 'plasma': 'Plas', 'serum or plasma': 'Ser/Plas', 'acellular blood (serum or plasma)': 'Ser/Plas',
+  'blood': 'Bld', 'whole blood': 'Bld', 'venous blood': 'BldV', 'arterial blood': 'BldA', 'capillary blood': 'BldC',
+  'urine': 'Urine', 'ur': 'Urine', 'random urine': 'Urine', 'spot urine': 'Urine', 'cerebrospinal fluid': 'CSF',
+  'feces': 'Stool', 'stool': 'Stool', 'stl': 'Stool', 'sputum': 'Sputum', 'saliva': 'Saliva', 'seminal fluid': 'Semen', 'bone marrow': 'Bone mar',
+  'pleural fluid': 'Plr fld', 'peritoneal fluid': 'Periton fld', 'amniotic fluid': 'Amnio fld'
+};
+// The LOINC SYSTEM part names for the SNOMED CT codes of the common specimen types
+const SNOMED_SPECIMEN_TYPES = {
+  '119364003': 'Ser', // Serum specimen
+  '119361006': 'Plas', // Plasma specimen
+  '122592007': 'Ser/Plas', // Acellular blood (serum or plasma) specimen
+  '119297000': 'Bld', // Blood specimen
+  '258580003': 'Bld', // Whole blood sample
+  '122555007': 'BldV', // Venous blood specimen
+  '122552005': 'BldA', // Arterial blood specimen
+  '122554006': 'BldC', // Capillary blood specimen
+  '122575003': 'Urine', // Urine specimen
+  '258450006': 'CSF', // Cerebrospinal fluid sample
+  '119339001': 'Stool', // Stool specimen
+  '119334006': 'Sputum', // Sputum specimen
+  '119342007': 'Saliva', // Saliva specimen
+  '119347001': 'Semen', // Seminal fluid specimen
+  '119359002': 'Bone mar', // Bone marrow specimen
+  '418564007': 'Plr fld', // Pleural fluid specimen
+  '168139001': 'Periton fld', // Peritoneal fluid specimen
+  '119373006': 'Amnio fld' // Amniotic fluid specimen
+};
+const ROW_FIELDS = ['LAB_LOINC', 'RAW_LAB_NAME', 'RAW_UNIT', 'SPECIMEN_SOURCE'];
+// The default url for the extension that carries the validation results, see annotateObservation()
+const DEFAULT_EXTENSION_URL = 'http://example.org/fhir/StructureDefinition/loinc-mapping-validation';
+
+module.exports = {
+  ROW_FIELDS,
+  DEFAULT_EXTENSION_URL,
+  loadResources,
+  observationToFields,
+  aggregateObservations,
+  annotateObservation,
+  writeResources
+}
+
+
+/**
+ * Load the FHIR resources from the given file (see the top of this file for the supported files).
+ * @param fileName the input file name, a .ndjson file is read as NDJSON, otherwise as json.
+ * @return a hash with the following fields:
+ *         - isNdjson: whether the file was read as NDJSON
+ *         - topResources: the top level resources as in the file, e.g., for writing back, see writeResources()
+ *         - observations: all Observation resources, including those in (nested) bundles
+ *         - specimenIndex: a map from the possible references (Specimen/id, fullUrl) to the Specimen resources
+ */
+function loadResources(fileName) {
+  let content = fs.readFileSync(fileName, 'utf8').replace(/^\uFEFF/, '');
+  let isNdjson = /\.ndjson$/i.test(fileName);
+  let topResources = isNdjson? content.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    }
+    catch(e) {
+      throw new Error(`Invalid json at line ${index+1} of ${fileName}: ${e.message}`);
+    }
+  }): [JSON.parse(content)];
+
+  let observations = [], specimenIndex = {};
+  function collect(resource, fullUrl) {
+    if(!resource) return;
+    if(resource.resourceType === 'Bundle') {
+      (resource.entry || []).forEach(entry => collect(entry.resource, entry.fullUrl));
+    }
+    else if(resource.resourceType === 'Observation') {
+      observations.push(resource);
+    }
+    else if(resource.resourceType === 'Specimen') {
+      if(resource.id) specimenIndex['Specimen/' + resource.id] = resource;
+      if(fullUrl) specimenIndex[fullUrl] = resource;
+    }
+  }
+  topResources.forEach(resource => collect(resource));
+
+  return {isNdjson, topResources, observations, specimenIndex};
+}
+
+
+/**
+ * Get the row fields (see ROW_FIELDS and the top of this file) for the given observation.
+ * @param obs the Observation resource
+ * @param specimenIndex see loadResources()
+ * @return the row fields, or null if the observation does not have a LOINC coding.
+ */
+function observationToFields(obs, specimenIndex) {
+  let codings = (obs.code && obs.code.coding) || [];
+  let loincCoding = codings.find(coding => coding.system === LOINC_SYSTEM && coding.code);
+  if(! loincCoding) {
+    return null;
+  }
+  let localCoding = codings.find(coding => coding.system !== LOINC_SYSTEM && coding.display);
+  let quantity = obs.valueQuantity || {};
+
+  return {
+    LAB_LOINC: loincCoding.code.trim(),
+    RAW_LAB_NAME: obs.code.text || (localCoding && localCoding.display) || '',
+    RAW_UNIT: quantity.unit || quantity.code || '',
+    SPECIMEN_SOURCE: getSpecimenType(obs, specimenIndex)
+  };
+}
+
+
+// Get the specimen type of the specimen referenced by the given observation, either in the contained resources or
+// in the specimenIndex: the LOINC SYSTEM part name for the first of the text, the displays, and the SNOMED CT codes
+// that is a known specimen type, otherwise the text, or the display or code of the first coding. If the specimen
+// resource is not found, the display of the reference will be used, if any.
+function getSpecimenType(obs, specimenIndex) {
+  let ref = obs.specimen || {};
+  let specimen = null;
+  if(ref.reference && ref.reference.startsWith('#')) {
+    specimen = (obs.contained || []).find(res => res.resourceType === 'Specimen' && '#' + res.id === ref.reference);
+  }
+  else if(ref.reference) {
+    specimen = specimenIndex[ref.reference] || specimenIndex[ref.reference.split('/').slice(-2).join('/')];
+  }
+  let type = specimen && specimen.type || {};
+  let codings = type.coding || [];
+  let toName = (name) => SPECIMEN_TYPE_NAMES[(name || '').trim().toLowerCase().replace(/\s+(specimen|sample)$/, '')];
+  let known = [type.text, ...codings.map(coding => coding.display), ref.display].map(toName).find(name => name) ||
+    codings.filter(coding => coding.system === SNOMED_SYSTEM).map(coding => SNOMED_SPECIMEN_TYPES[coding.code])
+      .find(name => name);
+
+  return known || type.text || (codings[0] && (codings[0].display || codings[0].code)) || ref.display || '';
+}
+
+
+/**
+ * Aggregate the given observations into the rows of distinct combinations of the row fields (see ROW_FIELDS).
+ * @param observations the list of observations
+ * @param specimenIndex see loadResources()
+ * @return a hash with the following fields:
+ *         - rows: the list of rows, each has the ROW_FIELDS, ROW_NUM, and NUM_RECORDS (number of observations)
+ *         - obsRowIndex: for each observation, the index of its row in the rows list, or -1 if not included.
+ *         - numNoLoinc: the number of observations without a LOINC coding (not included)
+ */
+function aggregateObservations(observations, specimenIndex) {
+  let aggregator = getComboAggregator(ROW_FIELDS), numNoLoinc = 0;
+  let obsRowIndex = observations.map(obs => {
+    let fields = observationToFields(obs, specimenIndex);
+    if(! fields) {
+      numNoLoinc += 1;
+      return -1;
+    }
+    return aggregator.add(fields);
+  });
+
+  return {rows: aggregator.getRows(), obsRowIndex, numNoLoinc};
+}
+
+
+/**
+ * Add (or replace) the extension that carries the validation results of the given processed row to the given
+ * observation. The extension has the following sub-extensions, the empty ones are not included:
+ * - judgement (valueCode): ALGO_JUDGEMENT
+ * - suggestedLoinc (valueCoding): SGG_LOINC and SGG_LONG_COMMON_NAME
+ * - issues (valueString): ALGO_MAPPING_ISSUES
+ * - relaxedBy (valueString): RULE_RELAXED_BY
+ * @param obs the Observation resource, it's modified in place.
+ * @param row the processed row for the observation, see altLoincSuggesterGen6.validateAndSuggest()
+ * @param extensionUrl optional, the url of the extension, default to DEFAULT_EXTENSION_URL
+ * @return the given observation
+ */
+function annotateObservation(obs, row, extensionUrl) {
+  extensionUrl = extensionUrl || DEFAULT_EXTENSION_URL;
+  let subExtensions = [
+    {url: 'judgement', valueCode: row.ALGO_JUDGEMENT},
+    {url: 'suggestedLoinc', valueCoding: isNEU(row.SGG_LOINC)? null:
+        {system: LOINC_SYSTEM, code: row.SGG_LOINC + '', display: row.SGG_LONG_COMMON_NAME || undefined}},
+    {url: 'issues', valueString: row.ALGO_MAPPING_ISSUES},
+    {url: 'relaxedBy', valueString: row.RULE_RELAXED_BY}
+  ].filter(ext => Object.values(ext).every(value => !isNEU(value)));
+
+  obs.extension = (obs.extension || []).filter(ext => ext.url !== extensionUrl); // in case of re-runs
+  obs.extension.push({url: extensionUrl, extension: subExtensions});
+  return obs;
+}
+
+
+/**
+ * Write the given (top level) resources into the given file, in the same format as they were loaded.
+ * @param topResources the top level resources, see loadResources()
+ * @param isNdjson whether to write as NDJSON, otherwise as json (of the first and only resource)
+ * @param fileName the output file name
+ */
+function writeResources(topResources, isNdjson, fileName) {
+  let content = isNdjson? topResources.map(res => JSON.stringify(res) + '\n').join(''):
+    JSON.stringify(topResources[0], null, 2);
+  fs.writeFileSync(fileName, content);
+}
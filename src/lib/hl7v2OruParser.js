@@ -0,0 +1,202 @@
+
+// Input adapter for HL7 v2 result messages (ORU^R01), for auditing the LOINC codes in OBX-3 without first building
+// a spreadsheet. The input file may have any number of messages, each starting with an MSH segment; the segments
+// may be separated by CR, LF, or CRLF, and the MLLP framing characters, if any, are ignored. Only the ORU^R01
+// messages (MSH-9, see getMessageType()) are expected, the callers should skip the others.
+// For each OBX segment, the following are extracted:
+// - OBX-3 (observation identifier): code, text, and coding system, of both the primary and the alternate triplets.
+//   The LOINC code (coding system LN) may be in either, if it's in the alternate triplet, the primary text (the
+//   local name) is used as the raw name.
+// - OBX-6 (units): the identifier, or the text if there is no identifier
+// - OBX-2 (value type), e.g., NM, SN, ST, CWE
+// - the specimen type, SPM-4 of the same order group, or OBR-15 (specimen source, prior to v2.5) if there is no SPM
+// The OBX with LOINC codes are aggregated into the rows of distinct (LOINC, name, unit) combinations, with the number
+// of OBX as NUM_RECORDS, to be validated like the PCORnet rows. The OBX with other coding systems are aggregated
+// separately, for reporting.
+
+const {getComboAggregator, delimitedToList} = require('./common');
+
+const ORU_R01 = 'ORU^R01';
+const LOINC_CODING_SYSTEMS = ['LN', 'LOINC'];
+const NUMERIC_VALUE_TYPES = ['NM', 'SN'];
+const ROW_FIELDS = ['LAB_LOINC', 'RAW_LAB_NAME', 'RAW_UNIT'];
+const NON_LOINC_FIELDS = ['CODING_SYSTEM', 'CODE', 'RAW_LAB_NAME', 'RAW_UNIT'];
+
+module.exports = {
+  ORU_R01,
+  splitMessages,
+  parseMessage,
+  getMessageType,
+  extractObxRecords,
+  aggregateObxRecords
+}
+
+
+/**
+ * Split the given content (e.g., of a file) into messages, each starts with an MSH segment.
+ * @param content the content string
+ * @return the list of messages, each is a list of segment strings
+ */
+function splitMessages(content) {
+  let messages = [];
+  content.replace(/[\x0b\x1c]/g, '\r').split(/\r\n|\r|\n/).forEach(segment => {
+    segment = segment.trim();
+    if(segment.startsWith('MSH')) {
+      messages.push([segment]);
+    }
+    else if(segment && messages.length) { // anything before the first MSH is ignored
+      messages[messages.length - 1].push(segment);
+    }
+  });
+  return messages;
+}
+
+
+/**
+ * Parse the given message into the segments, using the delimiters as specified in the MSH segment.
+ * @param segments the list of segment strings of the message, the first one must be MSH.
+ * @return the list of segments, each is {name, fields}, where fields[n] is the (raw, not unescaped) value
+ *         of field n, e.g., the fields[3] of an OBX segment is OBX-3. For MSH, fields[1] is the field separator
+ *         as in the standard. The segment also has a function, get(field, component, subcomponent), for getting
+ *         the unescaped value of the first repetition, where component and subcomponent are optional and 1-based.
+ */
+function parseMessage(segments) {
+  let msh = segments[0];
+  let fieldSep = msh.charAt(3);
+  let [compSep = '^', repSep = '~', escChar = '\\', subSep = '&'] = msh.substring(4).split(fieldSep)[0].split('');
+
+  function unescape(value) {
+    let escapes = {F: fieldSep, S: compSep, T: subSep, R: repSep, E: escChar};
+    return value.split(escChar).map((part, index) => (index % 2 && escapes.hasOwnProperty(part))?
+      escapes[part]: part).join('');
+  }
+
+  return segments.map(segment => {
+    let fields = segment.split(fieldSep);
+    let name = fields[0];
+    if(name === 'MSH') {
+      fields.splice(1, 0, fieldSep); // MSH-1 is the field separator itself
+    }
+    return {
+      name,
+      fields,
+      get: (field, component, subcomponent) => {
+        let value = (fields[field] || '').split(repSep)[0];
+        if(component) value = value.split(compSep)[component - 1] || '';
+        if(subcomponent) value = value.split(subSep)[subcomponent - 1] || '';
+        return unescape(value).trim();
+      }
+    };
+  });
+}
+
+
+/**
+ * Get the message type in MSH-9 of the given message, i.e., the message code and the trigger event, e.g., ORU^R01
+ * (see ORU_R01), without the message structure (e.g., ORU_R01) if any.
+ * @param segments the parsed segments of the message, see parseMessage()
+ * @return the message type, or empty string if MSH-9 is empty.
+ */
+function getMessageType(segments) {
+  let msh = segments[0];
+  return [msh.get(9, 1), msh.get(9, 2)].filter(value => value).join('^').toUpperCase();
+}
+
+
+/**
+ * Extract the OBX records from the given message (see the top of this file).
+ * @param segments the parsed segments of the message, see parseMessage()
+ * @return the list of OBX records, each has the following fields:
+ *         - LAB_LOINC: the LOINC code in OBX-3, or empty string if OBX-3 has no LOINC code
+ *         - CODING_SYSTEM, CODE: the coding system and code in OBX-3 (primary), used when there is no LOINC code.
+ *         - RAW_LAB_NAME: the OBX-3 text, RAW_UNIT: OBX-6, VALUE_TYPE: OBX-2
+ *         - SPECIMEN_SOURCE: the specimen type of the order group, if any
+ */
+function extractObxRecords(segments) {
+  let records = [], groupRecords = [], groupSpecimen = '';
+
+  // the specimen (SPM) of an order group may come after the OBX, so it's filled in at the end of the group.
+  function endOrderGroup() {
+    groupRecords.forEach(rec => rec.SPECIMEN_SOURCE = rec.SPECIMEN_SOURCE || groupSpecimen);
+    records.push(...groupRecords);
+    groupRecords = [];
+    groupSpecimen = '';
+  }
+
+  segments.forEach(seg => {
+    if(seg.name === 'OBR') {
+      endOrderGroup();
+      groupSpecimen = seg.get(15, 1, 2) || seg.get(15, 1, 1); // OBR-15.1 is a CE (text or code)
+    }
+    else if(seg.name === 'SPM') {
+      groupSpecimen = seg.get(4, 2) || seg.get(4, 1) || groupSpecimen;
+    }
+    else if(seg.name === 'OBX') {
+      groupRecords.push(obxToRecord(seg));
+    }
+  });
+  endOrderGroup();
+
+  return records;
+}
+
+
+// Get the OBX record (see extractObxRecords()) for the given OBX segment.
+function obxToRecord(obx) {
+  let [code, text, system, altCode, altText, altSystem] = [1, 2, 3, 4, 5, 6].map(comp => obx.get(3, comp));
+  let isLoinc = (sys) => LOINC_CODING_SYSTEMS.includes(sys.toUpperCase());
+  let record = {
+    LAB_LOINC: isLoinc(system)? code: isLoinc(altSystem)? altCode: '',
+    CODING_SYSTEM: system,
+    CODE: code,
+    // when LOINC is the primary coding, the alternate is likely the local code/name
+    RAW_LAB_NAME: (isLoinc(system) && !isLoinc(altSystem) && altText) || text || altText,
+    RAW_UNIT: obx.get(6, 1) || obx.get(6, 2),
+    VALUE_TYPE: obx.get(2),
+    SPECIMEN_SOURCE: ''
+  };
+  return record;
+}
+
+
+/**
+ * Aggregate the given OBX records into the rows of distinct combinations.
+ * @param records the OBX records, see extractObxRecords()
+ * @return a hash with the following fields:
+ *         - rows: the rows (of the OBX with LOINC codes) of distinct (LAB_LOINC, RAW_LAB_NAME, RAW_UNIT), each also
+ *           has ROW_NUM, NUM_RECORDS, SPECIMEN_SOURCE (the distinct specimens, semicolon separated, see
+ *           altLoincSuggesterGen6), VALUE_TYPES (the distinct OBX-2 value types), and "Inclusion category", which
+ *           is set to "non qn" if none of the value types is numeric.
+ *         - nonLoincRows: the rows (of the OBX with other coding systems) of distinct (CODING_SYSTEM, CODE,
+ *           RAW_LAB_NAME, RAW_UNIT) with the NUM_RECORDS.
+ */
+function aggregateObxRecords(records) {
+  let addToList = (row, field, value) => {
+    let values = delimitedToList(row[field]);
+    if(value && !values.includes(value)) row[field] = [...values, value].join('; ');
+  };
+  let loincAggregator = getComboAggregator(ROW_FIELDS, (row, rec) => {
+    addToList(row, 'SPECIMEN_SOURCE', rec.SPECIMEN_SOURCE);
+    addToList(row, 'VALUE_TYPES', rec.VALUE_TYPE);
+  });
+  let nonLoincAggregator = getComboAggregator(NON_LOINC_FIELDS);
+
+  records.forEach(rec => rec.LAB_LOINC? loincAggregator.add(rec): nonLoincAggregator.add(rec));
+
+  let rows = loincAggregator.getRows().map(row => {
+    let valueTypes = delimitedToList(row.VALUE_TYPES);
+    return {
+      ROW_NUM: row.ROW_NUM,
+      LAB_LOINC: row.LAB_LOINC,
+      RAW_LAB_NAME: row.RAW_LAB_NAME,
+      RAW_UNIT: row.RAW_UNIT,
+      SPECIMEN_SOURCE: row.SPECIMEN_SOURCE || '',
+      NUM_RECORDS: row.NUM_RECORDS,
+      VALUE_TYPES: row.VALUE_TYPES || '',
+      'Inclusion category': valueTypes.length && !valueTypes.some(vt => NUMERIC_VALUE_TYPES.includes(vt))?
+        'non qn': ''
+    };
+  });
+
+  return {rows, nonLoincRows: nonLoincAggregator.getRows()};
+}
@@ -0,0 +1,228 @@
+// Self-contained HTML review report of the flagged rows (see isFlagged()) of a run, for the reviewers to go through
+// the findings without a spreadsheet: each flagged row shows the mapped-to and the suggested LOINC parts side by
+// side with the disagreeing parts highlighted, the parsed/inferred parts with where they came from (the extractor
+// pattern, the unit, etc., see pcornetValidationMgr.addInferredLoincParts()), and the other candidates (SGG_OTHER).
+// The rows can be filtered by the mapped-to class, the issue type, the judgement, and the triage (see
+// algoConfidence.js), and sorted by NUM_RECORDS.
+// The report is a single html file with the data, styles and scripts inline, so it can be opened anywhere
+// (e.g., sent by email) without network access.
+
+const fs = require('fs');
+const {toStructuredResult} = require('./resultsNdjsonExporter');
+const PartTypeList = require('./loincUtils').PartTypeList;
+
+const FLAGGED_JUDGEMENTS = ['INCORRECT_aj', 'FIXED', 'REPLACED_mapto'];
+const MAX_OTHER_CANDIDATES = 10;
+
+module.exports = {
+  isFlagged,
+  getReportEntry,
+  writeHtmlReport
+}
+
+
+/**
+ * Check if the given processed row should be in the review report: judged INCORRECT_aj, FIXED, or REPLACED_mapto,
+ * or having any mapping issues.
+ * @param row the processed row, see altLoincSuggesterGen6.validateAndSuggest()
+ * @return {boolean}
+ */
+function isFlagged(row) {
+  let issues = row.ALGO_MAPPING_ISSUES;
+  return FLAGGED_JUDGEMENTS.includes(row.ALGO_JUDGEMENT) || !!(issues && issues.length);
+}
+
+
+/**
+ * Get the report entry for the given processed row, i.e., the structured result (see resultsNdjsonExporter.js)
+ * without the fields not shown in the report, to keep the report (and the memory when collecting) small.
+ * @param row the processed row
+ * @return the report entry
+ */
+function getReportEntry(row) {
+  let entry = toStructuredResult(row);
+  let [suggested, ...others] = entry.candidates;
+  delete entry.target_terms;
+  entry.suggested = suggested && entry.SGG_LOINC? suggested: null;
+  entry.others = others.slice(0, MAX_OTHER_CANDIDATES).map(({LOINC_NUM, LONG_COMMON_NAME, score}) =>
+    ({LOINC_NUM, LONG_COMMON_NAME, score}));
+  entry.numOthers = others.length;
+  delete entry.candidates;
+  return entry;
+}
+
+
+/**
+ * Write the review report for the given report entries into the given html file.
+ * @param entries the report entries, see getReportEntry()
+ * @param fileName the output html file name
+ * @param opts optional, with the following optional fields:
+ *        - title: the report title, default to "LOINC mapping review"
+ *        - sourceFile: the input file name, shown in the report header
+ * @return a promise that resolves when the file is written.
+ */
+function writeHtmlReport(entries, fileName, opts) {
+  let {title = 'LOINC mapping review', sourceFile = ''} = opts || {};
+  // "<" is escaped so that the data can't end the script element.
+  let data = JSON.stringify({title, sourceFile, created: new Date().toISOString(), partTypes: PartTypeList, entries})
+    .replace(/</g, '\\u003c');
+  let html = [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8">',
+    '<title>' + escapeHtml(title) + '</title>',
+    '<style>' + REPORT_CSS + '</style>',
+    '</head><body>',
+    '<h1 id="title"></h1><div id="summary"></div>',
+    '<div id="controls">',
+    '  <label>Class <select id="f-class"></select></label>',
+    '  <label>Issue <select id="f-issue"></select></label>',
+    '  <label>Judgement <select id="f-judgement"></select></label>',
+    '  <label>Triage <select id="f-triage"></select></label>',
+    '  <label>Sort by records <select id="f-sort"><option value="desc">high to low</option>' +
+      '<option value="asc">low to high</option><option value="row">(row number)</option></select></label>',
+    '  <span id="count"></span>',
+    '</div>',
+    '<div id="rows"></div>',
+    '<script type="application/json" id="report-data">' + data + '</script>',
+    '<script>' + REPORT_JS + '</script>',
+    '</body></html>',
+    ''
+  ].join('\n');
+
+  return fs.promises.writeFile(fileName, html, 'utf8');
+}
+
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'})[c]);
+}
+
+
+const REPORT_CSS = `
+body { font-family: Arial, Helvetica, sans-serif; font-size: 13px; margin: 16px; color: #222; }
+h1 { font-size: 20px; margin: 0 0 4px 0; }
+#summary { color: #666; margin-bottom: 10px; }
+#controls { position: sticky; top: 0; background: #f4f4f4; padding: 8px; border: 1px solid #ddd; z-index: 1; }
+#controls label { margin-right: 16px; }
+#count { color: #666; }
+.row { border: 1px solid #ccc; border-radius: 4px; margin: 10px 0; padding: 8px; }
+.row h2 { font-size: 14px; margin: 0 0 6px 0; }
+.badge { display: inline-block; padding: 1px 6px; border-radius: 3px; background: #e0e0e0; margin-right: 4px; font-size: 12px; }
+.badge.FIXED { background: #c8e6c9; }
+.badge.REPLACED_mapto { background: #bbdefb; }
+.badge.INCORRECT_aj { background: #ffcdd2; }
+.badge.needs-review { background: #ffe0b2; }
+.issue { background: #fff3cd; }
+table { border-collapse: collapse; margin: 6px 0; }
+th, td { border: 1px solid #ddd; padding: 3px 6px; text-align: left; vertical-align: top; }
+th { background: #fafafa; }
+td.diff { background: #ffe0e0; font-weight: bold; }
+td.diff.sgg { background: #e0f5e0; }
+.source { color: #777; font-size: 11px; }
+.others { color: #444; }
+`;
+
+
+const REPORT_JS = `
+(function() {
+  var report = JSON.parse(document.getElementById('report-data').textContent);
+  var entries = report.entries;
+  var byId = function(id) { return document.getElementById(id); };
+  var esc = function(text) {
+    return String(text == null? '': text).replace(/[&<>"']/g, function(c) {
+      return {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'}[c];
+    });
+  };
+  var getClass = function(e) { return e.mapped && e.mapped.parts.CLASS || '(invalid LOINC)'; };
+
+  byId('title').textContent = report.title;
+  byId('summary').textContent = entries.length + ' flagged rows' +
+    (report.sourceFile? ' from ' + report.sourceFile: '') + ', created ' + report.created;
+
+  function fillOptions(selectId, values) {
+    var distinct = {};
+    values.forEach(function(v) { distinct[v] = (distinct[v] || 0) + 1; });
+    byId(selectId).innerHTML = '<option value="">(all)</option>' + Object.keys(distinct).sort().map(function(v) {
+      return '<option value="' + esc(v) + '">' + esc(v) + ' (' + distinct[v] + ')</option>';
+    }).join('');
+  }
+  fillOptions('f-class', entries.map(getClass));
+  fillOptions('f-issue', [].concat.apply([], entries.map(function(e) { return e.issues.map(function(i) { return i.type; }); })));
+  fillOptions('f-judgement', entries.map(function(e) { return e.ALGO_JUDGEMENT || ''; }));
+  fillOptions('f-triage', entries.map(function(e) { return e.ALGO_TRIAGE || ''; }));
+
+  function renderParts(e) {
+    var validated = e.mapto? e.mapto.replacement_term: e.mapped; // the parts validated and compared
+    var mapped = validated && validated.parts || {}, sgg = e.suggested && e.suggested.parts || null;
+    var html = '<table><tr><th>Part</th><th>' + (e.mapto? 'MapTo replacement: ': 'Mapped: ') +
+      esc(validated && validated.LOINC_NUM || e.LAB_LOINC) + '</th>' +
+      (sgg? '<th>Suggested: ' + esc(e.SGG_LOINC) + '</th>': '') + '<th>Parsed/inferred (source)</th></tr>';
+    report.partTypes.forEach(function(pt) {
+      var inferred = e.inferred[pt];
+      var diff = sgg && (mapped[pt] || '') !== (sgg[pt] || '');
+      var inferredHtml = !inferred? '': inferred.names.map(function(name, i) {
+        var source = inferred.sources && inferred.sources[i];
+        return esc(name) + ' <span class="source">[' + esc(inferred.types[i]) + (source? ': ' + esc(source): '') +
+          ']</span>';
+      }).join('<br>');
+      var inferredDiff = inferred && inferred.names.indexOf(mapped[pt] || '') < 0;
+      html += '<tr><th>' + pt + '</th><td class="' + (diff || inferredDiff? 'diff': '') + '">' + esc(mapped[pt]) + '</td>' +
+        (sgg? '<td class="' + (diff? 'diff sgg': '') + '">' + esc(sgg[pt]) + '</td>': '') +
+        '<td>' + inferredHtml + '</td></tr>';
+    });
+    return html + '</table>';
+  }
+
+  function renderEntry(e) {
+    var html = '<div class="row"><h2>#' + esc(e.ROW_NUM) + ' ' + esc(e.RAW_LAB_NAME) +
+      (e.NORMALIZED_LAB_NAME && e.NORMALIZED_LAB_NAME !== e.RAW_LAB_NAME?
+        ' <span class="source">(normalized: ' + esc(e.NORMALIZED_LAB_NAME) + ')</span>': '') + '</h2>';
+    html += '<span class="badge ' + esc(e.ALGO_JUDGEMENT) + '">' + esc(e.ALGO_JUDGEMENT) + '</span>';
+    if(e.ALGO_TRIAGE) {
+      html += '<span class="badge ' + esc(e.ALGO_TRIAGE) + '">' + esc(e.ALGO_TRIAGE) +
+        (e.ALGO_CONFIDENCE != null? ' (' + e.ALGO_CONFIDENCE + ')': '') + '</span>';
+    }
+    html += e.issues.map(function(i) {
+      return '<span class="badge issue">' + esc(i.type) + (i.confidence != null? ' (' + i.confidence + ')': '') + '</span>';
+    }).join('');
+    html += '<div>Raw unit: <b>' + esc(e.RAW_UNIT) + '</b>' +
+      (e.ucum_converted? ' (unit mapper: UCUM ' + esc(e.ucum_converted) + ')': '') +
+      '; specimen source: <b>' + esc(e.SPECIMEN_SOURCE) + '</b>; records: <b>' + esc(e.NUM_RECORDS) + '</b></div>';
+    html += '<div>Mapped: ' + esc(e.LAB_LOINC) + ' ' + esc(e.mapped && e.mapped.LONG_COMMON_NAME) +
+      (e.mapto? ' (' + esc(e.mapto.STATUS) + '), replaced per MapTo by ' + esc(e.mapto.chain.slice(1).join(' -> ')) +
+      ' ' + esc(e.mapto.replacement_term.LONG_COMMON_NAME): '') + '</div>';
+    if(e.SGG_LOINC) {
+      html += '<div>Suggested: ' + esc(e.SGG_LOINC) + ' ' + esc(e.SGG_LONG_COMMON_NAME) +
+        (e.relaxations.length? ' <span class="source">relaxed by: ' + esc(e.relaxations.join('; ')) + '</span>': '') +
+        (e.SGG_UNIT_CONVERSION? ' <span class="source">unit: ' + esc(e.SGG_UNIT_CONVERSION) + '</span>': '') +
+        (e.suggested && e.suggested.commensurability === 'incommensurable'?
+          ' <span class="source">unit not convertible to the example units</span>': '') + '</div>';
+    }
+    html += renderParts(e);
+    if(e.others.length) {
+      html += '<div class="others">Other candidates: ' + e.others.map(function(c) {
+        return esc(c.LOINC_NUM) + ' ' + esc(c.LONG_COMMON_NAME);
+      }).join('; ') + (e.numOthers > e.others.length? '; ... (' + (e.numOthers - e.others.length) + ' more)': '') + '</div>';
+    }
+    return html + '</div>';
+  }
+
+  function render() {
+    var cls = byId('f-class').value, issue = byId('f-issue').value, judgement = byId('f-judgement').value;
+    var triage = byId('f-triage').value, sort = byId('f-sort').value;
+    var shown = entries.filter(function(e) {
+      return (!cls || getClass(e) === cls) && (!judgement || (e.ALGO_JUDGEMENT || '') === judgement) &&
+        (!triage || (e.ALGO_TRIAGE || '') === triage) &&
+        (!issue || e.issues.some(function(i) { return i.type === issue; }));
+    });
+    shown.sort(function(a, b) {
+      var diff = sort === 'row'? (+a.ROW_NUM || 0) - (+b.ROW_NUM || 0): (+a.NUM_RECORDS || 0) - (+b.NUM_RECORDS || 0);
+      return sort === 'desc'? -diff: diff;
+    });
+    byId('count').textContent = shown.length + ' of ' + entries.length + ' rows shown';
+    byId('rows').innerHTML = shown.map(renderEntry).join('');
+  }
+  ['f-class', 'f-issue', 'f-judgement', 'f-triage', 'f-sort'].forEach(function(id) { byId(id).onchange = render; });
+  render();
+})();
+`;
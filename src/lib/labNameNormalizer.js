@@ -0,0 +1,124 @@
+
+// Normalizing the raw lab names before the LOINC parts are parsed out of them (see labNameParser.js), so that the
+// extractors don't have to anticipate every spelling of the same word, e.g., "CREAT UR RAND" is normalized to
+// "CREATININE URINE RANDOM", and "T4 FR" to "T4 FREE". The normalization:
+// - upper case, and the punctuation standardized: runs of white spaces and the "noise" characters (_;:|"*?!)
+//   become a single space, no spaces around "/", a single space after ",", and no trailing punctuation.
+// - the abbreviations (whole words or phrases, case-insensitive) expanded per the abbreviation dictionary, in one
+//   pass, the longest abbreviation first, so that an expansion is not expanded again.
+// The dictionary is the built-in DEFAULT_ABBREVIATIONS merged with the "lab-name-abbreviations" sheet of the combined
+// mapping file, if exists, with the columns ABBREVIATION, EXPANSION, and an optional NOTE. The sheet adds to the
+// built-in ones and overrides their expansions, since some of the parsing relies on them, e.g., "FR" to "FREE" for
+// the component modifiers; a built-in abbreviation can be turned off by expanding it to itself, e.g., "FR" to "FR".
+// The raw name is kept as is; the normalized name is kept in row.NORMALIZED_LAB_NAME, see altLoincSuggesterGen6.js
+
+const util = require('util');
+const {getXlsxWorksheetAndJson, isNEU} = require('./common');
+
+const ABBREVIATION_SHEET = 'lab-name-abbreviations';
+
+// abbreviation to expansion. Abbreviations that are also used as is in LOINC, e.g., WBC, RBC, CSF, are not expanded.
+const DEFAULT_ABBREVIATIONS = [
+  ['ALK PHOS', 'ALKALINE PHOSPHATASE'],
+  ['CREAT', 'CREATININE'],
+  ['HGB', 'HEMOGLOBIN'],
+  ['HCT', 'HEMATOCRIT'],
+  ['CHOL', 'CHOLESTEROL'],
+  ['TRIG', 'TRIGLYCERIDES'],
+  ['GLU', 'GLUCOSE'],
+  ['VIT', 'VITAMIN'],
+  ['PHOS', 'PHOSPHATE'],
+  ['FR', 'FREE'],
+  ['TOT', 'TOTAL'],
+  ['ABS', 'ABSOLUTE'],
+  ['SAT', 'SATURATION'],
+  ['AB', 'ANTIBODY'],
+  ['AG', 'ANTIGEN'],
+  ['QUANT', 'QUANTITATIVE'],
+  ['QNT', 'QUANTITATIVE'],
+  ['QUAL', 'QUALITATIVE'],
+  ['UR', 'URINE'],
+  ['SER', 'SERUM'],
+  ['FLD', 'FLUID'],
+  ['RAND', 'RANDOM']
+];
+
+module.exports = {
+  ABBREVIATION_SHEET,
+  DEFAULT_ABBREVIATIONS,
+  getLabNameNormalizer,
+  loadAbbreviations
+}
+
+
+/**
+ * Get the lab name normalizer, see the top of this file.
+ * @param combinedMappingXlsx optional, the combined mapping file; the abbreviations in its "lab-name-abbreviations"
+ *        sheet, if exists, are merged over the built-in ones, see loadAbbreviations().
+ * @return an object with the following fields:
+ *         - normalize(rawName): returns the normalized name, empty string if the raw name is empty.
+ *         - abbreviations: the abbreviation dictionary used, a list of [abbreviation, expansion]
+ *         - source: where the abbreviations came from, "built-in", plus the sheet if any
+ */
+function getLabNameNormalizer(combinedMappingXlsx) {
+  let sheetAbbreviations = combinedMappingXlsx && loadAbbreviations(combinedMappingXlsx);
+  let source = 'built-in' + (sheetAbbreviations?
+    util.format(' and %s (%s)', combinedMappingXlsx, ABBREVIATION_SHEET): '');
+  let toKey = (abbr) => abbr.toUpperCase().replace(/\s+/g, ' ');
+
+  // the sheet entries replace the built-in ones of the same abbreviations, in place, or are added after them
+  let merged = {};
+  [...DEFAULT_ABBREVIATIONS, ...(sheetAbbreviations || [])].forEach(([abbr, expansion]) => {
+    merged[toKey(abbr)] = [abbr, expansion];
+  });
+  let abbreviations = Object.values(merged);
+
+  let expansions = abbreviations.reduce((acc, [abbr, expansion]) => {
+    acc[toKey(abbr)] = expansion.toUpperCase();
+    return acc;
+  }, {});
+  let keys = Object.keys(expansions).sort((a, b) => b.length - a.length);
+  let escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/ /g, '\\s+');
+  // whole words/phrases only, i.e., not next to another letter or digit
+  let abbrRegex = keys.length && new RegExp('(?<![A-Z0-9])(' + keys.map(escape).join('|') + ')(?![A-Z0-9])', 'g');
+
+  function normalize(rawName) {
+    let name = isNEU(rawName)? '': (rawName + '').toUpperCase()
+      .replace(/[\s_;:|"*?!]+/g, ' ').replace(/\s*\/\s*/g, '/').replace(/\s*,\s*/g, ', ')
+      .replace(/[\s.,\-]+$/, '').trim();
+    return abbrRegex? name.replace(abbrRegex, (abbr) => expansions[abbr.replace(/\s+/g, ' ')]): name;
+  }
+
+  return {normalize, abbreviations, source};
+}
+
+
+/**
+ * Load the abbreviation dictionary from the "lab-name-abbreviations" sheet of the given combined mapping file.
+ * The blank rows are skipped.
+ * @param combinedMappingXlsx the combined mapping file
+ * @return the list of [abbreviation, expansion], or null if the sheet doesn't exist.
+ * @throws Error if a row has only one of the ABBREVIATION and EXPANSION, or an abbreviation is listed twice.
+ */
+function loadAbbreviations(combinedMappingXlsx) {
+  let [workbook, , rows] = getXlsxWorksheetAndJson(combinedMappingXlsx, ABBREVIATION_SHEET);
+  if(! workbook.SheetNames.includes(ABBREVIATION_SHEET)) return null;
+
+  let seen = {};
+  return rows.reduce((acc, row, index) => {
+    let [abbr, expansion] = [row.ABBREVIATION, row.EXPANSION].map(v => isNEU(v)? '': (v + '').trim());
+    let rowNum = index + 2; // the header row is row 1
+    if(!abbr && !expansion) return acc;
+    if(!abbr || !expansion) {
+      throw new Error(util.format('%s row %d: both ABBREVIATION and EXPANSION are required', ABBREVIATION_SHEET, rowNum));
+    }
+    let key = abbr.toUpperCase().replace(/\s+/g, ' ');
+    if(seen[key]) {
+      throw new Error(util.format('%s row %d: duplicate ABBREVIATION "%s", see row %d', ABBREVIATION_SHEET, rowNum,
+        abbr, seen[key]));
+    }
+    seen[key] = rowNum;
+    acc.push([abbr, expansion]);
+    return acc;
+  }, []);
+}
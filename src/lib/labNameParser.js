@@ -2,12 +2,16 @@
 // Parsing out LOINC parts from raw lab name or raw unit.
 // . SYSTEM: parsing from the raw lab names
 // . TIME: from raw lab name and from raw unit.
+// . COMPONENT: the analyte, parsing from the raw lab names using a dictionary of analyte names and abbreviations.
 //
 // A general framework has been designed that can be used to configure the parsing of LOINC parts out of a string -
 // lab name, unit, or whatever.
 // Each configuration entry can specify a pattern (string) or regex that can be used to match the raw record string,
 // an extract function that used the pattern/regex to pull out LOINC parts, etc.
 // See defaultLoincPartExtractionConfigMapper() for details on the configurations.
+//
+// The lab names are parsed in their normalized form (see labNameNormalizer.js and getLabName()), e.g., with the
+// abbreviations expanded, so that the patterns here need not anticipate the abbreviations.
 
 
 const {isNEU} = require('./common');
@@ -28,11 +32,11 @@ const util = require('util');
 // control: not seeing how it could help, and not used in components except for "control transcript"
 // high sensitivity: sensitivity not used in components
 // ag: not seeing value and involves many records
-const componentModifiers = [
+let componentModifiers = [
   // token, class (optional,default to [CHEM,DRUG/TOX]), delim (connector), nameRegex (optional)
   {token: 'bioavailable', connector: '.'},
   {token: 'bound', connector: '.'},
-  {token: 'free', connector: '.', nameRegex: new RegExp("\\bfr|free\\b", 'i')},
+  {token: 'free', connector: '.'}, // "FR" is expanded to "FREE" by the name normalization
   //{token: 'ionized', connector: '.'},
   {token: 'total', connector: '.'},
   {token: 'nucleated', connector: '.', class: ['CHEM', 'DRUG/TOX', 'HEM/BC']},
@@ -45,12 +49,15 @@ const componentModifiers = [
   {token: 'post dialysis', connector: '^'},
   {token: 'pre dialysis', connector: '^'},
   {token: 'standard', connector: '^^'},
-].map(entry => {
+].map(initComponentModifier);
+
+
+// Fill out the component modifier entry (see componentModifiers above) with the defaults and the functions
+function initComponentModifier(entry) {
   let m = entry.token;
   if(! entry.class && !['panel'].includes(m)) entry.class = ['CHEM', 'DRUG/TOX'];//, 'HEM/BC'];
   if(! entry.nameRegex) {
-    let regexStr = m.indexOf(' ') > 0 ? util.format('(%s|%s|%s)', m, m.replace(' ', '-'), m.replace(' ', '')) : m;
-    entry.nameRegex = new RegExp("\\b" + regexStr + "\\b", 'i');
+    entry.nameRegex = getTokenRegex(m);
   }
   entry.modifier = entry.connector + m;
   entry.isInName = function modInName(name) { return this.nameRegex.test(name); }
@@ -58,7 +65,24 @@ const componentModifiers = [
     return typeof component === 'string' && component.indexOf(this.modifier) >= 0;
   }
   return entry;
-});
+}
+
+
+// Get the default regex for finding the given component modifier token in the names, as a word, where the space in
+// the token may also be a "-" or nothing, e.g., "post dialysis", "post-dialysis", and "postdialysis".
+function getTokenRegex(token) {
+  let regexStr = token.indexOf(' ') > 0?
+    util.format('(%s|%s|%s)', token, token.replace(' ', '-'), token.replace(' ', '')): token;
+  return new RegExp("\\b" + regexStr + "\\b", 'i');
+}
+
+
+// Get the regex for the given extractor pattern (or list of patterns), which are (parts of) regular expressions
+// matched as words, case-insensitive, see defaultLoincPartExtractionConfigMapper()
+function getPatternRegex(pattern) {
+  let patterns = Array.isArray(pattern)? pattern: [pattern];
+  return new RegExp('\\b(' + patterns.join('|') + ')\\b', 'i');
+}
 
 
 //console.log('component modifiers:', JSON.stringify(componentModifiers, null, 4));
@@ -91,6 +115,8 @@ let applyRestrictions = true; // for test/experiment ONLY, whether to apply rule
  *        - partName: optional, the part name to use (extracted part name) when regex matches the given string.
  *                    IF NOT SPECIFIED, "pattern" must be specified as a single string (not an array), and "pattern"
  *                    is used as partName.
+ *                    It may refer to the regex groups with the default extractor, e.g., "$1H" for the hours
+ *                    captured by the regex.
  *                    This could go beyond LOINC part and for other types of entities.
  *        - IMPORTANT NOTE: At least one of "pattern" and "regex" must appear.
  *                          When only one appears, it'll be used to generate the other.
@@ -111,8 +137,7 @@ function defaultLoincPartExtractionConfigMapper(partType, rawRuleConfig) {
   let extractorEntry = Object.assign({type: partType}, rawRuleConfig);
   extractorEntry.partName = extractorEntry.partName || extractorEntry.pattern;
   if(! rawRuleConfig.regex) {
-    let patterns = Array.isArray(rawRuleConfig.pattern)? rawRuleConfig.pattern: [rawRuleConfig.pattern];
-    extractorEntry.regex = new RegExp('\\b(' + patterns.join('|') + ')\\b', 'i');
+    extractorEntry.regex = getPatternRegex(rawRuleConfig.pattern);
   }
   extractorEntry.pattern = extractorEntry.pattern || ('' + extractorEntry.regex);
   if(rawRuleConfig.mapToClass) {
@@ -134,7 +159,9 @@ function defaultLoincPartExtractionConfigMapper(partType, rawRuleConfig) {
   // the extractor function - if specified, this is the only thing that matters; if not, create one based on the config
   extractorEntry.extract = extractorEntry.extract || function(text, row) {
     text = isNEU(text)? '': text + '';
-    return text && this.regex.test(text) && !toFilterOut(this, text, row || {})? this.partName: null;
+    let match = text && text.match(this.regex);
+    return match && !toFilterOut(this, text, row || {})?
+      this.partName.replace(/\$([0-9])/g, (ref, groupNum) => match[groupNum] || ''): null;
   }
 
   return extractorEntry;
@@ -216,8 +243,8 @@ let specimenExtractors = [{
   pattern: 'POC', partName: 'Bld', mapToClass: ['NEVER'] // disabled by class NEVER
 }].map(mapping => defaultLoincPartExtractionConfigMapper('SYSTEM', mapping));
 
-// TODO: not using it just yet, just documenting based on:
-//       2021-07-30-Futher-rules-to-classify-lab-terms-pcornet.docx
+// Based on: 2021-07-30-Futher-rules-to-classify-lab-terms-pcornet.docx
+// Used when the specimen is not in the raw name, see pcornetValidationMgr.inferDefaultSystem()
 let defaultSpecimenPerClass = {
   CHEM: 'Ser/Plas',
   ['DRUG/TOX']: 'Ser/Plas',
@@ -239,21 +266,80 @@ let timeExtractors = [{
   mapToClass: ['NEVER']
 }, {
   selector: 'RAW_UNIT',
-  regex: /\/\s*([0-9]+)\s*(h|hr|hrs|hour|hours)\s*$/i, // /<number>(h, hr, hrs, hour, hours) to <number>H TODO: how?
-  extract: function(unit) {
-    let m = isNEU(unit)? null: (unit + '').match(this.regex);
-    return m? m[1] + 'H': null;
-  },
-  partName: 'N/A' // the custom extract() function above will produce the partName
+  regex: /\/\s*([0-9]+)\s*(h|hr|hrs|hour|hours)\s*$/i, // /<number>(h, hr, hrs, hour, hours) to <number>H
+  partName: '$1H'
 }
 ].map(mapping => defaultLoincPartExtractionConfigMapper('TIME', mapping));
 
+// The analyte dictionary: the analyte names and abbreviations commonly seen in the raw lab names, to the LOINC
+// COMPONENT part names. An entry without partName is the LOINC component part name itself (e.g., Ferritin).
+// The "unless" conditions keep an analyte from matching the names of the related analytes, e.g., HGB in HGB A1C.
+// See the descriptions at the top of this file for for the general ideas, and see defaultLoincPartExtractionConfigMapper()
+// for details on possible fields and their definitions.
+let componentExtractors = [{
+  pattern: ['A1C', 'HBA1C', 'glycohemoglobin', 'glycated hemoglobin', 'glycosylated hemoglobin'],
+  partName: 'Hemoglobin A1c/Hemoglobin.total'
+}, {
+  pattern: ['HGB', 'HB', 'hemoglobin'], partName: 'Hemoglobin', mapToClass: ['HEM/BC'], unless: /A1C|glyc/i
+}, {
+  pattern: ['BUN', 'urea nitrogen', 'urea N'], partName: 'Urea nitrogen', unless: /\/\s*creat|ratio/i
+}, {
+  regex: /\b(25[- ]?OH|25[- ]?hydroxy) ?(vit(amin)?[- ]?D)\b|\bvit(amin)?[- ]?D[- ,]*(25[- ]?OH|25[- ]?hydroxy)\b/i,
+  partName: '25-Hydroxyvitamin D3+25-Hydroxyvitamin D2', unless: /\b1,\s*25\b|dihydroxy/i
+}, {
+  pattern: ['creatinine', 'creat', 'crea'], partName: 'Creatinine', unless: /\/\s*creat|clearance|ratio|\bCrCl\b/i
+}, {
+  regex: /\b(glucose|GLU)\b(?![- ]?6[- ]?(P|PD|phosphate)\b)/i, partName: 'Glucose' // not glucose-6-phosphate (G6PD)
+}, {
+  pattern: ['ALT', 'SGPT', 'alanine aminotransferase'], partName: 'Alanine aminotransferase', mapToClass: ['CHEM']
+}, {
+  pattern: ['AST', 'SGOT', 'aspartate aminotransferase'], partName: 'Aspartate aminotransferase', mapToClass: ['CHEM']
+}, {
+  pattern: ['ALP', 'ALK PHOS', 'alkaline phosphatase'], partName: 'Alkaline phosphatase', unless: /\bisoenzyme/i
+}, {
+  pattern: ['TSH', 'thyrotropin'], partName: 'Thyrotropin', unless: /receptor|\bAb\b|antibod/i
+}, {
+  pattern: ['FT4', 'free T4', 'T4 free', 'free thyroxine', 'thyroxine free'], partName: 'Thyroxine.free'
+}, {
+  pattern: 'Ferritin'
+}, {
+  pattern: 'Iron', unless: /\b(binding|saturation|sat|TIBC|UIBC)\b|ferritin/i
+}, {
+  pattern: ['TIBC', 'total iron binding capacity', 'iron binding capacity'], partName: 'Iron binding capacity'
+}, {
+  pattern: ['cholesterol', 'CHOL'], partName: 'Cholesterol', unless: /\b(HDL|LDL|VLDL|ratio)\b|\//i
+}, {
+  pattern: 'HDL', partName: 'Cholesterol.in HDL', unless: /\bratio\b|\//i
+}, {
+  pattern: 'LDL', partName: 'Cholesterol.in LDL', unless: /\bratio\b|\//i
+}, {
+  pattern: ['triglyceride', 'triglycerides', 'TRIG'], partName: 'Triglyceride'
+}, {
+  pattern: ['lactate', 'lactic acid'], partName: 'Lactate', unless: /dehydrogenase|\bLD\b|\bLDH\b/i
+}, {
+  pattern: ['folate', 'folic acid'], partName: 'Folate'
+}, {
+  pattern: ['vitamin B12', 'vit B12', 'B12', 'cobalamin'], partName: 'Cobalamins', unless: /binding/i
+}, {
+  pattern: ['PSA', 'prostate specific antigen', 'prostate specific Ag'], partName: 'Prostate specific Ag'
+}, {
+  pattern: ['CRP', 'C reactive protein', 'C-reactive protein'], partName: 'C reactive protein'
+}, {
+  pattern: ['troponin I', 'trop I', 'TnI'], partName: 'Troponin I.cardiac'
+}, {
+  pattern: ['NT-proBNP', 'NT proBNP', 'proBNP'], partName: 'Natriuretic peptide.B prohormone N-Terminal'
+}, {
+  pattern: ['uric acid', 'urate'], partName: 'Urate'
+}, {
+  pattern: 'Magnesium'
+}].map(mapping => defaultLoincPartExtractionConfigMapper('COMPONENT', mapping));
+
 /**
  * Get the default specimen for a record - this is based on defaultSpecimenPerClass.
  * Strictly speaking, there is no such a thing as default specimen, but when specimen can not be parsed
  * out of the raw name and the record SPECIMEN_SOURCE does not have value.
  * This function does not check for those conditions and just return the default specimen. The caller
- * need to know when to use such default specimen.
+ * need to know when to use such default specimen, see pcornetValidationMgr.inferDefaultSystem().
  * @param row
  */
 function getDefaultSpecimen(row) {
@@ -261,13 +347,44 @@ function getDefaultSpecimen(row) {
 }
 
 
+/**
+ * Replace the rule tables above with the given ones, e.g., as loaded from the combined mapping file, see
+ * ruleTableLoader.js. The tables not given are left as is.
+ * @param tables a hash with the optional fields, each in the same format as the in-code list/hash above (before the
+ *        mapping): specimenExtractors, timeExtractors, componentExtractors, componentModifiers, defaultSpecimenPerClass
+ */
+function setRuleTables(tables) {
+  let mapExtractors = (partType, entries) => entries.map(entry =>
+    defaultLoincPartExtractionConfigMapper(partType, Object.assign({}, entry)));
+  if(tables.specimenExtractors) specimenExtractors = mapExtractors('SYSTEM', tables.specimenExtractors);
+  if(tables.timeExtractors) timeExtractors = mapExtractors('TIME', tables.timeExtractors);
+  if(tables.componentExtractors) componentExtractors = mapExtractors('COMPONENT', tables.componentExtractors);
+  if(tables.componentModifiers) {
+    componentModifiers = tables.componentModifiers.map(entry => initComponentModifier(Object.assign({}, entry)));
+  }
+  if(tables.defaultSpecimenPerClass) defaultSpecimenPerClass = Object.assign({}, tables.defaultSpecimenPerClass);
+}
+
+
+/**
+ * Get the lab name of the given row to parse: the normalized name (see labNameNormalizer.js) if the row has it, the
+ * raw name otherwise.
+ * @param row the pcornet data row
+ * @return the lab name, could be empty or undefined.
+ */
+function getLabName(row) {
+  return row.NORMALIZED_LAB_NAME || row.RAW_LAB_NAME;
+}
+
+
 /**
  * Try to find specimen candidates in the lab name and return as an array, return empty array if not found.
  * There could be more than one candidates if multiple rules match, and will be returned in the order of match.
  * This function may be called with either a single row parameter or a text and row parameter.
- * @param text the text (e.g., lab name) to extract from, "optional when row is specified", will row.RAW_LAB_NAME
+ * @param text the text (e.g., lab name) to extract from, "optional when row is specified", will use the lab name
+ *        of the row, see getLabName()
  * @param row can be a record/row or just the string text to extract from. When it's a hash:
- *        - text will be pulled from input.RAW_LAB_NAME
+ *        - text will be the lab name of the row, see getLabName()
  *        - may consider LOINC parts (e.g., PROPERTY, SYSTEM) and RAW_UNIT to further check/filter
  *          and make sure the extraction is valid. E.g., RBC with CLASS=UA will not be detected as specimen
  *        -- therefore, using a row with CLASS, etc., will result in safer extraction.
@@ -276,7 +393,7 @@ function getDefaultSpecimen(row) {
 function extractSpecimen(text, row) {
   if(typeof text === 'object') { // text parameter not given, this is the row
     row = text;
-    text = row.RAW_LAB_NAME;
+    text = getLabName(row);
   }
   if(isNEU(text)) return [];
 
@@ -298,6 +415,48 @@ function extractTime(sourceValue, selector, row) {
 }
 
 
+/**
+ * Try to find the analyte (COMPONENT) candidates in the lab name, see componentExtractors, and return as an array,
+ * return empty array if not found. There could be more than one candidates if multiple entries match.
+ * Like extractSpecimen(), this function may be called with either a single row parameter or a text and row parameter.
+ * @param text the text (e.g., lab name) to extract from, "optional when row is specified", will use the lab name
+ *        of the row, see getLabName()
+ * @param row the record/row, whose CLASS is used to further check/filter the extraction, or the text to extract from.
+ * @return a list of results, see runExtractors() for more details
+ */
+function extractComponent(text, row) {
+  if(typeof text === 'object') { // text parameter not given, this is the row
+    row = text;
+    text = getLabName(row);
+  }
+  if(isNEU(text)) return [];
+
+  return runExtractors(text + '', componentExtractors, row || {});
+}
+
+
+/**
+ * Get the analyte of the given COMPONENT part name, for comparing the analyte parsed from the raw name (see
+ * extractComponent()) with the mapped-to component, i.e., without the challenge (after "^"), the denominator
+ * (after "/"), and, unless keepModifiers, the modifiers with the "." connector in componentModifiers (e.g., .free),
+ * which are balanced separately, see getAdjustedComponentByModifier().
+ * For example, "Thyroxine.free" -> "Thyroxine" ("Thyroxine.free" if keepModifiers),
+ * "Glucose^2H post 75 g glucose PO" -> "Glucose", "Albumin/Creatinine" -> "Albumin".
+ * @param component the COMPONENT part name
+ * @param keepModifiers optional, whether to keep the modifiers, default false.
+ * @return the analyte, or empty string if the component is empty.
+ */
+function getComponentAnalyte(component, keepModifiers = false) {
+  let analyte = isNEU(component)? '': (component + '').split('^')[0].split('/')[0].trim();
+  let modifier;
+  while(! keepModifiers &&
+        (modifier = componentModifiers.find(m => m.connector === '.' && analyte.endsWith(m.modifier)))) {
+    analyte = analyte.substr(0, analyte.length - modifier.modifier.length);
+  }
+  return analyte;
+}
+
+
 /**
  * Run the given extractors against the given value to extract the entity as defined by the rules.
  * @param extractors the extractors to run
@@ -361,14 +520,14 @@ function getAdjustedComponentByModifier(row) {
  * Essentially:
  * - if the modifier shows in name but not in the mapped to component, add it to the component;
  * - if the modifier is not in name but is in the mapped to component, remove it from the component;
- * @param row the pcornet (results) data row, this function uses RAW_LAB_NAME, COMPONENT, and CLASS
+ * @param row the pcornet (results) data row, this function uses the lab name (see getLabName()), COMPONENT, and CLASS
  * @return return null if not found; otherwise, a hash with 3 fields:
  *         - component: the alternative component found. Only populated if status is "name" or "component"
  *         - modifier: the modifier applied
  *         - status: matching status, can be none, both, name, component, blank (one or both name/component are null/empty/undefine)
  */
 function getAdjustedComponentByModifierPredefinedRules(row) {
-  let [rawName, mappedComponent] = [row.RAW_LAB_NAME, row.COMPONENT];
+  let [rawName, mappedComponent] = [getLabName(row), row.COMPONENT];
   if(! rawName || ! mappedComponent) return {status: 'blank'};
 
   for(let m of componentModifiers) {
@@ -400,7 +559,7 @@ function extractIgX(name) {
 // If IgX is in the raw name and IgY in the component, and IgX !== IgY, change IgY to IgX in the
 // mapped-to component as new component
 function getAdjustedComponentByModifierIgX(row) {
-  let [igxInName, igxInComp] = [extractIgX(row.RAW_LAB_NAME), extractIgX(row.COMPONENT)];
+  let [igxInName, igxInComp] = [extractIgX(getLabName(row)), extractIgX(row.COMPONENT)];
   if(igxInName && igxInComp && igxInName !== igxInComp) {
     let component = row.COMPONENT.replace(igxInComp, igxInName);
     //console.log('==== IgX adjustment at #%s, %s: %s --> %s', row.ROW_NUM, row.RAW_LAB_NAME, row.COMPONENT, component);
@@ -413,12 +572,19 @@ function getAdjustedComponentByModifierIgX(row) {
 module.exports = {
   extractSpecimen,
   extractTime,
+  extractComponent,
+  getComponentAnalyte,
+  getLabName,
+  getPatternRegex,
+  getTokenRegex,
+  setRuleTables,
   getAdjustedComponentByModifier,
   getDefaultSpecimen
 }
 
 //console.log('=== specimen-extractors:%s', JSON.stringify(specimenExtractors, null, 4));
 //console.log('=== time-extractors:%s', JSON.stringify(timeExtractors, null, 4));
+//console.log('=== component-extractors:%s', JSON.stringify(componentExtractors, null, 4));
 
 // For testing only
 if(require.main === module) {
@@ -433,6 +599,14 @@ if(require.main === module) {
       console.log('TIME: %s ===> %s', text, JSON.stringify(extractTime(text, selector)));
     });
   });
+  ['HGB A1C', 'HGB', 'BUN', 'BUN/CREATININE RATIO', 'VIT D 25-OH', '25-HYDROXYVITAMIN D', 'VITAMIN D, 1,25-DIHYDROXY',
+    'ALBUMIN/CREATININE', 'IRON BINDING CAPACITY', 'FERRITIN', 'LDL CHOLESTEROL', 'CHOL/HDL RATIO', 'GLU', 'G6PD',
+    'GLUCOSE-6-PHOSPHATE DEHYDROGENASE', 'GLU 6 PD'].forEach(text => {
+    console.log('COMPONENT: %s ===> %s', text, JSON.stringify(extractComponent(text, {CLASS: 'HEM/BC'}).map(e => e.value)));
+  });
+  ['Thyroxine.free', 'Glucose^2H post 75 g glucose PO', 'Albumin/Creatinine', 'Bilirubin.total'].forEach(comp => {
+    console.log('ANALYTE: %s ===> %s', comp, getComponentAnalyte(comp));
+  });
   let getAltComponentX = (RAW_LAB_NAME, COMPONENT) => getAdjustedComponentByModifier({RAW_LAB_NAME, COMPONENT, CLASS: 'CHEM'});
   [{name: 'xx post-dialysis', comp: 'abc^post dialysis'}, {name: 'xx postdialysis', comp: 'abc^post-dialysis'},
     {name:'move free', comp: 'what free'}, {name:'movefree', comp: 'what.free'}].forEach(({name, comp}) => {;
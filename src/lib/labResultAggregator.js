@@ -0,0 +1,177 @@
+
+// Aggregating the raw PCORnet LAB_RESULT_CM rows (csv/tsv) into the distinct combinations of LAB_LOINC,
+// RAW_LAB_NAME, RAW_UNIT, and SPECIMEN_SOURCE, i.e., the rows that the validation works on, so that the
+// aggregation doesn't have to be done by a (site specific) SQL step. For each combination, the following are
+// computed:
+// - COMBO_KEY: a stable key of the combination, see getComboKeyHash(), for joining the results back to the raw rows
+// - NUM_RECORDS: the number of raw rows
+// - NUMERIC_SHARE: the share (0 to 1) of the rows with a numeric RESULT_NUM
+// - RESULT_NUM_MIN, RESULT_NUM_MEDIAN, RESULT_NUM_MAX: of the numeric RESULT_NUM values. To bound the memory,
+//   the median is computed from the counts of the distinct values, which are rounded to fewer significant digits
+//   whenever a combination has more than MAX_DISTINCT_VALUES of them (continuous values), so the median may then be
+//   approximate (to the significant digits kept); the min and max are always exact.
+// - TOP_RESULT_QUAL: the most frequent RESULT_QUAL values with the counts, e.g., "NEGATIVE (120); POSITIVE (3)". To
+//   bound the memory, at most MAX_DISTINCT_QUALS distinct values are counted per combination, the values first seen
+//   after that (e.g., free text) are counted together as "(other)", which is listed last if any.
+// The raw file is read in chunks so that large files can be handled. The column names are case insensitive.
+
+const crypto = require('crypto');
+const csvReader = require('./csvReader');
+const {getComboKey, getComboAggregator, getCSVWriter} = require('./common');
+
+const COMBO_FIELDS = ['LAB_LOINC', 'RAW_LAB_NAME', 'RAW_UNIT', 'SPECIMEN_SOURCE'];
+const CHUNK_SIZE = 10000;
+const NUM_TOP_QUALS = 5;
+const MAX_DISTINCT_VALUES = 1000; // per combination, see roundValueCounts()
+const MAX_DISTINCT_QUALS = 100; // per combination, the other RESULT_QUAL values are counted as OTHER_QUAL
+const OTHER_QUAL = '(other)';
+
+module.exports = {
+  COMBO_FIELDS,
+  getComboKeyHash,
+  aggregateLabResults
+}
+
+
+/**
+ * Get the stable key of the combination (of COMBO_FIELDS) of the given row: the first 16 hex digits of the SHA-1
+ * of the trimmed values (empty for null) joined by tab, in the order of LAB_LOINC, RAW_LAB_NAME, RAW_UNIT, and
+ * SPECIMEN_SOURCE. The key does not depend on the other rows, so it can also be computed on the raw rows, e.g.,
+ * in SQL, to join the results back.
+ * @param row the raw LAB_RESULT_CM row or an aggregated row.
+ * @return the key string
+ */
+function getComboKeyHash(row) {
+  return crypto.createHash('sha1').update(getComboKey(row, COMBO_FIELDS), 'utf8').digest('hex').substring(0, 16);
+}
+
+
+/**
+ * Aggregate the given raw LAB_RESULT_CM file into the rows of the distinct combinations, see the top of this file.
+ * @param labResultFile the raw LAB_RESULT_CM file (csv or tsv)
+ * @param opts optional, with the following optional fields:
+ *        - delimiter: the delimiter of the file, default to comma
+ *        - keyMapFile: if specified, the mapping from each raw row (by LAB_RESULT_CM_ID) to the COMBO_KEY is
+ *          written to this file, with the same delimiter.
+ * @return {Promise} resolves to a hash with the following fields:
+ *         - rows: the aggregated rows, each has ROW_NUM, COMBO_KEY, the COMBO_FIELDS, NUM_RECORDS, and the value
+ *           statistics, see the top of this file.
+ *         - numRecords: the number of raw rows read
+ *         Rejected with an Error naming the missing columns, which are checked before reading the rows.
+ */
+async function aggregateLabResults(labResultFile, opts) {
+  let {delimiter = ',', keyMapFile} = opts || {};
+  let keyMapWriter = null;
+  let aggregator = getComboAggregator(COMBO_FIELDS, (row, rec) => {
+    row.numValueCounts = row.numValueCounts || {}; // numeric value (maybe rounded) to the count, for the median.
+    row.qualCounts = row.qualCounts || {};
+    row.numDistinctQuals = row.numDistinctQuals || 0;
+    let num = (rec.RESULT_NUM || '').trim();
+    if(num && isFinite(num)) {
+      num = +num;
+      row.numMin = row.hasOwnProperty('numMin')? Math.min(row.numMin, num): num;
+      row.numMax = row.hasOwnProperty('numMax')? Math.max(row.numMax, num): num;
+      num = row.numPrecision? +num.toPrecision(row.numPrecision): num;
+      if(! row.numValueCounts.hasOwnProperty(num)) {
+        row.numDistinct = (row.numDistinct || 0) + 1;
+      }
+      row.numValueCounts[num] = (row.numValueCounts[num] || 0) + 1;
+      if(row.numDistinct > MAX_DISTINCT_VALUES) {
+        roundValueCounts(row);
+      }
+    }
+    let qual = (rec.RESULT_QUAL || '').trim();
+    if(qual && row.qualCounts.hasOwnProperty(qual)) {
+      row.qualCounts[qual] += 1;
+    }
+    else if(qual && row.numDistinctQuals < MAX_DISTINCT_QUALS) {
+      row.qualCounts[qual] = 1;
+      row.numDistinctQuals += 1;
+    }
+    else if(qual) {
+      row.otherQualCount = (row.otherQualCount || 0) + 1;
+    }
+  });
+
+  let csvOptions = {columns: header => header.map(col => col.trim().toUpperCase()), delimiter};
+  let header = csvReader.readHeader(labResultFile, csvOptions);
+  let missing = [...COMBO_FIELDS, 'RESULT_NUM', 'RESULT_QUAL', ...(keyMapFile? ['LAB_RESULT_CM_ID']: [])]
+    .filter(col => !header.includes(col));
+  if(missing.length) {
+    throw new Error('Missing column(s) in ' + labResultFile + ': ' + missing.join(', '));
+  }
+  if(keyMapFile) {
+    keyMapWriter = getCSVWriter(keyMapFile, delimiter, ['LAB_RESULT_CM_ID', 'COMBO_KEY']);
+  }
+
+  let numRecords = await csvReader.readInChunks(labResultFile, csvOptions, CHUNK_SIZE, (records) => {
+    records.forEach(rec => aggregator.add(rec));
+    if(keyMapWriter) {
+      return keyMapWriter.write(records.map(rec =>
+        ({LAB_RESULT_CM_ID: rec.LAB_RESULT_CM_ID, COMBO_KEY: getComboKeyHash(rec)})));
+    }
+  });
+  if(keyMapWriter) {
+    await keyMapWriter.end();
+  }
+
+  let rows = aggregator.getRows().map(row => Object.assign({ROW_NUM: row.ROW_NUM, COMBO_KEY: getComboKeyHash(row)},
+    ...COMBO_FIELDS.map(f => ({[f]: row[f]})), {NUM_RECORDS: row.NUM_RECORDS}, getValueStats(row)));
+
+  return {rows, numRecords};
+}
+
+
+// Round the numeric values counted for the given row to fewer significant digits (merging their counts) until at
+// most half of MAX_DISTINCT_VALUES are left, so that the memory is bounded. The values counted afterwards are
+// rounded the same way, see row.numPrecision.
+function roundValueCounts(row) {
+  let counts = row.numValueCounts;
+  let precision = row.numPrecision || 7;
+  do {
+    precision -= 1;
+    counts = Object.entries(row.numValueCounts).reduce((acc, [value, count]) => {
+      let rounded = +(+value).toPrecision(precision);
+      acc[rounded] = (acc[rounded] || 0) + count;
+      return acc;
+    }, {});
+  } while(precision > 1 && Object.keys(counts).length > MAX_DISTINCT_VALUES / 2);
+  row.numValueCounts = counts;
+  row.numPrecision = precision;
+  row.numDistinct = Object.keys(counts).length;
+}
+
+
+// Get the value statistics (see the top of this file) for the given aggregated row.
+function getValueStats(row) {
+  let numValues = Object.keys(row.numValueCounts).map(Number).sort((a, b) => a - b);
+  let numCount = numValues.reduce((acc, value) => acc + row.numValueCounts[value], 0);
+
+  let median = '';
+  if(numCount) { // the average of the two middle values if the count is even.
+    let middles = [], seen = 0;
+    let lowIndex = Math.floor((numCount - 1) / 2), highIndex = Math.floor(numCount / 2);
+    for(let value of numValues) {
+      let nextSeen = seen + row.numValueCounts[value];
+      if(lowIndex >= seen && lowIndex < nextSeen) middles.push(value);
+      if(highIndex >= seen && highIndex < nextSeen) middles.push(value);
+      if(nextSeen > highIndex) break;
+      seen = nextSeen;
+    }
+    median = (middles[0] + middles[1]) / 2;
+  }
+
+  let topQuals = Object.entries(row.qualCounts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, NUM_TOP_QUALS).map(([qual, count]) => qual + ' (' + count + ')');
+  if(row.otherQualCount) {
+    topQuals.push(OTHER_QUAL + ' (' + row.otherQualCount + ')');
+  }
+
+  return {
+    NUMERIC_SHARE: row.NUM_RECORDS? +(numCount / row.NUM_RECORDS).toFixed(4): 0,
+    RESULT_NUM_MIN: numCount? row.numMin: '',
+    RESULT_NUM_MEDIAN: median,
+    RESULT_NUM_MAX: numCount? row.numMax: '',
+    TOP_RESULT_QUAL: topQuals.join('; ')
+  };
+}
@@ -0,0 +1,96 @@
+
+// Cache of the indexes built from Loinc.csv (see loincUtils.getLoincTableUtil()), so that the full LOINC table
+// doesn't have to be parsed on every run, which takes most of the run time for small input files.
+// The cache is a json file keyed by the SHA-1 checksum of the Loinc.csv file: if the LOINC file changes (or the
+// cache format changes, see CACHE_VERSION), the cache is ignored, and the indexes are rebuilt and cached again.
+// By default, the cache file is next to the LOINC file, e.g., Loinc.csv.index-cache.json, see getDefaultCacheFile().
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// To be increased when the cached data changes, so that the older cache files are not used.
+const CACHE_VERSION = 2; // 2: with the lexical tokens
+
+module.exports = {
+  getDefaultCacheFile,
+  getFileChecksum,
+  readCache,
+  writeCache
+}
+
+
+/**
+ * Get the default cache file name for the given LOINC file.
+ * @param loincFile the Loinc.csv file path
+ * @return the cache file path
+ */
+function getDefaultCacheFile(loincFile) {
+  return path.join(path.dirname(loincFile), path.basename(loincFile) + '.index-cache.json');
+}
+
+
+/**
+ * Get the SHA-1 checksum of the given file, read as a stream.
+ * @param fileName the file name
+ * @return {Promise<string>} resolves to the checksum (hex)
+ */
+function getFileChecksum(fileName) {
+  return new Promise((resolve, reject) => {
+    let hash = crypto.createHash('sha1');
+    fs.createReadStream(fileName)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+
+/**
+ * Read the cached indexes from the given cache file, if it's for the LOINC file of the given checksum.
+ * @param cacheFile the cache file
+ * @param loincChecksum the checksum of the LOINC file, see getFileChecksum()
+ * @return the cached indexes, or null if the cache file does not exist, can't be read, or is for another LOINC
+ *         file (or another cache version).
+ */
+function readCache(cacheFile, loincChecksum) {
+  if(! fs.existsSync(cacheFile)) {
+    return null;
+  }
+  try {
+    let cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if(cache.version === CACHE_VERSION && cache.loincChecksum === loincChecksum) {
+      return cache.indexes;
+    }
+    console.log('The LOINC index cache %s is out of date, rebuilding', cacheFile);
+  }
+  catch(e) {
+    console.log('WARN: unable to read the LOINC index cache %s, rebuilding: %s', cacheFile, e.message);
+  }
+  return null;
+}
+
+
+/**
+ * Write the given indexes into the cache file, for the LOINC file of the given checksum. The cache file is
+ * written to a temporary file first and then renamed, so that a partially written cache file is never read.
+ * Failing to write the cache is not an error, the indexes will just be rebuilt next time.
+ * @param cacheFile the cache file
+ * @param loincChecksum the checksum of the LOINC file, see getFileChecksum()
+ * @param indexes the indexes to cache, must be json serializable.
+ * @return true if the cache is written, false otherwise.
+ */
+function writeCache(cacheFile, loincChecksum, indexes) {
+  let tmpFile = cacheFile + '.' + process.pid + '.tmp';
+  try {
+    fs.writeFileSync(tmpFile, JSON.stringify({version: CACHE_VERSION, loincChecksum,
+      created: new Date().toISOString(), indexes}));
+    fs.renameSync(tmpFile, cacheFile);
+    return true;
+  }
+  catch(e) {
+    console.log('WARN: unable to write the LOINC index cache %s: %s', cacheFile, e.message);
+    if(fs.existsSync(tmpFile)) fs.unlinkSync(tmpFile);
+    return false;
+  }
+}
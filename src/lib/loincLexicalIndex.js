@@ -0,0 +1,115 @@
+
+// Lexical (text similarity) matching of the raw lab names against the LOINC terms, for the cases where the
+// parts inferred from the raw name/unit say nothing about the COMPONENT, e.g., "FERRITIN" mapped to an iron LOINC.
+// Each LOINC term is indexed by the tokens of its LONG_COMMON_NAME, SHORTNAME, COMPONENT, and RELATEDNAMES2, and a
+// raw name is scored against a term by how much of the raw name (weighted by the IDF of the tokens, so that the
+// rare tokens, e.g., the analyte names, count much more than the common ones, e.g., "serum") is found in the term.
+// The raw name tokens not found in any term (e.g., local abbreviations) are ignored, so a raw name is not judged
+// by what can't be matched at all.
+// The tokens of each term are built with the other LOINC indexes (see loincUtils.buildLoincIndexes()) and cached
+// with them; the matcher (see getLexicalMatcher()) is built from those at startup.
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'per', 'the', 'to', 'w',
+  'with', 'vs']);
+const MAX_RETRIEVAL_TOKENS = 3; // the number of (rarest) raw name tokens used for retrieving the candidates
+const COMPONENT_WEIGHT = 0.3; // weight of the COMPONENT coverage in the candidate score, see getScore()
+
+module.exports = {
+  tokenize,
+  getLexicalTokens,
+  getLexicalMatcher
+}
+
+
+/**
+ * Get the distinct tokens of the given text: lower case, alphanumeric, stop words removed.
+ * @param text the text
+ * @return the list of the tokens, in the order of appearance.
+ */
+function tokenize(text) {
+  let tokens = (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(token => token && !STOP_WORDS.has(token));
+  return [...new Set(tokens)];
+}
+
+
+/**
+ * Get the lexical tokens of the given LOINC term (a Loinc.csv row) for the index, see getLexicalMatcher().
+ * @param loinc the Loinc.csv row
+ * @return [all tokens, COMPONENT tokens], each as a space separated string to keep the index (and the cache) small.
+ */
+function getLexicalTokens(loinc) {
+  let text = [loinc.LONG_COMMON_NAME, loinc.SHORTNAME, loinc.COMPONENT, loinc.RELATEDNAMES2].join(' ');
+  return [tokenize(text).join(' '), tokenize(loinc.COMPONENT).join(' ')];
+}
+
+
+/**
+ * Get the lexical matcher for the given term tokens.
+ * @param loincToTokens LOINC# to the tokens of the term, see getLexicalTokens()
+ * @return an object with the following functions:
+ *         - score(rawName, loincNum): the score of the raw name against the given LOINC, see getScore(), or null if
+ *           the LOINC is not indexed or none of the raw name tokens are known.
+ *         - findCandidates(rawName, opts): find the LOINCs that best match the raw name, with the optional opts:
+ *           - filter: a function that takes a LOINC# and returns true if the LOINC may be a candidate
+ *           - minScore: the minimum (combined) score of the candidates, default to 0.5
+ *           - maxCandidates: the maximum number of candidates, default to 5
+ *           returns the list of {LOINC_NUM, score, coverage, componentCoverage}, the best first.
+ */
+function getLexicalMatcher(loincToTokens) {
+  let docs = {}, postings = {}, numDocs = 0;
+  Object.entries(loincToTokens || {}).forEach(([loincNum, [all, component]]) => {
+    let tokens = new Set(all.split(' ').filter(t => t));
+    docs[loincNum] = {tokens, component: component.split(' ').filter(t => t)};
+    tokens.forEach(token => (postings[token] = postings[token] || []).push(loincNum));
+    numDocs += 1;
+  });
+  let idfs = {};
+  let getIdf = (token) => idfs[token] || (idfs[token] = postings[token]? Math.log(1 + numDocs / postings[token].length): 0);
+
+  // the known tokens of the raw name, with their IDFs
+  let getRawTokens = (rawName) => tokenize(rawName).filter(token => postings[token])
+    .map(token => ({token, idf: getIdf(token)}));
+
+  let scoreTokens = (rawTokens, loincNum) => {
+    let doc = docs[loincNum];
+    if(! doc || ! rawTokens.length) return null;
+    return getScore(rawTokens, doc, getIdf);
+  };
+
+  return {
+    score: (rawName, loincNum) => scoreTokens(getRawTokens(rawName), loincNum),
+    findCandidates: (rawName, opts) => {
+      let {filter, minScore = 0.5, maxCandidates = 5} = opts || {};
+      let rawTokens = getRawTokens(rawName);
+      let retrieval = rawTokens.slice().sort((a, b) => b.idf - a.idf).slice(0, MAX_RETRIEVAL_TOKENS);
+      let loincNums = new Set([].concat(...retrieval.map(({token}) => postings[token])));
+      let candidates = [];
+      loincNums.forEach(loincNum => {
+        if(filter && ! filter(loincNum)) return;
+        let score = scoreTokens(rawTokens, loincNum);
+        if(score && score.score >= minScore) candidates.push(Object.assign({LOINC_NUM: loincNum}, score));
+      });
+      return candidates.sort((a, b) => b.score - a.score || a.LOINC_NUM.localeCompare(b.LOINC_NUM))
+        .slice(0, maxCandidates);
+    }
+  };
+}
+
+
+// Score the raw name tokens against the given term:
+// - coverage: the share (by IDF) of the raw name tokens found in the term, from 0 to 1.
+// - componentCoverage: the share (by IDF) of the COMPONENT tokens of the term found in the raw name, so that, e.g.,
+//   "FERRITIN" prefers the COMPONENT "Ferritin" over "Ferritin binding capacity".
+// - score: the two combined, for ranking the candidates.
+function getScore(rawTokens, doc, getIdf) {
+  let total = rawTokens.reduce((acc, t) => acc + t.idf, 0);
+  let found = rawTokens.reduce((acc, t) => doc.tokens.has(t.token)? acc + t.idf: acc, 0);
+  let coverage = total? found / total: 0;
+  let rawSet = new Set(rawTokens.map(t => t.token));
+  let compTotal = doc.component.reduce((acc, token) => acc + getIdf(token), 0);
+  let compFound = doc.component.reduce((acc, token) => rawSet.has(token)? acc + getIdf(token): acc, 0);
+  let componentCoverage = compTotal? compFound / compTotal: 0;
+  let score = (1 - COMPONENT_WEIGHT) * coverage + COMPONENT_WEIGHT * componentCoverage;
+  let round = (value) => Math.round(value * 1000) / 1000;
+  return {score: round(score), coverage: round(coverage), componentCoverage: round(componentCoverage)};
+}
@@ -0,0 +1,91 @@
+
+// The LOINC MapTo accessory file (AccessoryFiles/MapTo/MapTo.csv in the LOINC release), which lists the
+// replacement(s) of the DEPRECATED and DISCOURAGED LOINC terms, with the columns LOINC, MAP_TO, and COMMENT.
+// A term may map to more than one term, and a replacement may itself be deprecated and mapped to yet another
+// term, so the mappings are followed (see getMapToReplacement()) to the terminal term(s) that are in use.
+
+const fs = require('fs');
+const path = require('path');
+const csvReader = require('./csvReader');
+
+const RETIRED_STATUSES = ['DEPRECATED', 'DISCOURAGED'];
+
+module.exports = {
+  RETIRED_STATUSES,
+  getDefaultMapToFile,
+  loadMapTo,
+  getMapToReplacement
+}
+
+
+/**
+ * Get the MapTo.csv file of the LOINC release the given Loinc.csv file is in, i.e., MapTo.csv in the same
+ * directory, or AccessoryFiles/MapTo/MapTo.csv of the release (Loinc.csv is in LoincTable/ of the release).
+ * @param loincFile the Loinc.csv file path
+ * @return the MapTo.csv file path, or null if not found.
+ */
+function getDefaultMapToFile(loincFile) {
+  let loincDir = path.dirname(loincFile);
+  return [path.join(loincDir, 'MapTo.csv'), path.join(loincDir, '..', 'AccessoryFiles', 'MapTo', 'MapTo.csv')]
+    .find(file => fs.existsSync(file)) || null;
+}
+
+
+/**
+ * Load the MapTo.csv file.
+ * @param mapToFile the MapTo.csv file path
+ * @return {Promise} resolves to a hash from the LOINC# to the list of the LOINC#s it maps to, in the file order.
+ */
+function loadMapTo(mapToFile) {
+  return csvReader.read(mapToFile, {columns: true}).then(rows => rows.reduce((acc, row) => {
+    let [loinc, mapTo] = [(row.LOINC || '').trim(), (row.MAP_TO || '').trim()];
+    if(loinc && mapTo && loinc !== mapTo) {
+      acc[loinc] = acc[loinc] || [];
+      if(! acc[loinc].includes(mapTo)) acc[loinc].push(mapTo);
+    }
+    return acc;
+  }, {})).catch(err => {
+    throw 'Error occurred loading the MapTo file: ' + err;
+  });
+}
+
+
+/**
+ * Get the replacement of the given (DEPRECATED or DISCOURAGED) LOINC, following the MapTo chains (breadth first,
+ * so the shorter chains come first) to the terminal terms, i.e., the terms that are not DEPRECATED/DISCOURAGED, or
+ * that are not mapped any further. The terminal terms that are not in the LOINC table are ignored, and the
+ * DEPRECATED/DISCOURAGED terminal terms are used only if there are no others. If none of the terminal terms are in
+ * the LOINC table, the last terms in their chains that are (i.e., the DEPRECATED/DISCOURAGED intermediates) are used
+ * instead, if any.
+ * @param loinc the LOINC#
+ * @param mapTo the MapTo mappings, see loadMapTo()
+ * @param loincToParts the LOINC# to parts map, for the STATUS of the terms, see loincUtils.getLoincTableUtil()
+ * @return null if there is no replacement, otherwise a hash of:
+ *         - replacement: the LOINC# of the replacement
+ *         - chain: the list of LOINC#s from the given LOINC to the replacement, e.g., [given, intermediate, replacement]
+ *         - others: the other terminal terms, if the given LOINC maps to more than one.
+ */
+function getMapToReplacement(loinc, mapTo, loincToParts) {
+  let chains = {[loinc]: [loinc]}; // each visited term to the chain from the given LOINC
+  let queue = [loinc], terminals = [], fallbacks = [];
+  while(queue.length) {
+    let curr = queue.shift();
+    let status = loincToParts[curr] && loincToParts[curr].STATUS;
+    let next = (curr === loinc || RETIRED_STATUSES.includes(status)) && mapTo[curr] || [];
+    if(curr !== loinc && ! next.some(code => ! chains[code])) {
+      let fallback = !loincToParts[curr] && chains[curr].slice(1).reverse().find(code => loincToParts[code]);
+      if(loincToParts[curr]) terminals.push(curr);
+      else if(fallback && ! fallbacks.includes(fallback)) fallbacks.push(fallback);
+      continue;
+    }
+    next.filter(code => ! chains[code]).forEach(code => {
+      chains[code] = [...chains[curr], code];
+      queue.push(code);
+    });
+  }
+
+  terminals = terminals.length? terminals: fallbacks;
+  let isRetired = code => RETIRED_STATUSES.includes(loincToParts[code].STATUS);
+  terminals = [...terminals.filter(code => ! isRetired(code)), ...terminals.filter(isRetired)];
+  return !terminals.length? null: {replacement: terminals[0], chain: chains[terminals[0]], others: terminals.slice(1)};
+}
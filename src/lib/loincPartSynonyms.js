@@ -1,46 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const csvReader = require('./csvReader');
 
 // Each part type may have a list of synonym groups where each group is a list of terms that are synonyms
 // The term "synonym" is used loosely here, referring to interchangable part names in the context of
 // LOINC mapping correct.
-let partSynonyms = {
-  SYSTEM: [
-    ['Ser', 'Plas', 'Ser/Plas'],
-    ['Bld', 'Ser/Plas/Bld'],
-    ['xxxx-1', 'xxxxx-2'] // just to illustrate the syntax
-  ]
-}
+// The groups are loaded from the synonym table, see loadPartSynonymTable(); the default table,
+// data/loinc-part-synonyms.csv, has the groups curated by hand, e.g., Ser, Plas, and Ser/Plas.
+// The groups are not merged: the synonyms of a part name are the part names in the groups that have it, so that
+// Ser/Plas/Bld being a synonym of both Ser and Bld does not make Ser and Bld synonyms.
+
+// The synonym table, as generated from the LOINC Part files by generatePartSynonyms.js and reviewed by the
+// curators: one synonym group per row, with the columns below. PARTS is the list of part names separated by "|",
+// since some part names have ";" or ",". CLASS is optional, the LOINC classes (also separated by "|") the group
+// applies to, e.g., Urine and Urine sed only for UA; the group applies to all classes if empty. Only the groups
+// with STATUS "accepted" are loaded; the generated groups are "proposed" until reviewed, and may also be "rejected".
+// Rows may also be added by hand, e.g., SOURCE "manual".
+const SYNONYM_TABLE_COLUMNS = ['PART_TYPE', 'PARTS', 'CLASS', 'SOURCE', 'EVIDENCE', 'NUM_LOINCS', 'STATUS',
+  'CURATOR_NOTE'];
+const PARTS_DELIMITER = '|';
+const DEFAULT_SYNONYM_TABLE = path.join(__dirname, '..', '..', 'data', 'loinc-part-synonyms.csv');
 
-// part-type to a map where the keys are part names and values are synonyms for that part name, e.g.,:
-// { SYSTEM: { // the synonyms point to the same synonym group list, not duplicates
-//     'Ser': ['Ser', 'Plas', 'Ser/Plas'],
-//     'Plas': ['Ser', 'Plas', 'Ser/Plas'],
-//     'Ser/Plas': ['Ser', 'Plas', 'Ser/Plas'],
-//      'xxxx-1': ['xxxx-1', 'xxxxx-2'],
-//      'xxxxx-2': ['xxxx-1', 'xxxxx-2']
+// part-type to a map where the keys are part names and values are the synonym groups having that part name, e.g.,:
+// { SYSTEM: { // the part names point to the same group objects, not duplicates
+//     'Ser': [{names: ['Ser', 'Plas', 'Ser/Plas', 'Ser/Plas/Bld'], classes: []}],
+//     'Ser/Plas/Bld': [{names: ['Ser', 'Plas', 'Ser/Plas', 'Ser/Plas/Bld'], classes: []},
+//                      {names: ['Bld', 'Ser/Plas/Bld'], classes: []}],
+//     'PPP': [{names: ['PPP', 'Plas', 'Ser/Plas'], classes: ['COAG']}],
+//     ...
 //   }
 // }
 let partSynonymsMap = {};
-Object.entries(partSynonyms).forEach(([partType, groups]) => {
-  partSynonymsMap[partType] = partSynonymsMap[partType] || {};
-  groups.forEach(group => {
-    group.forEach(partName => {
-      partSynonymsMap[partType][partName] = group;
-    });
-  });
-});
+
+
+/**
+ * Add the given synonym group, unless the same group (same part names and classes) has been added.
+ * @param partType the part type, e.g., SYSTEM
+ * @param partNames the part names in the group
+ * @param classes optional, the LOINC classes the group applies to, all classes if empty.
+ */
+function addSynonymGroup(partType, partNames, classes = []) {
+  let typeMap = partSynonymsMap[partType] = partSynonymsMap[partType] || {};
+  let sameList = (list1, list2) => list1.length === list2.length && list1.every(name => list2.includes(name));
+  let isDuplicate = (typeMap[partNames[0]] || []).some(group =>
+    sameList(group.names, partNames) && sameList(group.classes, classes));
+  if(isDuplicate) return;
+
+  let group = {names: partNames.slice(), classes: classes.slice()};
+  partNames.forEach(partName => (typeMap[partName] = typeMap[partName] || []).push(group));
+}
+
+
+/**
+ * Read the synonym table (see SYNONYM_TABLE_COLUMNS above), all rows regardless of the status.
+ * @param tableFile the synonym table csv file
+ * @return {Promise} resolves to the list of rows, where PARTS and CLASS are the lists of part names and classes,
+ *         and STATUS is in lower case, default to "proposed".
+ */
+async function readPartSynonymTable(tableFile) {
+  let rows = await csvReader.read(tableFile, {columns: true, bom: true});
+  let toList = (value) => (value || '').split(PARTS_DELIMITER).map(name => name.trim()).filter(name => name);
+  return rows.map(row => Object.assign({}, row, {
+    PART_TYPE: (row.PART_TYPE || '').trim().toUpperCase(),
+    PARTS: toList(row.PARTS),
+    CLASS: toList(row.CLASS),
+    STATUS: (row.STATUS || '').trim().toLowerCase() || 'proposed'
+  }));
+}
+
+
+/**
+ * Load the accepted synonym groups in the given synonym table, in addition to the groups already loaded.
+ * @param tableFile the synonym table csv file, see SYNONYM_TABLE_COLUMNS above
+ * @return {Promise} resolves to the number of synonym groups loaded.
+ */
+async function loadPartSynonymTable(tableFile) {
+  let accepted = (await readPartSynonymTable(tableFile)).filter(row => row.STATUS === 'accepted' &&
+    row.PART_TYPE && row.PARTS.length > 1);
+  accepted.forEach(row => addSynonymGroup(row.PART_TYPE, row.PARTS, row.CLASS));
+  return accepted.length;
+}
+
+
+/**
+ * Get the default synonym table file, data/loinc-part-synonyms.csv, if exists.
+ * @return the file path, or null if the file does not exist.
+ */
+function getDefaultPartSynonymTable() {
+  return fs.existsSync(DEFAULT_SYNONYM_TABLE)? DEFAULT_SYNONYM_TABLE: null;
+}
 
 
 /**
  * If any of the given part names have synonyms, their synonyms will be "added" to the list
  * @param partType
  * @param partNames
+ * @param lnClass optional, the LOINC class, for the groups that apply to some classes only.
  */
-function addPartSynonyms(partType, partNames) {
+function addPartSynonyms(partType, partNames, lnClass) {
   if(!partNames || ! partSynonymsMap[partType]) {
     return partNames;
   }
   for(let i=0, len=partNames.length; i < len; ++i) {
-    let synonyms = partSynonymsMap[partType][partNames[i]] || [];
+    let synonyms = getPartSynonyms(partType, partNames[i], lnClass) || [];
     for(let syno of synonyms) {
       if(!partNames.includes(syno)) {
         partNames.push(syno);
@@ -51,18 +113,30 @@ function addPartSynonyms(partType, partNames) {
 }
 
 /**
- * Get the synonyms for the give part type and part name.
+ * Get the synonyms for the give part type and part name, i.e., the part names in the groups having the part name.
  * @param partType
  * @param partName
- * @return a list of synonyms or empty list or null
+ * @param lnClass optional, the LOINC class, for the groups that apply to some classes only.
+ * @return a list of synonyms (including the given part name) or null
  */
-function getPartSynonyms(partType, partName) {
-  return partSynonymsMap[partType] && partSynonymsMap[partType][partName] || null;
+function getPartSynonyms(partType, partName, lnClass) {
+  let groups = (partSynonymsMap[partType] && partSynonymsMap[partType][partName] || [])
+    .filter(group => !group.classes.length || group.classes.includes(lnClass));
+  if(! groups.length) return null;
+  return groups.reduce((acc, group) => {
+    group.names.forEach(name => { if(! acc.includes(name)) acc.push(name); });
+    return acc;
+  }, []);
 }
 
 module.exports = {
+  SYNONYM_TABLE_COLUMNS,
+  PARTS_DELIMITER,
   addPartSynonyms,
-  getPartSynonyms
+  getPartSynonyms,
+  readPartSynonymTable,
+  loadPartSynonymTable,
+  getDefaultPartSynonymTable
 }
 
 if(require.main === module) {
@@ -70,8 +144,10 @@ if(require.main === module) {
     SYSTEM: ['Ser', 'whatever', 'Ser/Plas'],
     PROPERTY: ['ACnc', 'Ser', 'Ser/Plas']
   }
-  Object.entries(testData).forEach(([partType, partNames]) => {
-    let newPartNames = addPartSynonyms(partType, partNames.slice());
-    console.log('%s: %s ==> %s', partType, partNames, newPartNames);
+  loadPartSynonymTable(DEFAULT_SYNONYM_TABLE).then(() => {
+    Object.entries(testData).forEach(([partType, partNames]) => {
+      let newPartNames = addPartSynonyms(partType, partNames.slice());
+      console.log('%s: %s ==> %s', partType, partNames, newPartNames);
+    });
   });
 }
@@ -1,23 +1,31 @@
 
 const csvReader = require('./csvReader');
 const {copyFields, setOR, setAND} = require('./common');
+const loincIndexCache = require('./loincIndexCache');
+const {getLexicalTokens, getLexicalMatcher} = require('./loincLexicalIndex');
 const PartTypeList = ['CLASS', 'COMPONENT', 'PROPERTY', 'TIME', 'SYSTEM', 'SCALE', 'METHOD'];
 
 // See getLoincTableUtil for more details
-let loincTable, loincUtils, loincToParts, partLowerToName, getUnitProperties;
+let loincTable, loincUtils, loincToParts, partLowerToName, loincVersion, getUnitProperties;
 
 module.exports = {
   PartTypeList,
   getLoincTableUtil,
-  loadLoincTable
+  loadLoincTable,
+  buildLoincIndexCache
 }
 
 /**
  * Initialize the loinc table util
  * @param loincTableFile The Loinc.csv file path (downloadable from http://loinc.org)
  * @param unitPropXlsx excel file for unit-properties mapping (the combined mapping file).
+ * @param opts optional, with the following optional field:
+ *        - cacheFile: the LOINC index cache file, see loincIndexCache.js. If specified, the indexes are loaded from
+ *          the cache if it's for the same LOINC file, otherwise, the indexes are built and written to the cache.
+ *          May be true to use the default cache file (next to the LOINC file).
  * @return a promise that resolves to a hash with the following fields:
- *           loincTable: full loinc table rows (as a list)
+ *           loincTable: full loinc table rows (as a list), null if the indexes are loaded from the cache.
+ *           loincVersion: the LOINC version, i.e., the latest VersionLastChanged, see getLoincVersion()
  *           loincToParts: loinc# to a map of 6 loinc parts plus LOINC_NUM, LONG_COMMON_NAME,
  *                         STATUS, EXAMPLE_UCUM_UNITS, and CLASS.
  *                         ** NOTE THAT ** except for LOINC_NUM, LONG_COMMON_NAME, all keys mapped to a **list**
@@ -26,8 +34,9 @@ module.exports = {
  *                           correct part name
  *           getUnitToPropertiesMapper: a function that returns a function for getting the list of properties for a
  *                                      given unit.
+ *           lexicalMatcher: matching the raw lab names against the LOINC terms by text, see loincLexicalIndex.js
  */
-function getLoincTableUtil(loincTableFile, unitPropXlsx) {
+function getLoincTableUtil(loincTableFile, unitPropXlsx, opts) {
   /**
    *  Getting standard LOINC part name using a name potentially with incorrect casing
    *  @param name the part name with potential case error
@@ -56,27 +65,13 @@ function getLoincTableUtil(loincTableFile, unitPropXlsx) {
     if(loincUtils) {
       resolve(loincUtils);
     }
-    loadLoincTable(loincTableFile).then(loincs => {
-      loincTable = loincs;
-      partLowerToName = PartTypeList.reduce((acc, type) => {acc[type] = {}; return acc;}, {});
-      loincToParts = {};
-
-      loincs.forEach(row => {
-        // build loinc to parts map
-        let parts = loincToParts[row.LOINC_NUM] =
-          loincToParts[row.LOINC_NUM] || (copyFields(row, {}, ['LOINC_NUM', 'LONG_COMMON_NAME', 'STATUS', 'EXAMPLE_UCUM_UNITS']));
-        PartTypeList.forEach(partType => {
-          if(row[partType]) {
-            parts[partType] = [ row[partType] ];
-            partLowerToName[partType][row[partType].toLowerCase()] = row[partType];
-          }
-          else {
-            parts[partType] = [];
-          }
-        });
-      });
-      let loincPartIndexex = buildLoincPartsIndex(loincToParts);
-      loincUtils = {loincTable, loincToParts, getStdPartName, getUnitToPropertiesMapper,
+    let cacheFile = opts && opts.cacheFile === true? loincIndexCache.getDefaultCacheFile(loincTableFile):
+      opts && opts.cacheFile;
+    loadLoincIndexes(loincTableFile, cacheFile).then(indexes => {
+      ({loincTable, loincToParts, partLowerToName, loincVersion} = indexes);
+      let loincPartIndexex = buildLoincPartsIndex(loincToParts); // fast enough, not cached
+      let lexicalMatcher = getLexicalMatcher(indexes.loincToLexicalTokens); // same as above, from the cached tokens
+      loincUtils = {loincTable, loincVersion, loincToParts, getStdPartName, getUnitToPropertiesMapper, lexicalMatcher,
         getLoincForParts: (partTypeNames) => getLoincForPartsInternal(loincPartIndexex, partTypeNames),
         hasLoincWithPart: (partType, partName) => !!loincPartIndexex[partType][partName]
       };
@@ -85,8 +80,94 @@ function getLoincTableUtil(loincTableFile, unitPropXlsx) {
         loincUtils.getPctUnitPropertiesByClass = getFuncForPctUnitPropertiesByClass(); // required loincUtil so do it separatelys
       }
       resolve(loincUtils);
+    }).catch(reject);
+  });
+}
+
+
+/**
+ * Load the LOINC table and build the indexes, or load the indexes from the cache, see getLoincTableUtil().
+ * @param loincTableFile the Loinc.csv file path
+ * @param cacheFile optional, the cache file. If not specified, the cache is not used.
+ * @return {Promise} resolves to a hash of loincTable (null if loaded from the cache), loincToParts,
+ *         partLowerToName, loincToLexicalTokens, and loincVersion.
+ */
+async function loadLoincIndexes(loincTableFile, cacheFile) {
+  let checksum = cacheFile && await loincIndexCache.getFileChecksum(loincTableFile);
+  let cached = cacheFile && loincIndexCache.readCache(cacheFile, checksum);
+  if(cached) {
+    console.log('LOINC indexes loaded from the cache %s', cacheFile);
+    return Object.assign({loincTable: null}, cached);
+  }
+
+  let loincs = await loadLoincTable(loincTableFile);
+  let indexes = buildLoincIndexes(loincs);
+  if(cacheFile && loincIndexCache.writeCache(cacheFile, checksum, indexes)) {
+    console.log('LOINC indexes written to the cache %s', cacheFile);
+  }
+  return Object.assign({loincTable: loincs}, indexes);
+}
+
+
+/**
+ * Build the indexes from the LOINC table rows, i.e., the indexes that are cached, see loadLoincIndexes().
+ * @param loincs the LOINC table rows, see loadLoincTable()
+ * @return a hash of loincToParts, partLowerToName, loincVersion (see getLoincTableUtil()), and loincToLexicalTokens,
+ *         the tokens of the laboratory terms (CLASSTYPE 1, if the column exists) for the lexical matcher.
+ */
+function buildLoincIndexes(loincs) {
+  let partLowerToName = PartTypeList.reduce((acc, type) => {acc[type] = {}; return acc;}, {});
+  let loincToParts = {}, loincToLexicalTokens = {};
+
+  loincs.forEach(row => {
+    // build loinc to parts map
+    let parts = loincToParts[row.LOINC_NUM] =
+      loincToParts[row.LOINC_NUM] || (copyFields(row, {}, ['LOINC_NUM', 'LONG_COMMON_NAME', 'STATUS', 'EXAMPLE_UCUM_UNITS']));
+    PartTypeList.forEach(partType => {
+      if(row[partType]) {
+        parts[partType] = [ row[partType] ];
+        partLowerToName[partType][row[partType].toLowerCase()] = row[partType];
+      }
+      else {
+        parts[partType] = [];
+      }
     });
+    if(! row.CLASSTYPE || row.CLASSTYPE === '1') {
+      loincToLexicalTokens[row.LOINC_NUM] = getLexicalTokens(row);
+    }
   });
+  return {loincToParts, partLowerToName, loincToLexicalTokens, loincVersion: getLoincVersion(loincs)};
+}
+
+
+/**
+ * Build (or rebuild if out of date) the LOINC index cache for the given LOINC file, e.g., as a separate step
+ * before the runs, see buildLoincIndexCache.js.
+ * @param loincTableFile the Loinc.csv file path
+ * @param cacheFile optional, the cache file, default to the default cache file, see loincIndexCache.js
+ * @return {Promise} resolves to the cache file name.
+ */
+async function buildLoincIndexCache(loincTableFile, cacheFile) {
+  cacheFile = cacheFile || loincIndexCache.getDefaultCacheFile(loincTableFile);
+  await loadLoincIndexes(loincTableFile, cacheFile);
+  return cacheFile;
+}
+
+
+/**
+ * Get the LOINC version of the given LOINC table, that is, the latest VersionLastChanged of the terms, since
+ * Loinc.csv itself does not have the release version.
+ * @param loincs the LOINC table rows
+ * @return the version, or empty string if not known.
+ */
+function getLoincVersion(loincs) {
+  let toNums = (version) => version.split('.').map(n => parseInt(n) || 0);
+  return loincs.reduce((latest, loinc) => {
+    let version = (loinc.VersionLastChanged || '').trim();
+    if(!version) return latest;
+    let [a, b] = [toNums(version), toNums(latest || '0')];
+    return a[0] > b[0] || a[0] === b[0] && (a[1] || 0) > (b[1] || 0)? version: latest;
+  }, '');
 }
 
 
@@ -232,11 +313,12 @@ function getLoincForPartsInternal(partIndexes, partTypeNames) {
 function getFuncForPctUnitPropertiesByClass() {
   let pctProps = getUnitProperties('%');
   let propsByClass = {}; // CLASS to the list of properties compatible with that class
-  loincUtils.loincTable.forEach(loinc => {
-    if(pctProps.includes(loinc.PROPERTY)) {
-      propsByClass[loinc.CLASS] = propsByClass[loinc.CLASS] || [];
-      if(!propsByClass[loinc.CLASS].includes(loinc.PROPERTY)) {
-        propsByClass[loinc.CLASS].push(loinc.PROPERTY);
+  Object.values(loincUtils.loincToParts).forEach(parts => { // loincTable is not available if loaded from cache
+    let [property] = parts.PROPERTY, [lnClass] = parts.CLASS;
+    if(pctProps.includes(property)) {
+      propsByClass[lnClass] = propsByClass[lnClass] || [];
+      if(!propsByClass[lnClass].includes(property)) {
+        propsByClass[lnClass].push(property);
       }
     }
   });
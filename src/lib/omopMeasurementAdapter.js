@@ -0,0 +1,181 @@
+
+// Input adapter for the OMOP CDM MEASUREMENT table, so that the mapping errors in the source values
+// (measurement_source_value, unit_source_value) against measurement_concept_id can be found (and corrected) the
+// same way as for the PCORnet rows. Two files are needed:
+// - CONCEPT.csv (e.g., from the Athena vocabulary download, tab delimited), for resolving the concept_id to the
+//   LOINC code and the other way around. Only the LOINC concepts are kept.
+// - a MEASUREMENT extract, csv or tab delimited, with (at least) the columns measurement_concept_id,
+//   measurement_source_value, and unit_source_value. If the extract is already aggregated, a record count column
+//   (see aggregateMeasurements()) may be used.
+// The column names are case insensitive. Both files are read in chunks so that large files can be handled.
+// The measurements are aggregated into the rows of the distinct (measurement_concept_id, measurement_source_value,
+// unit_source_value) combinations with the record counts as NUM_RECORDS; the rows with LOINC concepts are
+// validated, the others are reported separately.
+
+const csvReader = require('./csvReader');
+const {getComboAggregator, delimitedToList, isNEU, getDateString, copyFields} = require('./common');
+
+const CHUNK_SIZE = 10000;
+const COMBO_FIELDS = ['MEASUREMENT_CONCEPT_ID', 'RAW_LAB_NAME', 'RAW_UNIT'];
+
+module.exports = {
+  loadLoincConcepts,
+  aggregateMeasurements,
+  addSuggestedConceptIds,
+  getSourceToConceptMapRows
+}
+
+
+// csv parsing options for the OMOP files: lower case the column names, and allow quotes in unquoted fields,
+// which is common in the vocabulary files, e.g., concept names with inches (").
+function getCsvOptions(csvFile) {
+  return {
+    columns: header => header.map(col => col.trim().toLowerCase()),
+    delimiter: csvReader.detectDelimiter(csvFile),
+    relax: true
+  };
+}
+
+
+/**
+ * Load the LOINC concepts from the given OMOP CONCEPT file.
+ * @param conceptFile the CONCEPT.csv file path
+ * @return {Promise} resolves to a hash with the following maps:
+ *         - idToConcept: concept_id to the concept {concept_id, concept_code (the LOINC), concept_name,
+ *           standard_concept, invalid_reason}
+ *         - loincToId: LOINC code to the concept_id
+ */
+async function loadLoincConcepts(conceptFile) {
+  let idToConcept = {}, loincToId = {};
+  await csvReader.readInChunks(conceptFile, getCsvOptions(conceptFile), CHUNK_SIZE, (records) => {
+    records.forEach(rec => {
+      if(rec.vocabulary_id === 'LOINC' && rec.concept_id && rec.concept_code) {
+        let {concept_id, concept_code, concept_name, standard_concept, invalid_reason} = rec;
+        idToConcept[concept_id] = {concept_id, concept_code, concept_name, standard_concept, invalid_reason};
+        loincToId[concept_code] = concept_id;
+      }
+    });
+  });
+  return {idToConcept, loincToId};
+}
+
+
+/**
+ * Aggregate the measurements in the given MEASUREMENT extract into the rows of the distinct combinations.
+ * @param measurementFile the MEASUREMENT extract file path
+ * @param concepts the LOINC concepts, see loadLoincConcepts()
+ * @param countColumn optional, the (lower case) column of record counts, for extracts that are already
+ *        aggregated, otherwise, each record counts as 1.
+ * @return {Promise} resolves to a hash with the following fields:
+ *         - rows: the rows of the measurements with LOINC concepts, each has ROW_NUM, MEASUREMENT_CONCEPT_ID,
+ *           LAB_LOINC, RAW_LAB_NAME (measurement_source_value), RAW_UNIT (unit_source_value), and NUM_RECORDS
+ *         - nonLoincRows: the rows of the measurements with other concepts (or concept_id 0, unmapped),
+ *           with the same fields except LAB_LOINC.
+ *         - numRecords: the number of records read.
+ *         Rejected with an Error naming the missing columns, which are checked before reading the records.
+ */
+async function aggregateMeasurements(measurementFile, concepts, countColumn) {
+  let loincAggregator = getComboAggregator(COMBO_FIELDS);
+  let nonLoincAggregator = getComboAggregator(COMBO_FIELDS);
+  let csvOptions = getCsvOptions(measurementFile);
+  let header = csvReader.readHeader(measurementFile, csvOptions);
+  let missing = ['measurement_concept_id', 'measurement_source_value', 'unit_source_value', countColumn]
+    .filter(col => col && !header.includes(col));
+  if(missing.length) {
+    throw new Error('Missing column(s) in ' + measurementFile + ': ' + missing.join(', '));
+  }
+
+  let numRecords = await csvReader.readInChunks(measurementFile, csvOptions, CHUNK_SIZE, (records) => {
+    records.forEach(rec => {
+      let count = countColumn? parseInt(rec[countColumn]) || 0: 1;
+      let comboRec = {
+        MEASUREMENT_CONCEPT_ID: (rec.measurement_concept_id || '').trim(),
+        RAW_LAB_NAME: rec.measurement_source_value,
+        RAW_UNIT: rec.unit_source_value
+      };
+      let concept = concepts.idToConcept[comboRec.MEASUREMENT_CONCEPT_ID];
+      (concept? loincAggregator: nonLoincAggregator).add(comboRec, count);
+    });
+  });
+
+  let rows = loincAggregator.getRows().map(row => ({
+    ROW_NUM: row.ROW_NUM,
+    MEASUREMENT_CONCEPT_ID: row.MEASUREMENT_CONCEPT_ID,
+    LAB_LOINC: concepts.idToConcept[row.MEASUREMENT_CONCEPT_ID].concept_code,
+    RAW_LAB_NAME: row.RAW_LAB_NAME,
+    RAW_UNIT: row.RAW_UNIT,
+    NUM_RECORDS: row.NUM_RECORDS
+  }));
+
+  return {rows, nonLoincRows: nonLoincAggregator.getRows(), numRecords};
+}
+
+
+/**
+ * Add the concept_ids of the suggested LOINCs (SGG_LOINC) to the given processed rows, as SGG_CONCEPT_ID. If
+ * there are multiple suggested LOINCs, the concept_ids are semicolon separated in the same order, with "?" for
+ * the LOINCs not found in the CONCEPT file.
+ * @param rows the processed rows, see altLoincSuggesterGen6.validateAndSuggest()
+ * @param concepts the LOINC concepts, see loadLoincConcepts()
+ * @return the given rows, updated.
+ */
+function addSuggestedConceptIds(rows, concepts) {
+  rows.forEach(row => {
+    row.SGG_CONCEPT_ID = delimitedToList(isNEU(row.SGG_LOINC)? '': row.SGG_LOINC + '')
+      .map(loinc => concepts.loincToId[loinc] || '?').join('; ');
+  });
+  return rows;
+}
+
+
+/**
+ * Get the proposed source_to_concept_map rows for the corrected (FIXED, or REPLACED_mapto for the retired LOINCs)
+ * rows, one for each distinct source value (source_code). Since source_to_concept_map is keyed by the source value
+ * only, a source value is proposed only if all its combinations (e.g., with different units or mapped concepts)
+ * end up with the same concept, i.e., the suggested concept if corrected, the mapped concept otherwise; the source
+ * values with combinations that disagree (e.g., one of them judged correct as mapped to the concept being corrected
+ * by another) are returned as the conflicts instead, for review.
+ * @param rows the processed rows, with SGG_CONCEPT_ID, see addSuggestedConceptIds()
+ * @param sourceVocabularyId the source_vocabulary_id to use
+ * @return a hash with the following fields:
+ *         - rows: the list of source_to_concept_map rows.
+ *         - conflicts: the combinations of the source values with disagreeing combinations, each with
+ *           source_code, MEASUREMENT_CONCEPT_ID, LAB_LOINC, RAW_UNIT, NUM_RECORDS, ALGO_JUDGEMENT, SGG_LOINC, and
+ *           SGG_CONCEPT_ID.
+ */
+function getSourceToConceptMapRows(rows, sourceVocabularyId) {
+  let sourceToRows = {};
+  rows.forEach(row => {
+    let sourceCode = isNEU(row.RAW_LAB_NAME)? '': row.RAW_LAB_NAME + '';
+    (sourceToRows[sourceCode] = sourceToRows[sourceCode] || []).push(row);
+  });
+
+  let stcmRows = [], conflicts = [];
+  Object.entries(sourceToRows).forEach(([sourceCode, comboRows]) => {
+    let corrected = comboRows.map(row => ['FIXED', 'REPLACED_mapto'].includes(row.ALGO_JUDGEMENT));
+    // the concept_id each combination ends up with, null if the suggested LOINC is not found in CONCEPT
+    let targets = comboRows.map((row, index) => {
+      let conceptId = corrected[index]? delimitedToList(row.SGG_CONCEPT_ID)[0]: row.MEASUREMENT_CONCEPT_ID;
+      return conceptId && conceptId !== '?'? conceptId + '': null;
+    });
+    if(! targets.some((target, index) => corrected[index] && target)) return; // no correction to propose
+    if(targets.includes(null) || new Set(targets).size > 1) {
+      comboRows.forEach(row => conflicts.push(copyFields(row, {source_code: sourceCode}, ['MEASUREMENT_CONCEPT_ID',
+        'LAB_LOINC', 'RAW_UNIT', 'NUM_RECORDS', 'ALGO_JUDGEMENT', 'SGG_LOINC', 'SGG_CONCEPT_ID'])));
+      return;
+    }
+    stcmRows.push({
+      source_code: sourceCode,
+      source_concept_id: 0,
+      source_vocabulary_id: sourceVocabularyId,
+      source_code_description: sourceCode,
+      target_concept_id: targets[0],
+      target_vocabulary_id: 'LOINC',
+      valid_start_date: getDateString(),
+      valid_end_date: '2099-12-31',
+      invalid_reason: ''
+    });
+  });
+
+  return {rows: stcmRows, conflicts};
+}
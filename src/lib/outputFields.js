@@ -0,0 +1,17 @@
+
+// The fields of the results written by the suggester (see altLoincSuggesterGen6.js), kept in this small module so
+// that the tools working on the results files (e.g., compareResults.js, evaluateResults.js) don't need to load
+// the suggester itself.
+
+// The suggested LOINC(s)
+const SGG_FIELDS = ['SGG_LOINC', 'SGG_LONG_COMMON_NAME', 'SGG_OTHER'];
+
+// The output fields written to the results file - only those also in the input file.
+const OUTPUT_FIELDS = [...SGG_FIELDS,
+  'ALGO_MAPPING_ISSUES', 'ALGO_JUDGEMENT', 'TARGET_TERM', 'parsed_parts', 'inferred_parts', 'RULE_RELAXED_BY',
+  'NORMALIZED_LAB_NAME', 'default_parts', 'ALGO_CONFIDENCE', 'ALGO_TRIAGE', 'SGG_UNIT_CONVERSION', 'RULES_FIRED'];
+
+module.exports = {
+  SGG_FIELDS,
+  OUTPUT_FIELDS
+}
@@ -0,0 +1,161 @@
+
+// Generating the candidate part synonym groups (see loincPartSynonyms.js) from the LOINC Part files of the LOINC
+// release (AccessoryFiles/PartFile/): Part.csv, and the LoincPartLink files (LoincPartLink_Primary.csv,
+// LoincPartLink_Supplementary.csv). Only the parts that are used as the LOINC axis values (the Primary links) are
+// considered. The groups come from the following sources:
+// - display-name: the parts of the same type with the same PartDisplayName, e.g., different spellings.
+// - system-variants: a SYSTEM part and the SYSTEM parts linked to the same LOINCs by the detailed model,
+//   e.g., Ser/Plas with Ser and Plas.
+// - hierarchy: for COMPONENT and METHOD, the parts whose LOINCs link to the same more general part (of the same
+//   type) by the detailed model, i.e., the siblings under that part, along with the part itself.
+// The groups are written to the synonym table for the curators to review (accept or reject); the decisions made
+// in the previous table are carried over when the table is regenerated, e.g., for a new LOINC release.
+
+const csvReader = require('./csvReader');
+const {SYNONYM_TABLE_COLUMNS, PARTS_DELIMITER, readPartSynonymTable} = require('./loincPartSynonyms');
+const {getSort} = require('./common');
+
+const PART_TYPES = ['COMPONENT', 'PROPERTY', 'TIME', 'SYSTEM', 'SCALE', 'METHOD'];
+const HIERARCHY_PART_TYPES = ['COMPONENT', 'METHOD'];
+const DETAIL_LINK_TYPES = ['DetailedModel', 'SyntaxEnhancement'];
+const CHUNK_SIZE = 10000;
+
+module.exports = {
+  PART_TYPES,
+  generatePartSynonymGroups,
+  mergeCuratorDecisions
+}
+
+
+/**
+ * Generate the candidate synonym groups from the given LOINC Part files, see the top of this file.
+ * @param partFile the Part.csv file
+ * @param linkFiles the list of LoincPartLink files, e.g., the Primary and Supplementary files.
+ * @param opts optional, with the following optional fields:
+ *        - partTypes: the part types to generate the groups for, default to PART_TYPES
+ *        - maxGroupSize: the groups with more parts are skipped since they are unlikely to be synonyms, default 10
+ * @return {Promise} resolves to the list of synonym table rows (see loincPartSynonyms.SYNONYM_TABLE_COLUMNS) with
+ *         STATUS "proposed", sorted by the part type and NUM_LOINCS (descending).
+ */
+async function generatePartSynonymGroups(partFile, linkFiles, opts) {
+  let {partTypes = PART_TYPES, maxGroupSize = 10} = opts || {};
+  let parts = await loadParts(partFile, partTypes);
+  let links = {}; // LOINC# to {primary: {type: part#}, detail: {type: [part#]}}
+  let numLoincs = {}; // part# to the number of LOINCs using it as the axis value
+  for(let linkFile of linkFiles) {
+    await csvReader.readInChunks(linkFile, {columns: true}, CHUNK_SIZE, (rows) => rows.forEach(row => {
+      let part = parts[row.PartNumber];
+      if(! part || row.PartTypeName !== part.type) return;
+      let loincLinks = links[row.LoincNumber] = links[row.LoincNumber] || {primary: {}, detail: {}};
+      if(row.LinkTypeName === 'Primary') {
+        loincLinks.primary[part.type] = row.PartNumber;
+        numLoincs[row.PartNumber] = (numLoincs[row.PartNumber] || 0) + 1;
+      }
+      else if(DETAIL_LINK_TYPES.includes(row.LinkTypeName)) {
+        let detail = loincLinks.detail[part.type] = loincLinks.detail[part.type] || [];
+        if(! detail.includes(row.PartNumber)) detail.push(row.PartNumber);
+      }
+    }));
+  }
+
+  let groups = {}; // part type and part names to the group row
+  let addGroup = (type, partNums, source, evidence) => {
+    let names = [...new Set(partNums.map(num => parts[num].name))].sort();
+    if(names.length < 2) return;
+    if(names.length > maxGroupSize) {
+      console.log('Skipped the %s group of %d parts (%s): %s...', type, names.length, source, names.slice(0, 5).join(', '));
+      return;
+    }
+    let key = type + '\t' + names.join('\t');
+    let group = groups[key] = groups[key] || {PART_TYPE: type, PARTS: names, CLASS: '', SOURCE: [], EVIDENCE: [],
+      NUM_LOINCS: partNums.reduce((acc, num) => acc + (numLoincs[num] || 0), 0), STATUS: 'proposed', CURATOR_NOTE: ''};
+    if(! group.SOURCE.includes(source)) group.SOURCE.push(source);
+    if(evidence && ! group.EVIDENCE.includes(evidence)) group.EVIDENCE.push(evidence);
+  };
+
+  // display-name: the axis parts of the same type with the same display name
+  let byDisplayName = {};
+  Object.entries(parts).filter(([num, part]) => numLoincs[num] && part.display).forEach(([num, part]) => {
+    let key = part.type + '\t' + part.display.toLowerCase();
+    (byDisplayName[key] = byDisplayName[key] || []).push(num);
+  });
+  Object.values(byDisplayName).forEach(nums => addGroup(parts[nums[0]].type, nums, 'display-name', parts[nums[0]].display));
+
+  // system-variants and hierarchy, from the detailed model links of each LOINC
+  let children = {}; // part type and the more general part# to the part#s under it
+  Object.values(links).forEach(({primary, detail}) => {
+    Object.entries(primary).forEach(([type, num]) => {
+      let general = (detail[type] || []).filter(detailNum => detailNum !== num);
+      if(! general.length) return;
+      if(type === 'SYSTEM') {
+        addGroup(type, [num, ...general], 'system-variants', parts[num].name + ' = ' +
+          general.map(g => parts[g].name).join(' + '));
+      }
+      else if(HIERARCHY_PART_TYPES.includes(type)) {
+        general.forEach(g => {
+          let key = type + '\t' + g;
+          (children[key] = children[key] || new Set()).add(num);
+        });
+      }
+    });
+  });
+  Object.entries(children).forEach(([key, nums]) => {
+    let [type, general] = key.split('\t');
+    addGroup(type, [general, ...nums], 'hierarchy', 'under ' + parts[general].name);
+  });
+
+  console.log('%d parts, %d LOINCs with part links, %d synonym groups generated', Object.keys(parts).length,
+    Object.keys(links).length, Object.keys(groups).length);
+  return Object.values(groups).map(group => Object.assign(group, {
+    PARTS: group.PARTS.join(PARTS_DELIMITER),
+    SOURCE: group.SOURCE.join('; '),
+    EVIDENCE: group.EVIDENCE.slice(0, 3).join('; ') + (group.EVIDENCE.length > 3? '; ...': '')
+  })).sort(getSort([g => g.PART_TYPE], [g => g.NUM_LOINCS, true]));
+}
+
+
+/**
+ * Carry over the curator decisions (STATUS other than "proposed", and CURATOR_NOTE) from the previous synonym
+ * table into the newly generated groups, matched by the part type and the part names (in any order). The
+ * previous accepted/rejected groups that are not generated (any more), e.g., added by hand or for some classes only,
+ * are kept as is.
+ * @param generated the generated groups, see generatePartSynonymGroups()
+ * @param previousTableFile the previous synonym table file
+ * @return {Promise} resolves to the merged list of the synonym table rows.
+ */
+async function mergeCuratorDecisions(generated, previousTableFile) {
+  let getKey = (type, names, classes) => [type, names.slice().sort().join('\t'), classes.slice().sort().join('\t')]
+    .join('\n');
+  let previous = {};
+  (await readPartSynonymTable(previousTableFile)).filter(row => row.STATUS !== 'proposed').forEach(row => {
+    previous[getKey(row.PART_TYPE, row.PARTS, row.CLASS)] = row;
+  });
+
+  let numCarried = 0;
+  let merged = generated.map(group => {
+    let key = getKey(group.PART_TYPE, group.PARTS.split(PARTS_DELIMITER), []);
+    let decided = previous[key];
+    if(! decided) return group;
+    delete previous[key];
+    numCarried += 1;
+    return Object.assign(group, {STATUS: decided.STATUS, CURATOR_NOTE: decided.CURATOR_NOTE || ''});
+  });
+  let kept = Object.values(previous).map(row => SYNONYM_TABLE_COLUMNS.reduce((acc, col) => {
+    acc[col] = ['PARTS', 'CLASS'].includes(col)? row[col].join(PARTS_DELIMITER): row[col] || '';
+    return acc;
+  }, {}));
+  console.log('Curator decisions: %d carried over, %d kept from the previous table only', numCarried, kept.length);
+  return [...merged, ...kept];
+}
+
+
+// Load the parts of the given types from Part.csv: part# to {type, name, display}
+async function loadParts(partFile, partTypes) {
+  let parts = {};
+  await csvReader.readInChunks(partFile, {columns: true}, CHUNK_SIZE, (rows) => rows.forEach(row => {
+    if(partTypes.includes(row.PartTypeName) && row.PartName) {
+      parts[row.PartNumber] = {type: row.PartTypeName, name: row.PartName, display: (row.PartDisplayName || '').trim()};
+    }
+  }));
+  return parts;
+}
@@ -8,8 +8,9 @@ let RuleFields = ['CLASS', 'COMPONENT', 'PROPERTY', 'NOT_PROPERTY'];
 // Note that all values of fields in RuleFields will be converted to upper-case.
 // Units are sensitive and will not be covnerted.
 let caseInsensitive = true; // keep for backward compatibility, not respected by mapUnitForRec2()
-let rulesDisabled = [6, 10]; // 7th and 11th
-let rulesCaseSensitive = [
+// The default rules, which may be replaced, e.g., by the "unit-rules" table (see ruleTableLoader.js), see setRules()
+let defaultRulesDisabled = [6, 10]; // 7th and 11th
+let defaultRules = [
   {
     UNIT: ['kU/L', 'kAU/L'],
     CLASS: ['ALLERGY'],
@@ -141,21 +142,35 @@ let rulesCaseSensitive = [
     CLASS: ['COAG', 'SERO', 'CHEM', 'MICRO', 'HEM/BC'],
     MapTO: "[arb'U]/mL"
   }
-].map(rule => {
-  RuleFields.forEach(f => {
-    if(rule[f]) {
-      for(let i=0; i < rule[f].length; ++i) {
-        rule[f][i] = rule[f][i].toUpperCase();
+];
+
+let rulesDisabled, rulesCaseSensitive, rulesCaseInsensitive;
+setRules(defaultRules.map((rule, index) => Object.assign({disabled: defaultRulesDisabled.includes(index)}, rule)));
+
+
+/**
+ * Set the rules to use, replacing the current ones.
+ * @param rules the list of rules, in the format of the defaultRules above, plus the optional "disabled" flag; the
+ *        disabled rules are not applied unless specifically requested (see the ruleNum of mapUnitForRec()).
+ */
+function setRules(rules) {
+  rulesDisabled = rules.reduce((acc, rule, index) => rule.disabled? acc.concat(index): acc, []);
+  rulesCaseSensitive = rules.map(rule => {
+    rule = JSON.parse(JSON.stringify(rule));
+    delete rule.disabled;
+    RuleFields.forEach(f => {
+      if(rule[f]) {
+        rule[f] = rule[f].map(value => value.toUpperCase());
       }
-    }
-  })
-  return rule;
-});
+    });
+    return rule;
+  });
 
-let rulesCaseInsensitive = rulesCaseSensitive.map(rule => JSON.parse(JSON.stringify(rule)));
-rulesCaseInsensitive.forEach(rule => {
-  rule.UNIT = rule.UNIT.map(unit => unit.toUpperCase());
-});
+  rulesCaseInsensitive = rulesCaseSensitive.map(rule => JSON.parse(JSON.stringify(rule)));
+  rulesCaseInsensitive.forEach(rule => {
+    rule.UNIT = rule.UNIT.map(unit => unit.toUpperCase());
+  });
+}
 
 /**
  * Map the unit in the record to a new unit and return - the record itself is NOT changed.
@@ -243,5 +258,6 @@ function hardMapping(fromUnit) {
 
 
 module.exports = {
-  mapUnitForRec
+  mapUnitForRec,
+  setRules
 }
\ No newline at end of file
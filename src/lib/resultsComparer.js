@@ -0,0 +1,112 @@
+
+// Comparing the results of two runs (e.g., before and after a change to the extractors, the component modifiers,
+// or the combined mapping file), for reviewing the effects of the change before adopting it. The rows of the two
+// results are matched by the key fields (by default the input combination LAB_LOINC, RAW_LAB_NAME, RAW_UNIT,
+// SPECIMEN_SOURCE; duplicated keys are matched in the order of appearance), and the rows whose COMPARED_FIELDS
+// changed are reported, along with the counts of the judgement transitions (e.g., CORRECT_aj -> FIXED), both by
+// rows and by NUM_RECORDS.
+
+const {getComboKey, delimitedToList, isNEU, getNumRecords} = require('./common');
+
+const DEFAULT_KEY_FIELDS = ['LAB_LOINC', 'RAW_LAB_NAME', 'RAW_UNIT', 'SPECIMEN_SOURCE'];
+const COMPARED_FIELDS = ['ALGO_JUDGEMENT', 'SGG_LOINC', 'ALGO_MAPPING_ISSUES'];
+const NONE = '(none)'; // the judgement "from" for the added rows, and "to" for the removed rows
+
+module.exports = {
+  DEFAULT_KEY_FIELDS,
+  COMPARED_FIELDS,
+  compareResults
+}
+
+
+/**
+ * Compare the given results rows of two runs, see the top of this file.
+ * @param oldRows the results rows of the previous run (with the standard column names)
+ * @param newRows the results rows of the current run
+ * @param keyFields optional, the fields for matching the rows, default to DEFAULT_KEY_FIELDS
+ * @return a hash with the following fields:
+ *         - diffRows: the rows that are added, removed, or with COMPARED_FIELDS changed, each has the key fields,
+ *           ROW_NUM and NUM_RECORDS (of the current run, or the previous run for removed rows), CHANGE (added,
+ *           removed, or the comma separated list of the changed fields), and OLD_<field>, NEW_<field> for each of
+ *           the COMPARED_FIELDS.
+ *         - transitions: the list of {FROM, TO, NUM_ROWS, NUM_RECORDS} for the judgements, for all rows, sorted
+ *           by NUM_RECORDS descending.
+ *         - stats: {numOld, numNew, numMatched, numChanged, numAdded, numRemoved}
+ */
+function compareResults(oldRows, newRows, keyFields) {
+  keyFields = keyFields || DEFAULT_KEY_FIELDS;
+  let oldByKey = indexByKey(oldRows, keyFields);
+  let diffRows = [], transitions = {};
+  let stats = {numOld: oldRows.length, numNew: newRows.length, numMatched: 0, numChanged: 0, numAdded: 0, numRemoved: 0};
+
+  let addTransition = (from, to, row) => {
+    let key = from + '\t' + to;
+    transitions[key] = transitions[key] || {FROM: from, TO: to, NUM_ROWS: 0, NUM_RECORDS: 0};
+    transitions[key].NUM_ROWS += 1;
+    transitions[key].NUM_RECORDS += getNumRecords(row);
+  };
+
+  let seen = {}; // key to the number of times seen in the new rows, for matching duplicated keys in order
+  newRows.forEach(newRow => {
+    let key = getComboKey(newRow, keyFields);
+    let oldRow = (oldByKey[key] || [])[seen[key] || 0];
+    seen[key] = (seen[key] || 0) + 1;
+    if(! oldRow) {
+      stats.numAdded += 1;
+      addTransition(NONE, getValue(newRow, 'ALGO_JUDGEMENT'), newRow);
+      diffRows.push(getDiffRow(null, newRow, keyFields, 'added'));
+      return;
+    }
+    stats.numMatched += 1;
+    addTransition(getValue(oldRow, 'ALGO_JUDGEMENT'), getValue(newRow, 'ALGO_JUDGEMENT'), newRow);
+    let changed = COMPARED_FIELDS.filter(f => getValue(oldRow, f) !== getValue(newRow, f));
+    if(changed.length) {
+      stats.numChanged += 1;
+      diffRows.push(getDiffRow(oldRow, newRow, keyFields, changed.join(', ')));
+    }
+  });
+
+  Object.entries(oldByKey).forEach(([key, rows]) => {
+    rows.slice(seen[key] || 0).forEach(oldRow => {
+      stats.numRemoved += 1;
+      addTransition(getValue(oldRow, 'ALGO_JUDGEMENT'), NONE, oldRow);
+      diffRows.push(getDiffRow(oldRow, null, keyFields, 'removed'));
+    });
+  });
+
+  transitions = Object.values(transitions).sort((a, b) => b.NUM_RECORDS - a.NUM_RECORDS || b.NUM_ROWS - a.NUM_ROWS);
+  return {diffRows, transitions, stats};
+}
+
+
+// Index the given rows by the key, each key to the list of rows in the order of appearance.
+function indexByKey(rows, keyFields) {
+  return rows.reduce((acc, row) => {
+    let key = getComboKey(row, keyFields);
+    (acc[key] = acc[key] || []).push(row);
+    return acc;
+  }, {});
+}
+
+
+// Get the normalized value of the given compared field, so that the formatting differences (e.g., the order of
+// the issues, spaces) are not reported as changes.
+function getValue(row, field) {
+  let value = isNEU(row[field])? '': (row[field] + '').trim();
+  return field === 'ALGO_MAPPING_ISSUES'? delimitedToList(value).sort().join('; '): value;
+}
+
+
+// Get the diff row for the given old/new rows (either may be null, but not both), see compareResults()
+function getDiffRow(oldRow, newRow, keyFields, change) {
+  let row = newRow || oldRow;
+  let diffRow = {ROW_NUM: isNEU(row.ROW_NUM)? '': row.ROW_NUM};
+  keyFields.forEach(f => diffRow[f] = isNEU(row[f])? '': row[f]);
+  diffRow.NUM_RECORDS = isNEU(row.NUM_RECORDS)? '': row.NUM_RECORDS;
+  diffRow.CHANGE = change;
+  COMPARED_FIELDS.forEach(f => {
+    diffRow['OLD_' + f] = oldRow? getValue(oldRow, f): '';
+    diffRow['NEW_' + f] = newRow? getValue(newRow, f): '';
+  });
+  return diffRow;
+}
@@ -0,0 +1,205 @@
+// Evaluating the algorithm judgements in a results file against the manual judgements (e.g., the manual_judgement
+// or cm_judgement column filled in by the reviewers), for the research runs. The manual judgement of a row is one of:
+// - correct: the value is "correct", "ok", "yes", "y", "true", or "1" (case insensitive), e.g., "CORRECT_aj"
+// - incorrect: the value is "incorrect", "wrong", "no", "n", "false", or "0", e.g., "Incorrect - wrong specimen",
+//   or a LOINC code, which is taken as the correct LOINC for the row (the manual LOINC).
+// - not judged: the value is empty, or "n/a", "na", or "not applicable" (checked first, since "n/a" would otherwise
+//   be a "n"). The other values are counted as unrecognized and not judged either.
+// The manual LOINC may also come from a separate column, see evaluateResults().
+// The following are computed, both simple (rows) and weighted (by NUM_RECORDS):
+// - the confusion matrix of ALGO_JUDGEMENT vs the manual judgement.
+// - the flagging precision/recall: a row is flagged if judged INCORRECT_aj, FIXED, or REPLACED_mapto, and it's a
+//   true positive if judged incorrect manually. Only the rows processed (not WACKO_*, NON_QN) and judged manually
+//   are counted.
+// - the suggestion precision/recall: a suggestion (SGG_LOINC) agrees if it's the same as the manual LOINC. The
+//   precision is over the suggestions with a known answer (the manual LOINC, or judged correct manually, where any
+//   suggestion is wrong), and the recall is over the rows with the manual LOINC.
+// - the above precision/recall broken down by the mapped-to CLASS and by the issue type (ALGO_MAPPING_ISSUES).
+// The disagreements are also listed: the false positives (flagged but judged correct), the false negatives (not
+// flagged but judged incorrect), and the suggestions that are not the manual LOINC.
+
+const {delimitedToList, isExcludedStatus, isNEU, getNumRecords} = require('./common');
+
+const DEFAULT_MANUAL_FIELDS = ['manual_judgement', 'cm_judgement']; // the first one found is used by default
+const DEFAULT_MANUAL_LOINC_FIELD = 'manual_loinc';
+const FLAGGED_JUDGEMENTS = ['INCORRECT_aj', 'FIXED', 'REPLACED_mapto'];
+const MANUAL = {correct: 'correct', incorrect: 'incorrect', notJudged: 'not judged'};
+const NOT_APPLICABLE_VALUE = /^(n\/a|na|not applicable)([^a-z]|$)/i;
+const CORRECT_VALUE = /^(correct|ok|yes|y|true|1)([^a-z]|$)/i;
+const INCORRECT_VALUE = /^(incorrect|wrong|no|n|false|0)([^a-z]|$)/i;
+const LOINC_CODE = /^\d{1,7}-\d$/;
+const NO_CLASS = '(unknown)';
+const NO_ISSUE = '(none)';
+
+module.exports = {
+  DEFAULT_MANUAL_FIELDS,
+  DEFAULT_MANUAL_LOINC_FIELD,
+  FLAGGED_JUDGEMENTS,
+  MANUAL,
+  getManualJudgement,
+  evaluateResults
+}
+
+
+/**
+ * Get the manual judgement of the given value, see the top of this file.
+ * @param value the manual judgement value
+ * @return {judgement, loinc, recognized} where judgement is one of the MANUAL values, loinc is the LOINC code if the
+ *         value is one (or empty string), and recognized is false if the value is not empty but not recognized.
+ */
+function getManualJudgement(value) {
+  value = isNEU(value)? '': (value + '').trim();
+  if(NOT_APPLICABLE_VALUE.test(value)) return {judgement: MANUAL.notJudged, loinc: '', recognized: true};
+  if(LOINC_CODE.test(value)) return {judgement: MANUAL.incorrect, loinc: value, recognized: true};
+  if(CORRECT_VALUE.test(value)) return {judgement: MANUAL.correct, loinc: '', recognized: true};
+  if(INCORRECT_VALUE.test(value)) return {judgement: MANUAL.incorrect, loinc: '', recognized: true};
+  return {judgement: MANUAL.notJudged, loinc: '', recognized: !value};
+}
+
+
+/**
+ * Evaluate the given results rows against the manual judgements, see the top of this file.
+ * @param rows the results rows (with the standard column names)
+ * @param opts a hash with the following fields:
+ *        - manualField: the manual judgement field
+ *        - manualLoincField: optional, the field of the manual (correct) LOINC, used if the row has a value there
+ *        - loincClasses: optional, LOINC_NUM to CLASS, for the rows without the CLASS field
+ * @return a hash with the following fields:
+ *         - confusion: the list of {TYPE (simple or weighted), ALGO_JUDGEMENT, correct, incorrect, "not judged",
+ *           TOTAL}, by TYPE and ALGO_JUDGEMENT.
+ *         - metrics: the list of the precision/recall rows, each has GROUP_BY (overall, CLASS, or ISSUE), GROUP,
+ *           TYPE, and the fields of getMetrics(), the overall first, then by CLASS and by ISSUE, the groups with
+ *           more records first.
+ *         - disagreements: the list of the rows disagreeing with the manual judgements, see getDisagreement()
+ *         - stats: {numRows, numJudged, numUnrecognized}
+ */
+function evaluateResults(rows, opts) {
+  let {manualField, manualLoincField, loincClasses = {}} = opts;
+  let confusion = {}, groups = {}, disagreements = [];
+  let stats = {numRows: rows.length, numJudged: 0, numUnrecognized: 0};
+
+  rows.forEach(row => {
+    let manual = getManualJudgement(row[manualField]);
+    if(! manual.recognized) stats.numUnrecognized += 1;
+    if(manual.judgement !== MANUAL.notJudged) stats.numJudged += 1;
+    let manualLoinc = manualLoincField && !isNEU(row[manualLoincField], true)? (row[manualLoincField] + '').trim():
+      manual.loinc;
+    let judgement = isNEU(row.ALGO_JUDGEMENT)? '': (row.ALGO_JUDGEMENT + '').trim();
+    let numRecords = getNumRecords(row);
+    addConfusion(confusion, judgement, manual.judgement, numRecords);
+
+    if(! judgement || isExcludedStatus(judgement) || manual.judgement === MANUAL.notJudged) return;
+    let outcome = getOutcome(row, judgement, manual.judgement, manualLoinc);
+    let cls = row.CLASS || loincClasses[row.LAB_LOINC] || NO_CLASS;
+    let issues = delimitedToList(row.ALGO_MAPPING_ISSUES);
+    [['overall', ''], ['CLASS', cls], ...(issues.length? issues: [NO_ISSUE]).map(issue => ['ISSUE', issue])]
+      .forEach(([groupBy, group]) => {
+        let key = groupBy + '\t' + group;
+        groups[key] = groups[key] || {GROUP_BY: groupBy, GROUP: group, counts: [newCounts(), newCounts()]};
+        addOutcome(groups[key].counts[0], outcome, 1);
+        addOutcome(groups[key].counts[1], outcome, numRecords);
+      });
+    let disagreement = getDisagreement(outcome);
+    if(disagreement) {
+      disagreements.push(Object.assign(getRowInfo(row, cls, manualField, manualLoinc), {DISAGREEMENT: disagreement}));
+    }
+  });
+
+  let groupOrder = ['overall', 'CLASS', 'ISSUE'];
+  let metrics = Object.values(groups)
+    .sort((a, b) => groupOrder.indexOf(a.GROUP_BY) - groupOrder.indexOf(b.GROUP_BY) ||
+      b.counts[1].JUDGED - a.counts[1].JUDGED || a.GROUP.localeCompare(b.GROUP))
+    .reduce((acc, g) => acc.concat(['simple', 'weighted'].map((type, index) =>
+      Object.assign({GROUP_BY: g.GROUP_BY, GROUP: g.GROUP, TYPE: type}, getMetrics(g.counts[index])))), []);
+  disagreements.sort((a, b) => getNumRecords(b) - getNumRecords(a));
+  return {confusion: getConfusionRows(confusion), metrics, disagreements, stats};
+}
+
+
+// Get the outcome of a (processed, manually judged) row: whether it's flagged and should be, and the suggestion
+// outcome (agreed, disagreed, or unknown if no suggestion or no known answer), with the fields needed for the counts.
+function getOutcome(row, judgement, manualJudgement, manualLoinc) {
+  let flagged = FLAGGED_JUDGEMENTS.includes(judgement);
+  let shouldFlag = manualJudgement === MANUAL.incorrect;
+  let suggestion = isNEU(row.SGG_LOINC, true)? '': (row.SGG_LOINC + '').trim();
+  let expected = shouldFlag? manualLoinc: ''; // the manual LOINC, only if judged incorrect manually
+  let suggestionKnown = !!suggestion && (!!expected || manualJudgement === MANUAL.correct);
+  let agreed = suggestionKnown && suggestion === expected;
+  return {flagged, shouldFlag, suggestion, expected, suggestionKnown, agreed};
+}
+
+
+function newCounts() {
+  return {JUDGED: 0, TP: 0, FP: 0, FN: 0, TN: 0, SGG_KNOWN: 0, SGG_EXPECTED: 0, SGG_AGREED: 0};
+}
+
+
+// Add the given outcome (see getOutcome()) to the given counts, with the given weight (1 or NUM_RECORDS)
+function addOutcome(counts, outcome, weight) {
+  counts.JUDGED += weight;
+  let key = outcome.flagged? (outcome.shouldFlag? 'TP': 'FP'): (outcome.shouldFlag? 'FN': 'TN');
+  counts[key] += weight;
+  if(outcome.suggestionKnown) counts.SGG_KNOWN += weight;
+  if(outcome.expected) counts.SGG_EXPECTED += weight;
+  if(outcome.agreed) counts.SGG_AGREED += weight;
+}
+
+
+/**
+ * Get the metrics for the given counts.
+ * @param counts the counts, see newCounts() and addOutcome()
+ * @return the counts plus FLAG_PRECISION = TP / (TP + FP), FLAG_RECALL = TP / (TP + FN),
+ *         SGG_PRECISION = SGG_AGREED / SGG_KNOWN, SGG_RECALL = SGG_AGREED / SGG_EXPECTED, each rounded to 3 decimals,
+ *         or empty string if the denominator is 0.
+ */
+function getMetrics(counts) {
+  let ratio = (numerator, denominator) => denominator? Math.round(numerator / denominator * 1000) / 1000: '';
+  return Object.assign({}, counts, {
+    FLAG_PRECISION: ratio(counts.TP, counts.TP + counts.FP),
+    FLAG_RECALL: ratio(counts.TP, counts.TP + counts.FN),
+    SGG_PRECISION: ratio(counts.SGG_AGREED, counts.SGG_KNOWN),
+    SGG_RECALL: ratio(counts.SGG_AGREED, counts.SGG_EXPECTED)
+  });
+}
+
+
+// The disagreement of the given outcome (see getOutcome()) with the manual judgement, or null if none.
+function getDisagreement(outcome) {
+  if(outcome.flagged && !outcome.shouldFlag) return 'false positive';
+  if(! outcome.flagged && outcome.shouldFlag) return 'false negative';
+  if(outcome.suggestionKnown && !outcome.agreed) return 'suggestion not the manual LOINC';
+  return null;
+}
+
+
+function getRowInfo(row, cls, manualField, manualLoinc) {
+  let info = {};
+  ['ROW_NUM', 'LAB_LOINC', 'RAW_LAB_NAME', 'RAW_UNIT', 'SPECIMEN_SOURCE', 'NUM_RECORDS'].forEach(f =>
+    info[f] = isNEU(row[f])? '': row[f]);
+  Object.assign(info, {CLASS: cls, ALGO_JUDGEMENT: row.ALGO_JUDGEMENT,
+    ALGO_MAPPING_ISSUES: row.ALGO_MAPPING_ISSUES || '', SGG_LOINC: row.SGG_LOINC || '', MANUAL_JUDGEMENT: isNEU(row[manualField])? '': row[manualField],
+    MANUAL_LOINC: manualLoinc});
+  return info;
+}
+
+
+function addConfusion(confusion, judgement, manualJudgement, numRecords) {
+  judgement = judgement || '(empty)';
+  confusion[judgement] = confusion[judgement] || [{}, {}];
+  let [simple, weighted] = confusion[judgement];
+  simple[manualJudgement] = (simple[manualJudgement] || 0) + 1;
+  weighted[manualJudgement] = (weighted[manualJudgement] || 0) + numRecords;
+}
+
+
+// The confusion rows, see evaluateResults(), the judgements sorted by name, simple rows first.
+function getConfusionRows(confusion) {
+  let judgements = Object.keys(confusion).sort();
+  return ['simple', 'weighted'].reduce((acc, type, index) => acc.concat(judgements.map(judgement => {
+    let counts = confusion[judgement][index];
+    let row = {TYPE: type, ALGO_JUDGEMENT: judgement};
+    Object.values(MANUAL).forEach(m => row[m] = counts[m] || 0);
+    row.TOTAL = Object.values(MANUAL).reduce((sum, m) => sum + row[m], 0);
+    return row;
+  })), []);
+}
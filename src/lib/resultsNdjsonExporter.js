@@ -0,0 +1,130 @@
+
+// Structured (NDJSON, one JSON object per line) export of the processed rows, so that the results can be
+// consumed by other programs without parsing the flattened string fields, e.g., parsed_parts, inferred_parts,
+// TARGET_TERM, and SGG_OTHER. Each line has the following fields:
+// - the input fields: ROW_NUM, LAB_LOINC, RAW_LAB_NAME, RAW_UNIT, SPECIMEN_SOURCE (standardized), NUM_RECORDS
+// - NORMALIZED_LAB_NAME: the raw name as normalized for the parsing, see labNameNormalizer.js
+// - the output fields: ALGO_JUDGEMENT, SGG_LOINC, SGG_LONG_COMMON_NAME, SGG_UNIT_CONVERSION (the conversion of
+//   the raw unit to the example unit of SGG_LOINC, e.g., "1 mg/dL = 0.01 g/L")
+// - ALGO_CONFIDENCE, ALGO_TRIAGE: the confidence of the judgement (null if the row is not processed) and the
+//   triage based on it, see algoConfidence.js
+// - mapped: the mapped-to LOINC (LAB_LOINC), {LOINC_NUM, LONG_COMMON_NAME, parts}, where parts is a map from part
+//           type (including CLASS) to the part name. null if the mapped-to LOINC is not valid.
+// - mapto: the MapTo replacement of the DEPRECATED/DISCOURAGED mapped-to LOINC, {LOINC_NUM, STATUS, replacement,
+//          chain, others, replacement_term}, see lib/loincMapTo.js, or null if not replaced. replacement_term is
+//          the replacement, i.e., the LOINC that was validated (instead of the mapped-to one), in the same form as
+//          mapped.
+// - ucum_converted: the ucum unit the raw unit is converted to, if any.
+// - inferred: the parsed/inferred LOINC parts, a map from part type to {names, types, sources}, see row.inferred in
+//             pcornetValidationMgr.addInferredLoincParts()
+// - issues: the list of mapping issues, each is {type, confidence}
+// - property_conflicts: the units whose UCUM dimensions imply a property other than the ones in the
+//                       unit-ucum-properties mapping, each is {unit, mapped, ucum, dimension}, see
+//                       pcornetValidationMgr.getUcumProperties()
+// - relaxations: the list of relaxations used for the suggested LOINC
+// - rules_fired: the RULE_NUMs of the rules fired for the row, see the guiding table in ruleTableLoader.js
+// - candidates: all candidate LOINCs found, the first one being the suggested one (SGG_LOINC), each is:
+//               {LOINC_NUM, LONG_COMMON_NAME, STATUS, RULE_NUM, score, relaxations, parts, commensurability,
+//               unit_conversion}, where unit_conversion is {from, to, factor} or null, see ucumUnitConverter.js
+// - target_terms: the constructed "target terms" the rules looked for, each is {rule, parts} where parts is a
+//                 map from part type to the list of part names, or null if the part type was not compared.
+
+const fs = require('fs');
+const {delimitedToList} = require('./common');
+const PartTypeList = require('./loincUtils').PartTypeList;
+
+module.exports = {
+  toStructuredResult,
+  getNdjsonWriter,
+  writeNdjson
+}
+
+
+/**
+ * Convert the given processed row into the structured result described at the top of this file.
+ * @param row the processed row, see altLoincSuggesterGen6.validateAndSuggest()
+ * @return the structured result object.
+ */
+function toStructuredResult(row) {
+  let issueConfidences = row.issue_confidences || {};
+  let issues = Array.isArray(row.ALGO_MAPPING_ISSUES)? row.ALGO_MAPPING_ISSUES: delimitedToList(row.ALGO_MAPPING_ISSUES);
+  let isValidLoinc = row.ALGO_JUDGEMENT !== 'WACKO_INVALID_LOINC';
+  let rulesFired = Array.isArray(row.RULES_FIRED)? row.RULES_FIRED: delimitedToList(row.RULES_FIRED).map(Number);
+  // the row fields are those of the validated LOINC, i.e., the MapTo replacement if any
+  let validated = {
+    LOINC_NUM: row.mapto? row.mapto.replacement: row.LAB_LOINC,
+    LONG_COMMON_NAME: row.LONG_COMMON_NAME,
+    parts: PartTypeList.reduce((acc, pt) => { acc[pt] = row[pt] || ''; return acc; }, {})
+  };
+
+  return {
+    ROW_NUM: row.ROW_NUM,
+    LAB_LOINC: row.LAB_LOINC,
+    RAW_LAB_NAME: row.RAW_LAB_NAME,
+    NORMALIZED_LAB_NAME: row.NORMALIZED_LAB_NAME || '',
+    RAW_UNIT: row.RAW_UNIT,
+    SPECIMEN_SOURCE: row.SPECIMEN_SOURCE,
+    NUM_RECORDS: row.NUM_RECORDS,
+    ALGO_JUDGEMENT: row.ALGO_JUDGEMENT,
+    ALGO_CONFIDENCE: typeof row.ALGO_CONFIDENCE === 'number'? row.ALGO_CONFIDENCE: null,
+    ALGO_TRIAGE: row.ALGO_TRIAGE || '',
+    SGG_LOINC: row.SGG_LOINC || '',
+    SGG_LONG_COMMON_NAME: row.SGG_LONG_COMMON_NAME || '',
+    SGG_UNIT_CONVERSION: row.SGG_UNIT_CONVERSION || '',
+    mapped: !isValidLoinc? null: !row.mapto? validated:
+      {LOINC_NUM: row.LAB_LOINC, LONG_COMMON_NAME: row.mapto.LONG_COMMON_NAME, parts: row.mapto.parts},
+    mapto: !row.mapto? null: {LOINC_NUM: row.mapto.LOINC_NUM, STATUS: row.mapto.STATUS,
+      replacement: row.mapto.replacement, chain: row.mapto.chain, others: row.mapto.others, replacement_term: validated},
+    ucum_converted: row.ucum_converted || '',
+    inferred: row.inferred || {},
+    issues: issues.map(type => ({type, confidence: issueConfidences.hasOwnProperty(type)? issueConfidences[type]: null})),
+    property_conflicts: row.property_conflicts || [],
+    relaxations: delimitedToList(row.RULE_RELAXED_BY),
+    rules_fired: rulesFired,
+    candidates: row.candidates || [],
+    target_terms: row.target_terms || []
+  };
+}
+
+
+/**
+ * Get a writer for writing the structured results (see top of this file) into the given NDJSON file incrementally.
+ * @param fileName the output file name
+ * @return a writer with two functions:
+ *         - write(rows): write the given list of processed rows, returns a promise that resolves when it's ok to
+ *           write more.
+ *         - end(): finish the writing, returns a promise that resolves when all rows have been written.
+ */
+function getNdjsonWriter(fileName) {
+  let output = fs.createWriteStream(fileName);
+  let done = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+  });
+
+  return {
+    write: (rows) => {
+      let lines = rows.map(row => JSON.stringify(toStructuredResult(row)) + '\n').join('');
+      return output.write(lines)? Promise.resolve(): new Promise(resolve => output.once('drain', resolve));
+    },
+    end: () => {
+      output.end();
+      return done;
+    }
+  };
+}
+
+
+/**
+ * Write the structured results (see top of this file) for the given processed rows into the given NDJSON file.
+ * @param rows the processed rows
+ * @param fileName the output file name
+ * @return a promise that resolves when all rows have been written
+ */
+async function writeNdjson(rows, fileName) {
+  let writer = getNdjsonWriter(fileName);
+  for(let i = 0; i < rows.length; i += 1000) { // a batch at a time, no need to hold all lines in memory
+    await writer.write(rows.slice(i, i + 1000));
+  }
+  return writer.end();
+}
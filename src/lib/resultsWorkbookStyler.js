@@ -0,0 +1,218 @@
+
+// Styling the results workbook (see altLoincSuggesterGen6.updateResultsFile()), on top of the cell values:
+// - conditional fill of the ALGO_JUDGEMENT column by the judgement. Conditional formatting is used (instead of
+//   setting the cell fills) so that the manual formatting of the cells in the user's file is preserved.
+// - a hyperlink from each SGG_LOINC cell to the row of the suggestion details in the "sgg-details" sheet, which
+//   has the mapped-to and the suggested LOINC parts side by side, the relaxations, and the other candidates.
+// - a "summary" sheet with the simple and weighted (by NUM_RECORDS) judgement stats, plus the breakdowns by the
+//   mapped-to CLASS and by the issue type.
+// - a "run-info" sheet with the input files, the versions of the mapping file and the LOINC table, and the time.
+// The added sheets are replaced if they exist already, e.g., when a results file is used as the input file.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {delimitedToList, isNEU, getNumRecords} = require('./common');
+const PartTypeList = require('./loincUtils').PartTypeList;
+
+const DETAILS_SHEET = 'sgg-details';
+const SUMMARY_SHEET = 'summary';
+const RUN_INFO_SHEET = 'run-info';
+
+// judgement to the fill color (ARGB) of the ALGO_JUDGEMENT cells
+const JUDGEMENT_FILLS = {
+  CORRECT_aj: 'FFC6EFCE',
+  FIXED: 'FFBDD7EE',
+  REPLACED_mapto: 'FFDDEBF7',
+  INCORRECT_aj: 'FFFFC7CE',
+  WACKO_INVALID_LOINC: 'FFFFEB9C',
+  WACKO_NUMERIC_RAW_NAME: 'FFFFEB9C',
+  NON_QN: 'FFD9D9D9'
+};
+const JUDGEMENTS = Object.keys(JUDGEMENT_FILLS);
+const HEADER_FONT = {bold: true};
+
+module.exports = {
+  DETAILS_SHEET,
+  SUMMARY_SHEET,
+  RUN_INFO_SHEET,
+  addJudgementFills,
+  addDetailsSheet,
+  getDetailsLink,
+  addSummarySheet,
+  addRunInfoSheet,
+  getFileInfo
+}
+
+
+/**
+ * Add the conditional fills by judgement to the given column of the worksheet, see JUDGEMENT_FILLS. The fills added
+ * by a previous run, if any (e.g., when a results file is used as the input file), are replaced, even if the column
+ * or the rows have changed since; the other conditional formatting rules are kept.
+ * @param worksheet the results worksheet
+ * @param colLetter the column letter of ALGO_JUDGEMENT, e.g., "E"
+ * @param lastRow the last (1-based) row number of the data rows
+ */
+function addJudgementFills(worksheet, colLetter, lastRow) {
+  let ref = colLetter + '2:' + colLetter + Math.max(lastRow, 2);
+  worksheet.conditionalFormattings.forEach(cf => cf.rules = (cf.rules || []).filter(rule => !isJudgementFill(rule)));
+  worksheet.removeConditionalFormatting(cf => cf.rules.length);
+  worksheet.addConditionalFormatting({
+    ref,
+    rules: JUDGEMENTS.map((judgement, index) => ({
+      type: 'cellIs', operator: 'equal', priority: index + 1, formulae: ['"' + judgement + '"'],
+      style: {fill: {type: 'pattern', pattern: 'solid', bgColor: {argb: JUDGEMENT_FILLS[judgement]}}}
+    }))
+  });
+}
+
+
+// Check if the given conditional formatting rule is a judgement fill, as added by addJudgementFills(), i.e., by
+// its formulae, the rule ref and priority don't count since they may have been changed.
+function isJudgementFill(rule) {
+  let formulae = rule.formulae || [];
+  return rule.type === 'cellIs' && rule.operator === 'equal' && formulae.length === 1 &&
+    JUDGEMENTS.some(judgement => formulae[0] === '"' + judgement + '"');
+}
+
+
+/**
+ * Add (or replace) the suggestion details sheet to the given workbook, one row for each processed row that has a
+ * suggested LOINC (SGG_LOINC).
+ * @param workbook the results workbook
+ * @param processedRows the processed rows, see altLoincSuggesterGen6.validateAndSuggest()
+ * @return a map from the index of the processed row to the (1-based) row number in the details sheet, for the
+ *         hyperlinks, see getDetailsLink().
+ */
+function addDetailsSheet(workbook, processedRows) {
+  let sheet = replaceWorksheet(workbook, DETAILS_SHEET);
+  let columns = ['ROW_NUM', 'RAW_LAB_NAME', 'RAW_UNIT', 'LAB_LOINC', 'SGG_LOINC', 'SGG_LONG_COMMON_NAME',
+    ...PartTypeList.reduce((acc, pt) => acc.concat('MAPPED_' + pt, 'SGG_' + pt), []),
+    'RULE_RELAXED_BY', 'ALGO_MAPPING_ISSUES', 'SGG_OTHER'];
+  sheet.columns = columns.map(header => ({header, key: header, width: header.startsWith('SGG_') ||
+    header.startsWith('MAPPED_')? 14: 20}));
+  sheet.getRow(1).font = HEADER_FONT;
+  sheet.views = [{state: 'frozen', ySplit: 1}];
+
+  let rowIndexToDetailsRow = {};
+  processedRows.forEach((row, index) => {
+    let suggested = row.candidates && row.candidates[0];
+    if(isNEU(row.SGG_LOINC) || !suggested) return;
+    let values = copyValues(row, ['ROW_NUM', 'RAW_LAB_NAME', 'RAW_UNIT', 'LAB_LOINC', 'SGG_LOINC',
+      'SGG_LONG_COMMON_NAME', 'RULE_RELAXED_BY', 'SGG_OTHER']);
+    values.ALGO_MAPPING_ISSUES = getIssues(row).join('; ');
+    PartTypeList.forEach(pt => {
+      values['MAPPED_' + pt] = row[pt] || '';
+      values['SGG_' + pt] = suggested.parts && suggested.parts[pt] || '';
+    });
+    rowIndexToDetailsRow[index] = sheet.addRow(values).number;
+    PartTypeList.forEach(pt => {
+      if(values['MAPPED_' + pt] !== values['SGG_' + pt]) { // highlight the parts that differ
+        sheet.getRow(rowIndexToDetailsRow[index]).getCell('SGG_' + pt).font = HEADER_FONT;
+      }
+    });
+  });
+  return rowIndexToDetailsRow;
+}
+
+
+/**
+ * Get the hyperlink cell value for the given text, to the given row of the details sheet.
+ * @param text the cell text, e.g., the SGG_LOINC
+ * @param detailsRowNum the row number in the details sheet, see addDetailsSheet()
+ * @return the cell value (exceljs hyperlink value)
+ */
+function getDetailsLink(text, detailsRowNum) {
+  return {text: text + '', hyperlink: "#'" + DETAILS_SHEET + "'!A" + detailsRowNum};
+}
+
+
+/**
+ * Add (or replace) the summary sheet to the given workbook.
+ * @param workbook the results workbook
+ * @param processedRows the processed rows
+ * @param overallStats the simple and weighted stats, [simple, weighted], as written to overview-stats-algo.csv,
+ *        see altLoincSuggesterGen6.basicStats()
+ */
+function addSummarySheet(workbook, processedRows, overallStats) {
+  let sheet = replaceWorksheet(workbook, SUMMARY_SHEET);
+  let addTable = (title, rows, columns) => {
+    sheet.addRow([title]).font = HEADER_FONT;
+    sheet.addRow(columns).font = HEADER_FONT;
+    rows.forEach(row => sheet.addRow(columns.map(col => isNEU(row[col])? '': row[col])));
+    sheet.addRow([]);
+  };
+
+  addTable('Judgement stats (simple: rows; weighted: records)', overallStats, Object.keys(overallStats[0] || {}));
+
+  let byClass = {}, byIssue = {};
+  processedRows.forEach(row => {
+    let numRecords = getNumRecords(row);
+    let cls = row.CLASS || '(invalid LOINC)';
+    byClass[cls] = byClass[cls] || {CLASS: cls, ROWS: 0, RECORDS: 0};
+    addCounts(byClass[cls], row.ALGO_JUDGEMENT, numRecords);
+    getIssues(row).forEach(issue => {
+      byIssue[issue] = byIssue[issue] || {ISSUE: issue, ROWS: 0, RECORDS: 0};
+      addCounts(byIssue[issue], row.ALGO_JUDGEMENT, numRecords);
+    });
+  });
+  let sortByRecords = (obj) => Object.values(obj).sort((a, b) => b.RECORDS - a.RECORDS);
+  addTable('By mapped-to CLASS (judgements in rows)', sortByRecords(byClass), ['CLASS', 'ROWS', 'RECORDS', ...JUDGEMENTS]);
+  addTable('By issue type (judgements in rows)', sortByRecords(byIssue), ['ISSUE', 'ROWS', 'RECORDS', ...JUDGEMENTS]);
+  sheet.getColumn(1).width = 30;
+}
+
+
+/**
+ * Add (or replace) the run info sheet to the given workbook.
+ * @param workbook the results workbook
+ * @param runInfo a list of [item, value] pairs, in the order to be listed.
+ */
+function addRunInfoSheet(workbook, runInfo) {
+  let sheet = replaceWorksheet(workbook, RUN_INFO_SHEET);
+  sheet.addRow(['ITEM', 'VALUE']).font = HEADER_FONT;
+  runInfo.forEach(([item, value]) => sheet.addRow([item, isNEU(value)? '': value]));
+  sheet.getColumn(1).width = 30;
+  sheet.getColumn(2).width = 80;
+}
+
+
+/**
+ * Get the information of the given file for the run info, as a string, e.g.,
+ * "data/combined-mapping-files.xlsx (modified 2023-09-11T10:00:00.000Z, sha1 1a2b3c4d5e6f)"
+ * @param fileName the file name
+ * @return the file info string
+ */
+function getFileInfo(fileName) {
+  let stat = fs.statSync(fileName);
+  let sha1 = crypto.createHash('sha1').update(fs.readFileSync(fileName)).digest('hex').substring(0, 12);
+  return path.resolve(fileName) + ' (modified ' + stat.mtime.toISOString() + ', sha1 ' + sha1 + ')';
+}
+
+
+// Remove the worksheet of the given name if exists, and add a new one.
+function replaceWorksheet(workbook, name) {
+  let existing = workbook.getWorksheet(name);
+  if(existing) {
+    workbook.removeWorksheet(existing.id);
+  }
+  return workbook.addWorksheet(name);
+}
+
+
+function copyValues(row, fields) {
+  return fields.reduce((acc, f) => { acc[f] = isNEU(row[f])? '': row[f]; return acc; }, {});
+}
+
+
+// ALGO_MAPPING_ISSUES is a list during the processing, and a string in the final results
+function getIssues(row) {
+  return Array.isArray(row.ALGO_MAPPING_ISSUES)? row.ALGO_MAPPING_ISSUES: delimitedToList(row.ALGO_MAPPING_ISSUES);
+}
+
+
+function addCounts(counts, judgement, numRecords) {
+  counts.ROWS += 1;
+  counts.RECORDS += numRecords;
+  counts[judgement] = (counts[judgement] || 0) + 1;
+}
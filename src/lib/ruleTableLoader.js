@@ -0,0 +1,329 @@
+
+// Loading the rule tables that are embedded in the code (as the defaults) from the sheets of the combined mapping
+// file, or from a directory of JSON/CSV files, so that the rules can be tweaked without touching the code.
+// Each table is looked for, in this order:
+// - <dir>/<table>.json (a list of row objects) or <dir>/<table>.csv, if the directory is given
+// - the sheet <table> of the combined mapping file
+// and the in-code list is used if the table is not found anywhere. The tables (see TABLES below for the columns):
+// - specimen-extractors, time-extractors, component-extractors: the extractors in labNameParser.js, with the columns
+//   PATTERN (|-separated), REGEX, PART_NAME, MAP_TO_CLASS (|-separated, a "!" prefix to exclude the class), UNLESS,
+//   and SELECTOR (RAW_LAB_NAME or RAW_UNIT, for the time extractors). The REGEX and UNLESS are case-insensitive
+//   regular expressions (without the slashes). See labNameParser.defaultLoincPartExtractionConfigMapper().
+// - component-modifiers: componentModifiers in labNameParser.js, with TOKEN, CONNECTOR, CLASS (|-separated, default
+//   to CHEM|DRUG/TOX), and NAME_REGEX (default to the token as a word).
+// - default-specimen-per-class: defaultSpecimenPerClass in labNameParser.js, with CLASS and SYSTEM.
+// - specimen-source-mapping: the SPECIMEN_SOURCE values to the SYSTEM part names (empty for unknown) for the values
+//   not recognized as the SYSTEM part names, see altLoincSuggesterGen6.preProcessAndValidate()
+// - unit-rules: the rules in pcornetRuleBasedUnit2UcumMapper.js, with UNIT (|-separated), CLASS, COMPONENT,
+//   PROPERTY, NOT_PROPERTY (all |-separated), MAP_TO, and DISABLED (Y to disable the rule).
+// - alt-loinc-suggest-guiding-table: the rules for finding the alternative LOINCs, run before the built-in general
+//   rule (#99999), see altLoincSuggesterGen6.executeRulesForRecord(), with the columns:
+//   - RULE_NUM: required, a unique number, recorded on the rows the rule fired for (RULES_FIRED) and the candidates
+//   - RULE_TYPE: the executor of the rule, default to Replace; others may be registered from JS, see
+//     altLoincSuggesterGen6.registerRuleExecutor()
+//   - the conditions, all must be met for the rule to fire (the empty ones are not checked): CLASS (|-separated, the
+//     mapped-to CLASS), COMPONENT (a regular expression for the mapped-to COMPONENT), ISSUES (|-separated, all must
+//     be among the mapping issues), and UNIT_PROPERTY (|-separated, any of the properties implied by the unit).
+//   - the actions: SET_<part type> (e.g., SET_SYSTEM, |-separated part names, "-" for the empty part, "*" to not
+//     match the part at all) for the replacement parts, on top of the parsed/inferred parts unless USE_INFERRED is N;
+//     RELAXATIONS (|-separated, the relaxations the candidates may have, e.g., METHOD-empty-ok, NONE for none,
+//     default to all); SCORE_BONUS, a number added to the candidate scores, see selectBestMatch().
+//   - DISABLED: Y to disable the rule.
+// A NOTE column may be added to any table. The rows are validated when loaded, e.g., the regular expressions must
+// compile, and the errors name the table source and the row.
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const csvReader = require('./csvReader');
+const {getXlsxWorksheetAndJson, getXlsxSheetJson, isNEU} = require('./common');
+const PartTypeList = require('./loincUtils').PartTypeList;
+const {getPatternRegex, getTokenRegex} = require('./labNameParser');
+
+const LIST_DELIMITER = '|';
+const EXTRACTOR_COLUMNS = ['PATTERN', 'REGEX', 'PART_NAME', 'MAP_TO_CLASS', 'UNLESS', 'SELECTOR'];
+const CONNECTORS = ['.', ' ', '^', '^^'];
+const TIME_SELECTORS = ['RAW_LAB_NAME', 'RAW_UNIT'];
+const GUIDING_RULE_COLUMNS = ['RULE_NUM', 'RULE_TYPE', 'CLASS', 'COMPONENT', 'ISSUES', 'UNIT_PROPERTY',
+  ...PartTypeList.map(partType => 'SET_' + partType), 'USE_INFERRED', 'RELAXATIONS', 'SCORE_BONUS', 'DISABLED'];
+
+// table name (sheet/file name) to: key (in the loaded tables), columns, parseRow(row, location), and the optional
+// toValue(parsedRows, location) for the tables that are hashes rather than lists.
+const TABLES = {
+  'specimen-extractors': {key: 'specimenExtractors', columns: EXTRACTOR_COLUMNS, parseRow: parseExtractor},
+  'time-extractors': {key: 'timeExtractors', columns: EXTRACTOR_COLUMNS,
+    parseRow: (row, location) => parseExtractor(row, location, TIME_SELECTORS)},
+  'component-extractors': {key: 'componentExtractors', columns: EXTRACTOR_COLUMNS, parseRow: parseExtractor},
+  'component-modifiers': {key: 'componentModifiers', columns: ['TOKEN', 'CONNECTOR', 'CLASS', 'NAME_REGEX'],
+    parseRow: parseComponentModifier},
+  'default-specimen-per-class': {key: 'defaultSpecimenPerClass', columns: ['CLASS', 'SYSTEM'],
+    parseRow: (row, location) => [getRequired(row, 'CLASS', location), getRequired(row, 'SYSTEM', location)],
+    toValue: toHash},
+  'specimen-source-mapping': {key: 'specimenSourceMapping', columns: ['SPECIMEN_SOURCE', 'SYSTEM'],
+    parseRow: (row, location) => [getRequired(row, 'SPECIMEN_SOURCE', location), getValue(row, 'SYSTEM')],
+    toValue: toHash},
+  'unit-rules': {key: 'unitRules', columns: ['UNIT', 'CLASS', 'COMPONENT', 'PROPERTY', 'NOT_PROPERTY', 'MAP_TO',
+    'DISABLED'], parseRow: parseUnitRule},
+  'alt-loinc-suggest-guiding-table': {key: 'guidingRules', columns: GUIDING_RULE_COLUMNS, parseRow: parseGuidingRule,
+    toValue: checkUniqueRuleNums}
+};
+
+module.exports = {
+  TABLES,
+  loadRuleTables
+}
+
+
+/**
+ * Load the rule tables, see the top of this file.
+ * @param combinedMappingXlsx the combined mapping file, whose sheets (if any) of the table names are loaded.
+ * @param tablesDir optional, the directory of the JSON/CSV table files, which take precedence over the sheets.
+ * @return {Promise} resolves to a hash with a field for each table found (the key in TABLES), either a list of the
+ *         rule entries in the format of the in-code defaults, or a hash for the mapping tables. It also has the field
+ *         "sources", a hash from the table name to where it was loaded from.
+ *         Rejected with an Error naming the source and the row if a table has invalid rows.
+ */
+async function loadRuleTables(combinedMappingXlsx, tablesDir) {
+  let sheetNames = combinedMappingXlsx? getXlsxWorksheetAndJson(combinedMappingXlsx)[0].SheetNames: [];
+  let tables = {sources: {}};
+  for(let [name, tableDef] of Object.entries(TABLES)) {
+    let loaded = tablesDir && await readTableFile(tablesDir, name);
+    if(! loaded && sheetNames.includes(name)) {
+      loaded = {source: util.format('%s sheet %s', combinedMappingXlsx, name), firstRowNum: 2,
+        rows: getXlsxSheetJson(combinedMappingXlsx, name)};
+    }
+    if(loaded) {
+      tables[tableDef.key] = parseTable(tableDef, loaded);
+      tables.sources[name] = loaded.source;
+    }
+  }
+  return tables;
+}
+
+
+// Read the JSON or CSV file of the given table from the directory: {source, rows, firstRowNum}, or null if not found.
+async function readTableFile(tablesDir, name) {
+  let [jsonFile, csvFile] = ['.json', '.csv'].map(ext => path.join(tablesDir, name + ext));
+  let [hasJson, hasCsv] = [jsonFile, csvFile].map(file => fs.existsSync(file));
+  if(hasJson && hasCsv) {
+    throw new Error(util.format('Both %s and %s exist, please keep only one of them', jsonFile, csvFile));
+  }
+  if(hasJson) {
+    let rows;
+    try {
+      rows = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    }
+    catch(e) {
+      throw new Error(util.format('%s: %s', jsonFile, e.message));
+    }
+    if(! Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error(util.format('%s: must be a list of row objects', jsonFile));
+    }
+    return {source: jsonFile, rows, firstRowNum: 1};
+  }
+  if(hasCsv) {
+    return {source: csvFile, rows: await csvReader.read(csvFile, {columns: true, bom: true}), firstRowNum: 2};
+  }
+  return null;
+}
+
+
+// Parse the rows of the given table, the blank rows are skipped.
+function parseTable(tableDef, {source, rows, firstRowNum}) {
+  let known = [...tableDef.columns, 'NOTE'];
+  let unknown = [...new Set([].concat(...rows.map(row => Object.keys(row))))].filter(col => !known.includes(col));
+  if(unknown.length) {
+    throw new Error(util.format('%s: unknown column(s) %s, the columns are: %s', source, unknown.join(', '),
+      known.join(', ')));
+  }
+  let parsed = [];
+  rows.forEach((row, index) => {
+    if(tableDef.columns.every(col => !getValue(row, col))) return;
+    parsed.push(tableDef.parseRow(row, util.format('%s row %d', source, index + firstRowNum)));
+  });
+  return tableDef.toValue? tableDef.toValue(parsed, source): parsed;
+}
+
+
+// An extractor entry, see labNameParser.defaultLoincPartExtractionConfigMapper()
+function parseExtractor(row, location, selectors) {
+  let entry = {};
+  let patterns = getList(row, 'PATTERN');
+  if(patterns.length) {
+    entry.pattern = patterns.length === 1? patterns[0]: patterns;
+    getRegex(patterns, 'PATTERN', location, getPatternRegex); // the same regex as the extractor would use
+  }
+  let regex = getValue(row, 'REGEX');
+  if(regex) entry.regex = getRegex(regex, 'REGEX', location);
+  if(! entry.pattern && ! entry.regex) {
+    throw new Error(util.format('%s: at least one of PATTERN and REGEX is required', location));
+  }
+  let partName = getValue(row, 'PART_NAME');
+  if(partName) entry.partName = partName;
+  else if(typeof entry.pattern !== 'string') {
+    throw new Error(util.format('%s: PART_NAME is required unless there is a single PATTERN', location));
+  }
+  let mapToClass = getList(row, 'MAP_TO_CLASS');
+  if(mapToClass.length) {
+    let numExcluded = mapToClass.filter(cls => cls.startsWith('!')).length;
+    if(numExcluded && numExcluded < mapToClass.length) {
+      throw new Error(util.format('%s: MAP_TO_CLASS must be all included or all excluded (with "!"): %s', location,
+        mapToClass.join(LIST_DELIMITER)));
+    }
+    if(mapToClass.some(cls => ! cls.replace(/^!/, '').trim())) {
+      throw new Error(util.format('%s: empty class in MAP_TO_CLASS: %s', location, mapToClass.join(LIST_DELIMITER)));
+    }
+    entry.mapToClass = mapToClass;
+  }
+  let unless = getValue(row, 'UNLESS');
+  if(unless) entry.unless = getRegex(unless, 'UNLESS', location);
+  let selector = getValue(row, 'SELECTOR');
+  if(selector || selectors) {
+    if(! selectors || ! selectors.includes(selector)) {
+      throw new Error(util.format('%s: SELECTOR must be one of %s: %s', location, (selectors || []).join(', ') ||
+        '(none for this table)', selector));
+    }
+    entry.selector = selector;
+  }
+  return entry;
+}
+
+
+// A component modifier entry, see labNameParser.componentModifiers
+function parseComponentModifier(row, location) {
+  let entry = {token: getRequired(row, 'TOKEN', location), connector: getValue(row, 'CONNECTOR', false)};
+  if(! CONNECTORS.includes(entry.connector)) {
+    throw new Error(util.format('%s: CONNECTOR must be one of %s: "%s"', location,
+      CONNECTORS.map(c => '"' + c + '"').join(', '), entry.connector));
+  }
+  let classes = getList(row, 'CLASS');
+  if(classes.length) entry.class = classes;
+  let nameRegex = getValue(row, 'NAME_REGEX');
+  if(nameRegex) entry.nameRegex = getRegex(nameRegex, 'NAME_REGEX', location);
+  else getRegex(entry.token, 'TOKEN', location, getTokenRegex); // the default NAME_REGEX, see labNameParser
+  return entry;
+}
+
+
+// A unit rule, see pcornetRuleBasedUnit2UcumMapper.js
+function parseUnitRule(row, location) {
+  let units = getList(row, 'UNIT');
+  if(! units.length) {
+    throw new Error(util.format('%s: UNIT is required', location));
+  }
+  let rule = {UNIT: units};
+  ['CLASS', 'COMPONENT', 'PROPERTY', 'NOT_PROPERTY'].forEach(field => {
+    let values = getList(row, field);
+    if(values.length) rule[field] = values;
+  });
+  rule.MapTO = getRequired(row, 'MAP_TO', location);
+  rule.disabled = getYesNo(row, 'DISABLED', location) === 'Y';
+  return rule;
+}
+
+
+// A guiding rule, see the top of this file and altLoincSuggesterGen6.executeRulesForRecord() for the fields.
+function parseGuidingRule(row, location) {
+  let ruleNum = getRequired(row, 'RULE_NUM', location);
+  if(! /^\d+$/.test(ruleNum)) {
+    throw new Error(util.format('%s: RULE_NUM must be a number: %s', location, ruleNum));
+  }
+  let rule = {RULE_NUM: parseInt(ruleNum), _ruleType: getValue(row, 'RULE_TYPE') || 'Replace', _location: location,
+    description: getValue(row, 'NOTE')};
+  let component = getValue(row, 'COMPONENT');
+  rule.conditions = {CLASS: getList(row, 'CLASS'), ISSUES: getList(row, 'ISSUES'),
+    UNIT_PROPERTY: getList(row, 'UNIT_PROPERTY')};
+  rule.conditions.COMPONENT = component? getRegex(component, 'COMPONENT', location): null;
+
+  rule.replacementParts = {};
+  PartTypeList.forEach(partType => {
+    let names = getList(row, 'SET_' + partType);
+    if(names.length > 1 && names.some(name => ['-', '*'].includes(name))) {
+      throw new Error(util.format('%s: "-" and "*" must be used alone in SET_%s: %s', location, partType,
+        names.join(LIST_DELIMITER)));
+    }
+    if(names.length) {
+      rule.replacementParts[partType] = names[0] === '*'? null: names[0] === '-'? []: names;
+    }
+  });
+  rule.useInferred = getYesNo(row, 'USE_INFERRED', location) !== 'N';
+  let relaxations = getList(row, 'RELAXATIONS');
+  rule.allowedRelaxations = !relaxations.length? null:
+    relaxations.length === 1 && relaxations[0].toUpperCase() === 'NONE'? []: relaxations;
+  let scoreBonus = getValue(row, 'SCORE_BONUS');
+  rule.scoreBonus = scoreBonus? Number(scoreBonus): 0;
+  if(! Number.isFinite(rule.scoreBonus)) {
+    throw new Error(util.format('%s: SCORE_BONUS must be a number: %s', location, scoreBonus));
+  }
+  rule.disabled = getYesNo(row, 'DISABLED', location) === 'Y';
+  return rule;
+}
+
+
+// The RULE_NUMs of the guiding rules must be unique
+function checkUniqueRuleNums(rules, source) {
+  let seen = new Set();
+  rules.forEach(rule => {
+    if(seen.has(rule.RULE_NUM)) {
+      throw new Error(util.format('%s: duplicate RULE_NUM %s', source, rule.RULE_NUM));
+    }
+    seen.add(rule.RULE_NUM);
+  });
+  return rules;
+}
+
+
+// [key, value] pairs to a hash, the keys must be unique
+function toHash(pairs, source) {
+  return pairs.reduce((acc, [key, value]) => {
+    if(acc.hasOwnProperty(key)) {
+      throw new Error(util.format('%s: duplicate entry for %s', source, key));
+    }
+    acc[key] = value;
+    return acc;
+  }, {});
+}
+
+
+// the cell value as a string, trimmed unless trim is false (e.g., the space connector)
+function getValue(row, column, trim = true) {
+  let value = isNEU(row[column])? '': row[column] + '';
+  return trim? value.trim(): value;
+}
+
+
+// Y, N, or empty string for the Y/N columns, e.g., DISABLED
+function getYesNo(row, column, location) {
+  let value = getValue(row, column).toUpperCase();
+  if(value && !['Y', 'N'].includes(value)) {
+    throw new Error(util.format('%s: %s must be Y, N, or empty: %s', location, column, value));
+  }
+  return value;
+}
+
+
+function getRequired(row, column, location) {
+  let value = getValue(row, column);
+  if(! value) {
+    throw new Error(util.format('%s: %s is required', location, column));
+  }
+  return value;
+}
+
+
+// the |-separated values (or a list in JSON) of the cell
+function getList(row, column) {
+  let values = Array.isArray(row[column])? row[column]: getValue(row, column).split(LIST_DELIMITER);
+  return values.map(value => isNEU(value)? '': (value + '').trim()).filter(value => value);
+}
+
+
+// The regex of the given source, by default a case-insensitive regular expression, or as created by toRegex
+function getRegex(source, column, location, toRegex = (src) => new RegExp(src, 'i')) {
+  try {
+    return toRegex(source);
+  }
+  catch(e) {
+    throw new Error(util.format('%s: invalid %s regular expression: %s', location, column, e.message));
+  }
+}
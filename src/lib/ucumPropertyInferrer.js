@@ -0,0 +1,85 @@
+
+// Inferring the LOINC PROPERTY implied by a unit from its UCUM dimensions (as parsed by ucum-lhc), rather than
+// looking it up in the unit-ucum-properties mapping, so that the units missing from the mapping can still be checked,
+// and the mapping can be cross-checked, see pcornetValidationMgr.inferScaleAndProperty().
+// A unit is mapped to a property by its dimension vector (only length, time, and mass may be used), the exponent of
+// mole (the substance), and whether it's an arbitrary unit (e.g., [IU]), see DIMENSION_PROPERTIES. The annotations
+// don't count for the dimension (like in ucum-lhc), except that:
+// - the arbitrary unit annotations, e.g., {Ehrlich'U}, make the unit arbitrary.
+// - the units with log annotations (e.g., {Log_copies}/mL), or annotations in the denominator (e.g., per entity
+//   10*6{cells}, or per body surface {1.73_m2}) imply no property since the dimension says little about them. The
+//   annotations of the other terms after a slash, e.g., ng/mL{FEU}, count as usual.
+// The units that are not valid UCUM units, the special (non-ratio) units, e.g., [pH], the osmoles, and the dimensions
+// not listed, e.g., the dimensionless units like %, imply no property either.
+
+const ucumUtil = require('@lhncbc/ucum-lhc').UcumLhcUtils.getInstance();
+
+// dim: the exponents of length, time, and mass; mole: the exponent of mole, default to 0; arbitrary and catalytic,
+// default to false. All must match for the property.
+const DIMENSION_PROPERTIES = [
+  {dim: [-3, 0, 1], property: 'MCnc', description: 'mass/volume'},
+  {dim: [-3, 0, 0], mole: 1, property: 'SCnc', description: 'substance/volume'},
+  {dim: [0, -1, 1], property: 'MRat', description: 'mass/time'},
+  {dim: [0, -1, 0], mole: 1, property: 'SRat', description: 'substance/time'},
+  {dim: [-3, 0, 0], property: 'NCnc', description: 'count/volume'},
+  {dim: [-3, 0, 0], arbitrary: true, property: 'ACnc', description: 'arbitrary/volume'},
+  {dim: [-3, -1, 0], mole: 1, catalytic: true, property: 'CCnc', description: 'catalytic activity/volume'},
+  {dim: [3, -1, 0], property: 'VRat', description: 'volume/time'}
+];
+const ARBITRARY_ANNOTATION = /\{[^}]*'U\}/; // e.g., {Ehrlich'U}, {GPL'U}
+// log annotations, or annotations that are themselves the denominator term (e.g., /{1.73_m2}, /10*6{cells}), but not
+// the annotations of a numerator term after a slash, e.g., ng/mL{FEU}
+const NO_PROPERTY_ANNOTATION = /\{[^}]*log|\/\{|\/[0-9*]+\{/i;
+
+let cache = {}; // unit string to the inferred property (or null)
+
+module.exports = {
+  DIMENSION_PROPERTIES,
+  inferUcumProperty,
+  isArbitraryUnit
+}
+
+
+/**
+ * Infer the LOINC property implied by the given unit from its UCUM dimensions, see the top of this file.
+ * @param unit the unit string, UCUM or not
+ * @return {property, description} where description is the dimension, e.g., "mass/volume", or null if the unit
+ *         implies no property.
+ */
+function inferUcumProperty(unit) {
+  if(! unit) return null;
+  if(! cache.hasOwnProperty(unit)) {
+    cache[unit] = getUcumProperty(unit + '');
+  }
+  return cache[unit];
+}
+
+
+function getUcumProperty(unit) {
+  if(NO_PROPERTY_ANNOTATION.test(unit) || ucumUtil.validateUnitString(unit).status !== 'valid') return null;
+  let parsed = ucumUtil.getSpecifiedUnit(unit, 'validate').unit;
+  let dimVec = parsed && parsed.dim_ && parsed.dim_.dimVec_;
+  if(! dimVec || parsed.cnv_ || /dissolved particles/.test(parsed.property_) || dimVec.slice(3).some(exp => exp !== 0)) {
+    return null;
+  }
+
+  let mole = parsed.moleExp_ || 0;
+  let arbitrary = isArbitraryUnit(unit, parsed);
+  let catalytic = parsed.property_ === 'catalytic activity';
+  let match = DIMENSION_PROPERTIES.find(entry => entry.dim.every((exp, i) => exp === dimVec[i]) &&
+    (entry.mole || 0) === mole && !!entry.arbitrary === arbitrary && !!entry.catalytic === catalytic);
+  return match? {property: match.property, description: match.description}: null;
+}
+
+
+/**
+ * Check if the given (valid UCUM) unit is an arbitrary unit, e.g., [IU]/L, or has an arbitrary unit annotation,
+ * e.g., {Ehrlich'U}/dL.
+ * @param unit the unit string
+ * @param parsed optional, the unit as parsed by ucum-lhc, parsed here if not given
+ * @return true if it's an arbitrary unit, false otherwise.
+ */
+function isArbitraryUnit(unit, parsed) {
+  parsed = parsed || ucumUtil.getSpecifiedUnit(unit, 'validate').unit;
+  return !!(parsed && parsed.isArbitrary_) || ARBITRARY_ANNOTATION.test(unit);
+}
@@ -0,0 +1,98 @@
+
+// Checking whether the units of a data row are commensurable with (i.e., can be converted to) the example units of
+// a candidate LOINC, using the ucum-lhc conversion, and getting the conversion factor so that the values can be
+// rescaled to the candidate's unit, see selectBestMatch() in altLoincSuggesterGen6.js. For example, mg/dL is
+// commensurable with g/L (factor 0.01), but not with mmol/L (mass vs. substance).
+// Some conversions fail in ucum-lhc even though the units measure the same thing:
+// - the arbitrary units, e.g., [IU]/L vs [IU]/mL, are not converted, so two arbitrary units that are not the same
+//   are of unknown commensurability.
+// - the special units, e.g., Cel vs [degF], are commensurable, but have no conversion factor since the conversion
+//   is not a scaling.
+// The units that are not valid UCUM units are of unknown commensurability.
+
+const ucumUtil = require('@lhncbc/ucum-lhc').UcumLhcUtils.getInstance();
+const {isArbitraryUnit} = require('./ucumPropertyInferrer');
+
+const COMMENSURABILITY = {yes: 'commensurable', no: 'incommensurable', unknown: 'unknown'};
+
+let cache = {}; // "<from-unit> -> <to-unit>" to the conversion of the unit pair, see getPairConversion()
+
+module.exports = {
+  COMMENSURABILITY,
+  getUnitConversion,
+  formatUnitConversion
+}
+
+
+/**
+ * Get the commensurability of the given (row) units with the given (example) units, and the conversion if they are
+ * commensurable. The row units are usually the different forms of the same unit (e.g., raw and UCUM), so it's
+ * commensurable if any pair of the row unit and example unit is, with the identity conversion (factor 1) preferred.
+ * @param units the units of the row, e.g., raw unit and UCUM units, see getAllPossibleUnits() in
+ *        altLoincSuggesterGen6.js
+ * @param exampleUnits the example units of the candidate LOINC, e.g., from EXAMPLE_UCUM_UNITS
+ * @return a hash with the following fields:
+ *         - commensurability: one of the COMMENSURABILITY values, unknown if either list is empty
+ *         - conversion: {from, to, factor} where a value in the "from" unit times factor is the value in the "to"
+ *           unit; factor is null for the special units. null if not commensurable.
+ */
+function getUnitConversion(units, exampleUnits) {
+  let conversions = [];
+  (units || []).forEach(from => (exampleUnits || []).forEach(to => conversions.push(getPairConversion(from, to))));
+  let commensurable = conversions.filter(c => c.commensurability === COMMENSURABILITY.yes);
+  if(commensurable.length) {
+    let best = commensurable.find(c => c.factor === 1) || commensurable.find(c => c.factor !== null) ||
+      commensurable[0];
+    return {commensurability: COMMENSURABILITY.yes, conversion: {from: best.from, to: best.to, factor: best.factor}};
+  }
+  let incommensurable = conversions.some(c => c.commensurability === COMMENSURABILITY.no);
+  return {commensurability: incommensurable? COMMENSURABILITY.no: COMMENSURABILITY.unknown, conversion: null};
+}
+
+
+/**
+ * Format the given conversion for the output, e.g., "1 mg/dL = 0.01 g/L".
+ * @param conversion the conversion, see getUnitConversion()
+ * @return the formatted conversion, or empty string if the conversion is null. For the special units (no factor),
+ *         e.g., "Cel -> [degF]".
+ */
+function formatUnitConversion(conversion) {
+  if(! conversion) return '';
+  return conversion.factor === null? conversion.from + ' -> ' + conversion.to:
+    '1 ' + conversion.from + ' = ' + conversion.factor + ' ' + conversion.to;
+}
+
+
+// Get the conversion {from, to, commensurability, factor} of the given unit pair, see the top of this file.
+function getPairConversion(from, to) {
+  let key = from + ' -> ' + to;
+  if(! cache.hasOwnProperty(key)) {
+    let conversion = {from, to, commensurability: COMMENSURABILITY.unknown, factor: null};
+    if(from === to) {
+      Object.assign(conversion, {commensurability: COMMENSURABILITY.yes, factor: 1});
+    }
+    else if(isValidUnit(from) && isValidUnit(to)) {
+      let result = ucumUtil.convertUnitTo(from, 1, to);
+      if(result.status === 'succeeded') {
+        // a scaling converts 0 to 0, the special units (e.g., Cel to [degF]) don't
+        let isScaling = ucumUtil.convertUnitTo(from, 0, to).toVal === 0;
+        Object.assign(conversion, {commensurability: COMMENSURABILITY.yes,
+          factor: isScaling? Number(result.toVal.toPrecision(12)): null}); // toPrecision() for the float noise
+      }
+      else if(! (isArbitraryUnit(from) && isArbitraryUnit(to))) {
+        conversion.commensurability = COMMENSURABILITY.no;
+      }
+    }
+    cache[key] = conversion;
+  }
+  return cache[key];
+}
+
+
+let validUnits = {}; // unit string to whether it's a valid UCUM unit
+function isValidUnit(unit) {
+  if(! validUnits.hasOwnProperty(unit)) {
+    validUnits[unit] = !!unit && ucumUtil.validateUnitString(unit).status === 'valid';
+  }
+  return validUnits[unit];
+}
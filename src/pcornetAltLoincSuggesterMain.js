@@ -16,39 +16,197 @@ TODO:
 - 5. what about the LOINC parts, should this be computed dynamically as opposed to using existing fields?
  */
 // notes on the need to download LOINC, or even using this software require acknowledge of LOINC license
-// future version may work on input/output CSV. performance limits with xlsx
+// input/output may also be CSV/TSV (see --format), which is much faster than xlsx for large files
 // notes on mamual_judgement, ROW_NUM, RAW_* does not necessarily need to be raw
 // specimen_source
 // manual_judgement, cm_judgement, inc)category ok if not exists in input file
 // audo include LOINC parts is necessary
 // non qn exclusion: we mainly deal with Qn, you could manually exclude by setting "non qn"
+const fs = require('fs');
+const path = require('path');
 const util = require('util');
-const { getXlsxSheetJson, delimitedToList, newFileNameFrom } = require('./lib/common');
-const { initAsyncGlobals, validateAndSuggest, updateResultsFile } = require('./altLoincSuggesterGen6');
+const {program} = require('commander');
+const { delimitedToList, newFileNameFrom } = require('./lib/common');
+const { getFileFormat, getDelimiter, readDataRows } = require('./lib/dataFileUtil');
+const { writeNdjson } = require('./lib/resultsNdjsonExporter');
+const { isFlagged, getReportEntry, writeHtmlReport } = require('./lib/htmlReportWriter');
+const { aggregateLabResults } = require('./lib/labResultAggregator');
+const { DEFAULT_TRIAGE_THRESHOLDS, parseTriageThresholds } = require('./lib/algoConfidence');
+const { INPUT_COLUMNS, getColumnProfile, loadColumnProfile } = require('./lib/columnProfile');
+const { OUTPUT_FIELDS, initAsyncGlobals, validateAndSuggest, validateAndSuggestStream, updateResultsFile, updateResultsDelimitedFile } =
+  require('./altLoincSuggesterGen6');
 
 function err_exit(...args) {
   console.error('\n%s', util.format(...args));
   process.exit(1);
 }
 
-let argv = process.argv.slice(2);
-if(argv.length < 3) {
-  err_exit('Usage: <output-dir> <combined-mapping-files-xlsx> <loinc-csv-file> <input-data-file-xlsx>');
+program
+  .usage('[options] <output-dir> <combined-mapping-files-xlsx> <loinc-csv-file> <input-data-file>')
+  .option('-f, --format <format>', 'format of the input (and output) data file: xlsx, csv, or tsv. ' +
+    'Default to the format by the input file extension')
+  .option('-s, --stream', 'process the (csv/tsv) input file in chunks of rows, for files too large to fit in memory')
+  .option('-c, --chunk-size <rows>', 'number of rows per chunk when streaming', (value) => parseInt(value), 5000)
+  .option('-a, --aggregate', 'the (csv/tsv) input file has the raw LAB_RESULT_CM rows, which are aggregated into ' +
+    'the distinct combinations of LAB_LOINC, RAW_LAB_NAME, RAW_UNIT, and SPECIMEN_SOURCE for validation')
+  .option('-k, --key-map', 'with --aggregate, also write the mapping from LAB_RESULT_CM_ID to the combination key')
+  .option('-j, --ndjson', 'also write the structured results, with full inference details, into an NDJSON file')
+  .option('-r, --html-report', 'also write a self-contained HTML report of the flagged rows for reviewing')
+  .option('-i, --loinc-index-cache', 'load the LOINC indexes from the cache (built if missing or out of date) for ' +
+    'faster startup, see --loinc-index-cache-file for the cache file')
+  .option('--loinc-index-cache-file <file>', 'the LOINC index cache file, implies --loinc-index-cache, default to ' +
+    '<loinc-csv-file>.index-cache.json')
+  .option('-m, --map-to <mapto-csv-file>', 'the LOINC MapTo.csv file, for replacing the DEPRECATED/DISCOURAGED ' +
+    'mapped-to LOINCs. Default to MapTo.csv next to <loinc-csv-file>, or in AccessoryFiles/MapTo/ of the LOINC release')
+  .option('--part-synonyms <csv-file>', 'the part synonym table (see src/generatePartSynonyms.js), whose accepted ' +
+    'groups are used in addition to the ones in data/loinc-part-synonyms.csv')
+  .option('--rule-tables <dir>', 'directory of the JSON/CSV rule tables (see src/lib/ruleTableLoader.js), which ' +
+    'take precedence over the rule table sheets in the combined mapping file')
+  .option('-t, --triage-thresholds <fix,correct>', 'the ALGO_CONFIDENCE thresholds of the triage: a FIXED row ' +
+    'at or above <fix> is a confident fix, a CORRECT_aj row at or above <correct> is confidently correct, ' +
+    'others need review. Default to ' + DEFAULT_TRIAGE_THRESHOLDS.fix + ',' + DEFAULT_TRIAGE_THRESHOLDS.correct)
+  .option('-p, --column-profile <json-file>', 'column mapping profile for input files with other column names, ' +
+    'see data/sample-column-profile.json')
+  .parse(process.argv);
+
+let argv = program.args;
+if(argv.length < 4) {
+  err_exit('Usage: %s', program.usage());
 }
 
 let [outputDir, combinedMappingRuleXlsx, loincFileCSV, pcornetFileName] = argv;
+let options = program.opts();
+let dataFormat;
+try {
+  dataFormat = getFileFormat(pcornetFileName, options.format);
+}
+catch(e) {
+  err_exit(e.message);
+}
+if(options.stream && dataFormat === 'xlsx') {
+  err_exit('Streaming (--stream) is only supported for csv/tsv input files.');
+}
+if(options.aggregate && (options.stream || dataFormat === 'xlsx')) {
+  err_exit('Aggregating (--aggregate) is only supported for csv/tsv input files, and not with --stream.');
+}
+if(options.keyMap && !options.aggregate) {
+  err_exit('The --key-map option is only for --aggregate.');
+}
+if(!(options.chunkSize > 0)) {
+  err_exit('Invalid chunk size: %s', options.chunkSize);
+}
+if(options.columnProfile && options.aggregate) {
+  err_exit('The --column-profile option is not supported with --aggregate (raw PCORnet LAB_RESULT_CM rows).');
+}
+let columnProfile = getColumnProfile();
+if(options.columnProfile) {
+  try {
+    columnProfile = loadColumnProfile(options.columnProfile, [...INPUT_COLUMNS, ...OUTPUT_FIELDS]);
+  }
+  catch(e) {
+    err_exit(e.message);
+  }
+}
+
+[options.mapTo, options.partSynonyms].filter(file => file && !fs.existsSync(file)).forEach(file => {
+  err_exit('The file %s does not exist.', file);
+});
+if(options.ruleTables && !(fs.existsSync(options.ruleTables) && fs.statSync(options.ruleTables).isDirectory())) {
+  err_exit('The rule tables directory %s does not exist.', options.ruleTables);
+}
+
+let triageThresholds;
+try {
+  triageThresholds = options.triageThresholds? parseTriageThresholds(options.triageThresholds): DEFAULT_TRIAGE_THRESHOLDS;
+}
+catch(e) {
+  err_exit(e.message);
+}
+
+let initOptions = {loincIndexCache: options.loincIndexCacheFile || !!options.loincIndexCache, mapToFile: options.mapTo,
+  partSynonymsFile: options.partSynonyms, ruleTablesDir: options.ruleTables, triageThresholds};
+let ndjsonFile = ! options.ndjson? null: newFileNameFrom(path.basename(pcornetFileName, path.extname(pcornetFileName)),
+  {dirname: outputDir, suffix: "results", ext: '.ndjson'});
+let htmlReportFile = ! options.htmlReport? null: newFileNameFrom(path.basename(pcornetFileName,
+  path.extname(pcornetFileName)), {dirname: outputDir, suffix: "report", ext: '.html'});
 
 (async () => {
-  let pcnRows = getXlsxSheetJson(pcornetFileName);
-  sanityCheck(pcnRows);
+  if(options.stream) {
+    await initGlobals();
+    let ext = path.extname(pcornetFileName) || '.' + dataFormat;
+    let outFile = newFileNameFrom(pcornetFileName, {dirname: outputDir, suffix: "results", ext});
+    let rowCount = await validateAndSuggestStream(pcornetFileName, outFile,
+      {delimiter: getDelimiter(dataFormat), chunkSize: options.chunkSize, ndjsonFile, htmlReportFile, columnProfile,
+       checkFirstChunk: (pcnRows, inputRows) => { checkColumnConflicts(inputRows); sanityCheck(pcnRows); }});
+    console.log('Processed %d rows, results written to %s', rowCount, outFile);
+    if(htmlReportFile) console.log('Review report written to %s', htmlReportFile);
+    return;
+  }
 
-  await initAsyncGlobals(outputDir, combinedMappingRuleXlsx, loincFileCSV);
-  pcnRows = validateAndSuggest(pcnRows);
+  let inputRows = options.aggregate? await aggregateInput(): await readDataRows(pcornetFileName, dataFormat);
+  checkColumnConflicts(inputRows);
+  // the rows with the standard column names (copies), the processing also changes some input fields, so keep
+  // the input rows as is for the output file.
+  let pcnRows = inputRows.map(row => columnProfile.toStandardRow(row));
+  sanityCheck(pcnRows);
 
-  let outFile = newFileNameFrom(pcornetFileName, {dirname: outputDir, suffix: "results", ext: '.xlsx'});
-  await updateResultsFile(pcnRows, pcornetFileName, outFile);
+  await initGlobals();
+  validateAndSuggest(pcnRows);
+  if(dataFormat === 'xlsx') {
+    let outFile = newFileNameFrom(pcornetFileName, {dirname: outputDir, suffix: "results", ext: '.xlsx'});
+    await updateResultsFile(pcnRows, pcornetFileName, outFile, columnProfile);
+  }
+  else {
+    let ext = path.extname(pcornetFileName) || '.' + dataFormat;
+    let outFile = newFileNameFrom(pcornetFileName, {dirname: outputDir, suffix: "results", ext});
+    await updateResultsDelimitedFile(pcnRows, inputRows, outFile, getDelimiter(dataFormat), columnProfile);
+  }
+  if(ndjsonFile) {
+    await writeNdjson(pcnRows, ndjsonFile);
+  }
+  if(htmlReportFile) {
+    await writeHtmlReport(pcnRows.filter(isFlagged).map(getReportEntry), htmlReportFile,
+      {sourceFile: path.basename(pcornetFileName)});
+    console.log('Review report written to %s', htmlReportFile);
+  }
 })();
 
+// Initialize the globals, exit with the error, e.g., an invalid rule table row, if failed.
+function initGlobals() {
+  return initAsyncGlobals(outputDir, combinedMappingRuleXlsx, loincFileCSV, initOptions)
+    .catch(e => err_exit('Initialization failed: %s', e.message || e));
+}
+
+/**
+ * Aggregate the raw LAB_RESULT_CM rows in the input file into the rows of distinct combinations, see
+ * lib/labResultAggregator.js for more details. The output fields are added (as empty) so that they are included
+ * in the results file.
+ * @return {Promise} resolves to the aggregated rows.
+ */
+async function aggregateInput() {
+  let delimiter = getDelimiter(dataFormat);
+  let keyMapFile = options.keyMap? newFileNameFrom(pcornetFileName,
+    {dirname: outputDir, suffix: "combo-keys", ext: path.extname(pcornetFileName) || '.' + dataFormat}): null;
+  let {rows, numRecords} = await aggregateLabResults(pcornetFileName, {delimiter, keyMapFile})
+    .catch(e => err_exit(e.message));
+  console.log('%d raw rows aggregated into %d combinations', numRecords, rows.length);
+  if(keyMapFile) {
+    console.log('The mapping from LAB_RESULT_CM_ID to COMBO_KEY written to %s', keyMapFile);
+  }
+  return rows.map(row => OUTPUT_FIELDS.reduce((acc, f) => { acc[f] = ''; return acc; }, row));
+}
+
+
+// Exit if a standard column in the input file is shadowed by another column mapped to it in the column profile
+function checkColumnConflicts(inputRows) {
+  let conflicts = columnProfile.getConflicts(Object.keys(inputRows[0] || {}));
+  if(conflicts.length) {
+    err_exit('The input file has the column(s) %s, which are also mapped from other columns in the column profile.',
+      conflicts.join(', '));
+  }
+}
+
+
 function sanityCheck(pcnRows) {
   let requiredInFields = ['LAB_LOINC', 'RAW_LAB_NAME', 'RAW_UNIT'];
   let optionalInFields = ['SPECIMEN_SOURCE', 'ROW_NUM', 'NUM_RECORDS', 'Inclusion category'];
@@ -59,7 +217,8 @@ function sanityCheck(pcnRows) {
     err_exit('NO data rows in the given input file.');
   }
   if(! requiredInFields.every(f => pcnRows[0].hasOwnProperty(f))) {
-    err_exit('#### ERROR: some of the fields %s are missing, they are all required.', requiredInFields);
+    err_exit('#### ERROR: some of the fields %s are missing, they are all required.',
+      requiredInFields.map(columnProfile.toLocal));
   }
 
   let missingOptInFields = optionalInFields.filter(f => !pcnRows[0].hasOwnProperty(f));
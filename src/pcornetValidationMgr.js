@@ -2,9 +2,11 @@
 // Helper module for parsing out/inferring LOINC parts from test name or unit, or other cues.
 
 const util = require('util');
-const {addPartSynonyms, getPartSynonyms} = require('./lib/loincPartSynonyms');
+const {getPartSynonyms} = require('./lib/loincPartSynonyms');
 const PartTypeList = require('./lib/loincUtils').PartTypeList;
-const {extractSpecimen, extractTime, getAdjustedComponentByModifier} = require('./lib/labNameParser');
+const {inferUcumProperty} = require('./lib/ucumPropertyInferrer');
+const {extractSpecimen, extractTime, extractComponent, getComponentAnalyte, getAdjustedComponentByModifier,
+  getLabName, getDefaultSpecimen} = require('./lib/labNameParser');
 const EX_UCUM = 'example ucum'; // field name
 
 // To be populated in getMgr();
@@ -18,36 +20,30 @@ function getMgr(loincTableUtil, unitToPropertiesMapper) {
 
   return {
     inferAndValidate,
+    inferDefaultSystem,
+    getNumDefaultDisagreements,
     partsCompatible,
-    getXformedRawUnit
+    getXformedRawUnit,
+    addAlgoMappingIssue
   }
 }
 
 /**
  * Test if the two given LOINC parts are compatible. Normally they must be strictly the same but
- * there are some special rules for the purpose of judging if a LOINC mapping is correct
+ * they may also be synonyms (see lib/loincPartSynonyms.js) for the purpose of judging if a LOINC mapping is correct
  * @param partType LOINC part type
  * @param p1 part name 1
  * @param p2 part name 2
- * @param row optional, the data raw, whose CLASS, and potentially other fields may be used.
+ * @param row optional, the data raw, whose CLASS is used for the synonym groups that apply to some classes only.
  */
 function partsCompatible(partType, p1, p2, row) {
-  let bothInList = (plist, p1, p2) => plist.includes(p1) && plist.includes(p2);
   let lnClass = row && row.CLASS || '';
 
   if( p1 === p2 || !p1 && !p2) return true;
   if(!p1 || !p2) return false;
 
-  if(partType === 'SCALE' && bothInList(['Qn', 'OrdQn'], p1, p2)) return true;
-  if(partType === 'SYSTEM') {
-    if(lnClass === 'UA' && bothInList(['Urine', 'Urine sed'], p1, p2)) return true;
-    if(lnClass === 'COAG' && bothInList(['PPP', 'Plas', 'Ser/Plas'], p1, p2)) return true;
-    if(bothInList(['Ser', 'Plas', 'Ser/Plas', 'Ser/Plas/Bld'], p1, p2)) return true;
-    if(bothInList(['Urine', 'Urine+Ser', 'Urine+Ser/Plas'], p1, p2)) return true;
-    if(bothInList(['CSF', 'Ser+CSF', 'Ser/Plas+CSF'], p1, p2)) return true;
-  }
-
-  let isCompatible = (getPartSynonyms(partType, p1) || []).includes(p2) || (getPartSynonyms(partType, p2) || []).includes(p1);
+  let isCompatible = (getPartSynonyms(partType, p1, lnClass) || []).includes(p2) ||
+    (getPartSynonyms(partType, p2, lnClass) || []).includes(p1);
 
   return isCompatible;
 }
@@ -56,17 +52,18 @@ function partsCompatible(partType, p1, p2, row) {
 
 /**
  * Run the unit-based validator to set initial validation status, then
- * parse out LOINC parts from raw name and/or raw unit and use as basis to further flag problematic mappings.
+ * parse out LOINC parts from (normalized) raw name and/or raw unit and use as basis to further flag problematic mappings.
  * @param row the pcornet data row
  * @param altUnits all (well, all we can do) unit forms (e.g., ucum) derived from the raw unit
  * @param rowNum 0-based row number, for troubleshooting only
  */
 function inferAndValidate(row, altUnits, rowNum) {
-  let propsOfUnits = altUnits.reduce((acc, unit) => {
-    getUnitProperties(unit).forEach(prop => acc[prop] = true);
+  let unitsOfProps = altUnits.reduce((acc, unit) => { // property to the units that imply it, for provenance
+    getUnitProperties(unit).forEach(prop => (acc[prop] = acc[prop] || []).push(unit));
     return acc;
   }, {});
-  propsOfUnits = Object.keys(propsOfUnits);
+  let propsOfUnits = Object.keys(unitsOfProps);
+  propsOfUnits.unitsOfProps = unitsOfProps;
 
   // setting algo-judgement based on certian manual judgement cateogries - OK if no manual judgement
   if(!row.ALGO_JUDGEMENT === 'NON_QN' && ! row.ALGO_JUDGEMENT.startsWith('WACKO')) {
@@ -85,7 +82,7 @@ function inferAndValidate(row, altUnits, rowNum) {
   if(row.SYSTEM === 'Urine' && props.includes('SRto') && !row.COMPONENT.endsWith('/Creatinine')) {
     let component = row.COMPONENT + '/Creatinine';
     if(theLoincTableUtil.hasLoincWithPart('COMPONENT', component)) {
-      addInferredLoincParts(row, 'COMPONENT', [component], 'inferred');
+      addInferredLoincParts(row, 'COMPONENT', [component], 'inferred', 'Urine with SRto property: /Creatinine component');
       addAlgoIssueAndJudgementIfPartsDisagree(row, 'COMPONENT', [component], 0.8);
       //console.log('#%sUsing constructed component: %s', row.ROW_NUM, component);
     }
@@ -94,6 +91,8 @@ function inferAndValidate(row, altUnits, rowNum) {
     }
   }
 
+  inferComponentByName(row); // after the other COMPONENT inferences, see the function
+
   combineInferredParts(row);
 }
 
@@ -109,7 +108,7 @@ function inferComponentByModifier(row) {
   let status = getAdjustedComponentByModifier(row);
   if(status.component) {
     if(theLoincTableUtil.hasLoincWithPart('COMPONENT', status.component)) {
-      addInferredLoincParts(row, 'COMPONENT', [status.component], 'inferred');
+      addInferredLoincParts(row, 'COMPONENT', [status.component], 'inferred', 'component modifier balance');
       addAlgoIssueAndJudgementIfPartsDisagree(row, 'COMPONENT', [status.component], 0.8);
     }
     else {
@@ -118,6 +117,38 @@ function inferComponentByModifier(row) {
   }
 }
 
+/**
+ * Infer COMPONENT (analyte) by parsing the raw name, see labNameParser.extractComponent().
+ * - If the parsed analyte agrees with the mapped-to component, ignoring the challenge, denominator, and modifiers
+ *   (see labNameParser.getComponentAnalyte()), which are checked by the other rules, the mapped-to component is
+ *   recorded as the parsed one, unless some COMPONENT has been inferred already, so that the rules won't replace it
+ *   and the lexical matching won't second-guess it. The modifiers are not ignored if the parsed analyte has any,
+ *   e.g., "Thyroxine.free" does not agree with "Thyroxine".
+ * - Otherwise, the parsed components are recorded and checked against the mapped-to component.
+ * IMPORTANT: like inferComponentByModifier(), only the components that exist in the LOINC table are used.
+ * @param row the pcornet data row
+ */
+function inferComponentByName(row) {
+  let extracted = extractComponent(row).filter(entry => theLoincTableUtil.hasLoincWithPart('COMPONENT', entry.value));
+  if(! extracted.length || ! row.COMPONENT) return;
+
+  let agreed = extracted.filter(entry => {
+    let keepModifiers = getComponentAnalyte(entry.value, true) !== getComponentAnalyte(entry.value);
+    return getComponentAnalyte(entry.value, keepModifiers) === getComponentAnalyte(row.COMPONENT, keepModifiers);
+  });
+  if(agreed.length) {
+    if(! row.inferred || ! row.inferred.COMPONENT) {
+      agreed.forEach(entry => addInferredLoincParts(row, 'COMPONENT', [row.COMPONENT], 'parsed',
+        getExtractorSource('extractComponent', entry)));
+    }
+    return;
+  }
+  extracted.forEach(entry =>
+    addInferredLoincParts(row, 'COMPONENT', [entry.value], 'parsed', getExtractorSource('extractComponent', entry)));
+  addAlgoIssueAndJudgementIfPartsDisagree(row, 'COMPONENT', extracted.map(entry => entry.value), 0.7);
+}
+
+
 /**
  * Infer SYSTEM (specimen) from the given record:
  * - parse out system/specimen from the raw name, and if still not found,
@@ -128,20 +159,66 @@ function inferComponentByModifier(row) {
 function inferLoincSystem(row) {
   let sysUpper = row.SYSTEM && row.SYSTEM.toUpperCase() || '';
 
-  let type='parsed';
-  let inferredSystem = extractSpecimen(row).map(entry => entry.value); // array of {type, pattern, value, regex}
-  if(! inferredSystem.length && sysUpper && sysUpper.startsWith('BLD') && sysUpper !== 'BLD' && row.CLASS === 'HEM/BC') {
-    type = 'inferred';
+  let extracted = extractSpecimen(row); // array of {type, pattern, value, regex}
+  let inferredSystem = extracted.map(entry => entry.value);
+  if(inferredSystem.length) {
+    extracted.forEach(entry =>
+      addInferredLoincParts(row, 'SYSTEM', [entry.value], 'parsed', getExtractorSource('extractSpecimen', entry)));
+  }
+  else if(sysUpper && sysUpper.startsWith('BLD') && sysUpper !== 'BLD' && row.CLASS === 'HEM/BC') {
     inferredSystem = ['Bld']; // TODO: flag type? Is it strong enough to flag a record wrong?
+    addInferredLoincParts(row, 'SYSTEM', inferredSystem, 'inferred', 'HEM/BC class with Bld* system');
   }
 
   if(inferredSystem.length) {
-    addInferredLoincParts(row, 'SYSTEM', inferredSystem, type);
     addAlgoIssueAndJudgementIfPartsDisagree(row, 'SYSTEM', inferredSystem, 0.6);
   }
 }
 
 
+/**
+ * Infer SYSTEM from the SPECIMEN_SOURCE, or if not available, the default specimen of the CLASS (see
+ * labNameParser.getDefaultSpecimen()), for a record without a specimen in the raw name. Such a specimen is a much
+ * weaker evidence than the parsed one, so it is used only when SYSTEM would be the sole disagreement, i.e., the
+ * record has no other mapping issues, and is recorded with the inference type "default".
+ * - the SPECIMEN_SOURCE is observed, so its disagreement is a (lower confidence) SYSTEM issue.
+ * - the class default is only a guess, e.g., Ser/Plas for CHEM would be wrong for the blood gases, so its
+ *   disagreement is recorded but the judgement is not changed; it lowers the confidence of the row instead, see
+ *   getNumDefaultDisagreements().
+ * Mapped-to system XXX is not challenged, see selectBestMatch() in altLoincSuggesterGen6.js for how it's handled.
+ * @param row the pcornet data row, after inferAndValidate() and the rules
+ * @return true if the SYSTEM is inferred from the SPECIMEN_SOURCE and disagrees with the mapped-to SYSTEM (i.e.,
+ *         a SYSTEM issue is added), false otherwise.
+ */
+function inferDefaultSystem(row) {
+  if(row.ALGO_MAPPING_ISSUES && row.ALGO_MAPPING_ISSUES.length || row.inferred && row.inferred.SYSTEM ||
+    ! row.SYSTEM || row.SYSTEM === 'XXX') {
+    return false;
+  }
+  let [system, source] = row.SPECIMEN_SOURCE? [row.SPECIMEN_SOURCE, 'SPECIMEN_SOURCE']:
+    [getDefaultSpecimen(row), 'default specimen for CLASS ' + row.CLASS];
+  if(! system || ! theLoincTableUtil.hasLoincWithPart('SYSTEM', system) || partsCompatible('SYSTEM', system, row.SYSTEM, row)) {
+    return false;
+  }
+  addInferredLoincParts(row, 'SYSTEM', [system], 'default', source);
+  combineInferredParts(row);
+  return row.SPECIMEN_SOURCE? addAlgoIssueAndJudgementIfPartsDisagree(row, 'SYSTEM', [system], 0.4): false;
+}
+
+
+/**
+ * Get the number of the mapped-to parts that disagree only with the class default parts, i.e., the default parts
+ * (see inferDefaultSystem()) that are not mapping issues, for lowering the confidence of a correct judgement.
+ * @param row the pcornet data row, after inferDefaultSystem()
+ * @return the number of such parts, 0 or 1 for now (SYSTEM)
+ */
+function getNumDefaultDisagreements(row) {
+  let system = row.inferred && row.inferred.SYSTEM;
+  return system && system.types.includes('default') && !(row.ALGO_MAPPING_ISSUES || []).includes('SYSTEM') &&
+    !partsCompatible('SYSTEM', system.names[0], row.SYSTEM, row)? 1: 0;
+}
+
+
 /**
  * Infer TIME from the record, in some cases the property can be "deduced", too.
  * - parse out time if unit contains "24 h" or similar time duration, accordingly,
@@ -154,7 +231,8 @@ function inferLoincTime(row) {
   let inferredProperty;
   let mappedToProp = row.PROPERTY || '';
 
-  let inferredTime = extractTime(row.RAW_UNIT, 'RAW_UNIT').map(entry => entry.value);
+  let extracted = extractTime(row.RAW_UNIT, 'RAW_UNIT');
+  let inferredTime = extracted.map(entry => entry.value);
   if(inferredTime.length) {
     // If time is duration (e.g., 24H) and property is *Cnc, it should be rate (*Rat)
     if(inferredTime[0].match(/^[0-9]+H$/) && mappedToProp.endsWith('Cnc')) { // also change property to *Rat (e.g., MRat)
@@ -162,7 +240,8 @@ function inferLoincTime(row) {
     }
   }
   else {
-    inferredTime = extractTime(row.RAW_LAB_NAME, 'RAW_LAB_NAME').map(entry => entry.value);
+    extracted = extractTime(getLabName(row), 'RAW_LAB_NAME');
+    inferredTime = extracted.map(entry => entry.value);
     if(inferredTime.length) {
       // If time is Pt, the property should be *Cnc if it were rate (*Rat)
       if (inferredTime[0] === 'Pt' && mappedToProp.endsWith('Rat')) { // also change property to *Rat (e.g., MRat)
@@ -172,11 +251,12 @@ function inferLoincTime(row) {
   }
 
   if(inferredTime && inferredTime.length) {
-    addInferredLoincParts(row, 'TIME', inferredTime, 'parsed');
+    extracted.forEach(entry =>
+      addInferredLoincParts(row, 'TIME', [entry.value], 'parsed', getExtractorSource('extractTime', entry)));
     addAlgoIssueAndJudgementIfPartsDisagree(row, 'TIME', inferredTime, 0.5);
   }
   if(inferredProperty) {
-    addInferredLoincParts(row, 'PROPERTY', inferredProperty, 'inferred');
+    addInferredLoincParts(row, 'PROPERTY', inferredProperty, 'inferred', 'TIME ' + inferredTime[0] + ' with ' + mappedToProp);
     addAlgoIssueAndJudgementIfPartsDisagree(row, 'PROPERTY', inferredProperty, 0.6);
   }
 }
@@ -185,7 +265,9 @@ function inferLoincTime(row) {
 /**
  * Here are the basic rules:
  * - the presence of raw unit indicates the scale is Qn (inferred scale)
- * - the properties implied by the raw unit (and its other mapped forms) are inferred properties.
+ * - the properties implied by the raw unit (and its other mapped forms) are inferred properties. If the
+ *   unit-ucum-properties mapping has no properties for the units, the properties implied by the UCUM dimensions of
+ *   the units (see lib/ucumPropertyInferrer.js) are used instead, see getUcumProperties().
  * See inferLoincParts() on params and other details.
  * @param row
  * @param altUnits
@@ -193,31 +275,67 @@ function inferLoincTime(row) {
  * @param rowNum
  */
 function inferScaleAndProperty(row, altUnits, unitProperties, rowNum) {
+  let unitsOfProps = unitProperties.unitsOfProps || {};
+  let propertySource = (prop) => 'unit-properties of ' + (unitsOfProps[prop] || []).join(', ');
+  let ucumProperties = getUcumProperties(row, altUnits); // also cross-checks the unit-properties
+  if(! unitProperties.length && ucumProperties.length) {
+    unitProperties = ucumProperties;
+    propertySource = (prop) => 'UCUM dimensions of ' + ucumProperties.unitsOfProps[prop].join(', ');
+  }
   // restrict unitProperties to the mapped-to class if unit is/contains "%"
   if(row.RAW_UNIT.indexOf('%') >= 0) {
+    propertySource = () => 'percent unit properties of class ' + row.CLASS;
     unitProperties = theLoincTableUtil.getPctUnitPropertiesByClass(row.CLASS);
     if(unitProperties.length) {
       //console.log('==== found property for percent by class %s: %s', row.CLASS, unitProperties);
     }
   }
   // Interpretation in name implies SCALE ['Nom', 'Nar', 'Ord', 'Doc'], PROPERTY=['Imp']
-  let isInterpretation = row.RAW_LAB_NAME.toUpperCase().indexOf('INTERPRETATION') >= 0;
+  let isInterpretation = getLabName(row).toUpperCase().indexOf('INTERPRETATION') >= 0;
 
   let scale = isInterpretation? ['Nom','Nar','Ord','Doc']: row.RAW_UNIT? ['Qn']: null;
   if(scale) {
     if(addAlgoIssueAndJudgementIfPartsDisagree(row, 'SCALE', scale, 1.0)) {
-      addInferredLoincParts(row, 'SCALE', scale, 'inferred'); // only add if there are issues to avoid too much noise
+      // only add if there are issues to avoid too much noise
+      addInferredLoincParts(row, 'SCALE', scale, 'inferred', isInterpretation? 'interpretation in name': 'raw unit present');
     }
   }
 
   let property = isInterpretation? ['Imp']: unitProperties.length? unitProperties: null;
   if(property) {
     if(addAlgoIssueAndJudgementIfPartsDisagree(row, 'PROPERTY', property, 0.6)) {
-      addInferredLoincParts(row, 'PROPERTY', property, 'inferred');  // only add if there are issues to avoid too much noise
+      // only add if there are issues to avoid too much noise
+      property.forEach(prop => addInferredLoincParts(row, 'PROPERTY', [prop], 'inferred',
+        isInterpretation? 'interpretation in name': propertySource(prop)));
     }
   }
 }
 
+/**
+ * Get the properties implied by the UCUM dimensions of the given units, see lib/ucumPropertyInferrer.js. The units
+ * whose dimension-implied property is not among the properties from the unit-ucum-properties mapping are recorded
+ * in row.property_conflicts, a list of {unit, mapped, ucum, dimension}, for reviewing the mapping.
+ * @param row the pcornet data row
+ * @param altUnits the raw unit and its other forms, e.g., UCUM
+ * @return the list of properties, with the field unitsOfProps, a hash from the property to the units implying it.
+ */
+function getUcumProperties(row, altUnits) {
+  let unitsOfProps = {};
+  altUnits.forEach(unit => {
+    let inferred = inferUcumProperty(unit);
+    if(! inferred) return;
+    let mapped = getUnitProperties(unit);
+    if(mapped.length && !mapped.includes(inferred.property)) {
+      (row.property_conflicts = row.property_conflicts || []).push(
+        {unit, mapped: mapped.slice(), ucum: inferred.property, dimension: inferred.description});
+    }
+    (unitsOfProps[inferred.property] = unitsOfProps[inferred.property] || []).push(unit);
+  });
+  let properties = Object.keys(unitsOfProps);
+  properties.unitsOfProps = unitsOfProps;
+  return properties;
+}
+
 /**
  * Extracting the key "HPF" or "LPF" in method or unit
  * @param unitOrMethod the given unit or method string
@@ -246,7 +364,7 @@ function inferWithHfpLpf(row, altUnits, unitProperties, rowNum) {
       addAlgoMappingIssue(row, [mappedXpf, rawXpf].join('-'), 1.0);
       row.ALGO_JUDGEMENT = 'INCORRECT_aj';
       if(methodXpf) {
-        addInferredLoincParts(row, 'METHOD', [row.METHOD.replace(mappedXpf, rawXpf)], 'inferred');
+        addInferredLoincParts(row, 'METHOD', [row.METHOD.replace(mappedXpf, rawXpf)], 'inferred', 'raw unit ' + rawXpf);
       }
     }
   }
@@ -267,11 +385,8 @@ function addAlgoIssueAndJudgementIfPartsDisagree(row, partType, inferredPartName
   if(!inferredPartNames.length || absenceOK && !row[partType]) {
     return false;
   }
-  let inferredWithSynonyms = inferredPartNames.slice();
-  addPartSynonyms(partType, inferredWithSynonyms)
-
   // issue of absence already addressed above
-  if(! row[partType] || ! inferredWithSynonyms.some(partName => partsCompatible(partType, partName, row[partType], row))) {
+  if(! row[partType] || ! inferredPartNames.some(partName => partsCompatible(partType, partName, row[partType], row))) {
     addAlgoMappingIssue(row, partType, confidence);
     row.ALGO_JUDGEMENT = 'INCORRECT_aj';
     return true;
@@ -283,12 +398,16 @@ function addAlgoIssueAndJudgementIfPartsDisagree(row, partType, inferredPartName
 /**
  * The purpose of this function is to make the ALGO_MAPPING_ISSUES consistent and making it easier
  * for future changes as needed.
+ * The confidence is kept in row.issue_confidences, a hash from the issue type to the confidence (the highest
+ * one if the same issue is added more than once), for structured output.
  * @param row the pcornet data row
  * @param type issue type, e.g., loinc part type or other issue, should be a "token" for potential parsing down the road
  * @param confidence confidence score that should be between 0.0 to 1.0
  */
 function addAlgoMappingIssue(row, type, confidence) {
   addRowUpdates(row, 'ALGO_MAPPING_ISSUES', [type]);
+  let confidences = row.issue_confidences = row.issue_confidences || {};
+  confidences[type] = Math.max(confidences[type] || 0, confidence);
 }
 
 
@@ -310,35 +429,51 @@ function addRowUpdates(row, fieldName, newValues, unique = true) {
 
 
 /**
- * Add to inferred LOINC parts, row.inferred, which is a hash from part type to a hash with two fields:
+ * Add to inferred LOINC parts, row.inferred, which is a hash from part type to a hash with three fields:
  * - names: part names list
- * - types: inferred, parsed, potentially others types. Type list corresponding to the names list.
- * Names are unique; adding names that already exists have no effect.
+ * - types: inferred, parsed, default (see inferDefaultSystem()), potentially others types. Type list corresponding
+ *          to the names list.
+ * - sources: where the part names came from, e.g., the extractor pattern or the unit, for reviewing the results.
+ *            Source list corresponding to the names list, empty string if not given.
+ * Names are unique; adding names that already exists have no effect, except that a new source is appended.
  * @param row the row to add to.
  * @param loincPart
  * @param newPartNames
  * @param inferType e.g., "inferred", "parsed"
+ * @param source optional, a short description of where the part names came from.
  */
-function addInferredLoincParts(row, loincPart, newPartNames, inferType) {
+function addInferredLoincParts(row, loincPart, newPartNames, inferType, source) {
   if(! PartTypeList.includes(loincPart) || !newPartNames.length) {
     throw new Error('addInferredLoincParts - invalid input:', [loincPart, newPartNames]); // should not happen
   }
   row.inferred = row.inferred || {};
-  row.inferred[loincPart] = row.inferred[loincPart] || {names:[], types:[]};
-  let {names, types} = row.inferred[loincPart];
+  row.inferred[loincPart] = row.inferred[loincPart] || {names:[], types:[], sources: []};
+  let {names, types, sources} = row.inferred[loincPart];
 
   newPartNames.forEach(partName => {
-    if(!names.includes(partName)) {
+    let index = names.indexOf(partName);
+    if(index < 0) {
       names.push(partName);
       types.push(inferType);
+      sources.push(source || '');
+    }
+    else if(source && !sources[index].split('; ').includes(source)) {
+      sources[index] = sources[index]? sources[index] + '; ' + source: source;
     }
   });
 }
 
 
+// The source description (see addInferredLoincParts()) for the given extractor result.
+function getExtractorSource(extractorFunc, entry) {
+  let pattern = entry.pattern? [].concat(entry.pattern).join('|'): entry.regex? entry.regex.toString(): '';
+  return util.format('%s%s: %s', extractorFunc, entry.selector? '(' + entry.selector + ')': '', pattern);
+}
+
+
 /**
  * Merge inferred LOINC parts of the same infer-type into one list and set as <type>_parts. Keeping the individual inferred
- * parts for other internal use. Inferred types: "inferred" and "parsed"
+ * parts for other internal use. Inferred types: "inferred", "parsed", and "default" (see inferDefaultSystem())
  * @param row
  */
 function combineInferredParts(row) {
@@ -371,7 +506,7 @@ function combineInferredParts(row) {
 function getXformedRawUnit(row) {
   let rawUnit = row.RAW_UNIT || '';
   if(rawUnit) { // there are other, earlier rules that directly changes RAW_UNIT
-    if(/\bIU\b/.test(rawUnit) && /.*ase\b/i.test(row.RAW_LAB_NAME)) { // fix IU unit and use it for ucum mapping
+    if(/\bIU\b/.test(rawUnit) && /.*ase\b/i.test(getLabName(row))) { // fix IU unit and use it for ucum mapping
       rawUnit = rawUnit.replace(/\bIU\b/, 'U');
     }
     else if(rawUnit.endsWith(' Cr')) {
@@ -397,18 +532,18 @@ function inferLoincPartsUAxPF(row) {
   if(row.CLASS === 'UA' && rawXpf &&
     (row.SCALE !== 'Qn' || row.PROPERTY !== 'Naric' || methodWrong)) {
     // {SYSTEM: ['Urine', 'Urine sed'], PROPERTY: ['Naric'], SCALE: ['Qn'], METHOD: ['Microscopy.light.' + rawXpf]};
-    addInferredLoincParts(row, 'SYSTEM', ['Urine', 'Urine sed'], 'inferred'); // just safeguard against Urine/Urine sed mismatch
+    addInferredLoincParts(row, 'SYSTEM', ['Urine', 'Urine sed'], 'inferred', 'UA with raw unit ' + rawXpf); // just safeguard against Urine/Urine sed mismatch
     if(row.SCALE !== 'Qn') {
-      addInferredLoincParts(row, 'SCALE', ['Qn'], 'inferred');
+      addInferredLoincParts(row, 'SCALE', ['Qn'], 'inferred', 'UA with raw unit ' + rawXpf);
       addAlgoIssueAndJudgementIfPartsDisagree(row, 'SCALE', ['Qn'], 0.5);
     }
     if(row.PROPERTY !== 'Naric') {
-      addInferredLoincParts(row, 'PROPERTY', ['Naric'], 'inferred');
+      addInferredLoincParts(row, 'PROPERTY', ['Naric'], 'inferred', 'UA with raw unit ' + rawXpf);
       addAlgoIssueAndJudgementIfPartsDisagree(row, 'PROPERTY', ['Naric'], 0.5);
     }
     if(methodWrong) {
       let method = ['Microscopy.light.' + rawXpf];
-      addInferredLoincParts(row, 'METHOD', method, 'inferred');
+      addInferredLoincParts(row, 'METHOD', method, 'inferred', 'UA with raw unit ' + rawXpf);
       addAlgoIssueAndJudgementIfPartsDisagree(row, 'METHOD', method, 0.5);
     }
   }
@@ -425,7 +560,7 @@ function inferLoincPartsUAxPF(row) {
  * @param row
  */
 function inferLoincPartsCDxAntibody(row) {
-  let nameMatch = row.RAW_LAB_NAME && row.RAW_LAB_NAME.match(/^CD([0-9]+) ANTIBODY$/i);
+  let nameMatch = getLabName(row) && getLabName(row).match(/^CD([0-9]+) ANTIBODY$/i);
   if(nameMatch && row.CLASS !== 'CELLMARK' &&
     row.SPECIMEN_SOURCE && row.SPECIMEN_SOURCE.toUpperCase() === 'BLD' &&
     row.RAW_UNIT && row.RAW_UNIT.indexOf('%') >= 0) {
@@ -435,7 +570,7 @@ function inferLoincPartsCDxAntibody(row) {
       CLASS: 'CELLMARK', PROPERTY: 'NFr', SCALE: 'Qn', TIME: 'Pt', SYSTEM: 'Bld'
     }).forEach(([partType, value]) => {
       if(row[partType] !== value) {
-        addInferredLoincParts(row, partType, [value], 'inferred');
+        addInferredLoincParts(row, partType, [value], 'inferred', 'CD<num> ANTIBODY name with % unit');
         addAlgoIssueAndJudgementIfPartsDisagree(row, partType, [value], 0.5);
       }
     });
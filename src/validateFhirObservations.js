@@ -0,0 +1,92 @@
+// Validate (and suggest corrections for) the LOINC codes in FHIR Observation resources, see
+// lib/fhirObservationAdapter.js for how the observations are turned into the rows (distinct combinations of
+// LOINC, raw name, unit, and specimen) that are validated the same way as the PCORnet rows.
+// The output is either the standard results table (csv/tsv), or the observations annotated with the results.
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const {program} = require('commander');
+const {newFileNameFrom} = require('./lib/common');
+const {getDelimiter} = require('./lib/dataFileUtil');
+const {writeNdjson} = require('./lib/resultsNdjsonExporter');
+const fhirAdapter = require('./lib/fhirObservationAdapter');
+const {OUTPUT_FIELDS, initAsyncGlobals, validateAndSuggest, updateResultsDelimitedFile} =
+  require('./altLoincSuggesterGen6');
+
+function err_exit(...args) {
+  console.error('\n%s', util.format(...args));
+  process.exit(1);
+}
+
+program
+  .usage('[options] <output-dir> <combined-mapping-files-xlsx> <loinc-csv-file> <fhir-input-file>')
+  .option('-o, --output <type>', 'output type: table (the standard results table) or fhir (the observations ' +
+    'annotated with the results, in the same format as the input file)', 'table')
+  .option('-f, --format <format>', 'format of the results table: csv or tsv', 'csv')
+  .option('--extension-url <url>', 'url of the extension for the annotated observations',
+    fhirAdapter.DEFAULT_EXTENSION_URL)
+  .option('--rule-tables <dir>', 'directory of the JSON/CSV rule tables (see src/lib/ruleTableLoader.js), which ' +
+    'take precedence over the rule table sheets in the combined mapping file')
+  .option('-j, --ndjson', 'also write the structured results, with full inference details, into an NDJSON file')
+  .parse(process.argv);
+
+if(program.args.length !== 4) {
+  err_exit('Usage: %s', program.usage());
+}
+let [outputDir, combinedMappingRuleXlsx, loincFileCSV, fhirFileName] = program.args;
+let options = program.opts();
+if(! ['table', 'fhir'].includes(options.output)) {
+  err_exit('Invalid output type: %s, must be table or fhir', options.output);
+}
+if(! ['csv', 'tsv'].includes(options.format)) {
+  err_exit('Invalid results table format: %s, must be csv or tsv', options.format);
+}
+if(options.ruleTables && !(fs.existsSync(options.ruleTables) && fs.statSync(options.ruleTables).isDirectory())) {
+  err_exit('The rule tables directory %s does not exist.', options.ruleTables);
+}
+
+(async () => {
+  let resources;
+  try {
+    resources = fhirAdapter.loadResources(fhirFileName);
+  }
+  catch(e) {
+    err_exit('Unable to load the FHIR resources from %s: %s', fhirFileName, e.message);
+  }
+  let {rows, obsRowIndex, numNoLoinc} = fhirAdapter.aggregateObservations(resources.observations, resources.specimenIndex);
+  console.log('%s observations loaded, %s without LOINC coding (skipped), %s distinct combinations to validate',
+    resources.observations.length, numNoLoinc, rows.length);
+  if(! rows.length) {
+    err_exit('No observations with LOINC coding found in %s', fhirFileName);
+  }
+
+  await initAsyncGlobals(outputDir, combinedMappingRuleXlsx, loincFileCSV, {ruleTablesDir: options.ruleTables})
+    .catch(e => err_exit('Initialization failed: %s', e.message || e));
+  // the processing changes some input fields, keep the rows as is for the output
+  let pcnRows = validateAndSuggest(rows.map(row => Object.assign({}, row)));
+
+  let baseName = path.basename(fhirFileName, path.extname(fhirFileName));
+  if(options.output === 'table') {
+    let ext = '.' + options.format;
+    let inputRows = rows.map(row => OUTPUT_FIELDS.reduce((acc, f) => { acc[f] = ''; return acc; }, row));
+    let outFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'results', ext});
+    await updateResultsDelimitedFile(pcnRows, inputRows, outFile, getDelimiter(options.format));
+    console.log('Results written to %s', outFile);
+  }
+  else {
+    resources.observations.forEach((obs, index) => {
+      if(obsRowIndex[index] >= 0) {
+        fhirAdapter.annotateObservation(obs, pcnRows[obsRowIndex[index]], options.extensionUrl);
+      }
+    });
+    let ext = resources.isNdjson? '.ndjson': '.json';
+    let outFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'annotated', ext});
+    fhirAdapter.writeResources(resources.topResources, resources.isNdjson, outFile);
+    console.log('Annotated observations written to %s', outFile);
+  }
+
+  if(options.ndjson) {
+    await writeNdjson(pcnRows, newFileNameFrom(baseName, {dirname: outputDir, suffix: 'results', ext: '.ndjson'}));
+  }
+})();
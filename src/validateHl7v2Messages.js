@@ -0,0 +1,90 @@
+// Validate (and suggest corrections for) the LOINC codes in OBX-3 of HL7 v2 ORU^R01 messages, see
+// lib/hl7v2OruParser.js for how the OBX segments are turned into the rows (distinct combinations of LOINC, name,
+// and unit) that are validated the same way as the PCORnet rows.
+// Two files are written: the standard results table, and a report of the OBX with non-LOINC coding systems.
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const {program} = require('commander');
+const {newFileNameFrom, writeCSV} = require('./lib/common');
+const {getDelimiter} = require('./lib/dataFileUtil');
+const {writeNdjson} = require('./lib/resultsNdjsonExporter');
+const hl7Parser = require('./lib/hl7v2OruParser');
+const {OUTPUT_FIELDS, initAsyncGlobals, validateAndSuggest, updateResultsDelimitedFile} =
+  require('./altLoincSuggesterGen6');
+
+function err_exit(...args) {
+  console.error('\n%s', util.format(...args));
+  process.exit(1);
+}
+
+program
+  .usage('[options] <output-dir> <combined-mapping-files-xlsx> <loinc-csv-file> <hl7-messages-file>')
+  .option('-f, --format <format>', 'format of the output files: csv or tsv', 'csv')
+  .option('--rule-tables <dir>', 'directory of the JSON/CSV rule tables (see src/lib/ruleTableLoader.js), which ' +
+    'take precedence over the rule table sheets in the combined mapping file')
+  .option('-j, --ndjson', 'also write the structured results, with full inference details, into an NDJSON file')
+  .parse(process.argv);
+
+if(program.args.length !== 4) {
+  err_exit('Usage: %s', program.usage());
+}
+let [outputDir, combinedMappingRuleXlsx, loincFileCSV, hl7FileName] = program.args;
+let options = program.opts();
+if(! ['csv', 'tsv'].includes(options.format)) {
+  err_exit('Invalid output format: %s, must be csv or tsv', options.format);
+}
+if(options.ruleTables && !(fs.existsSync(options.ruleTables) && fs.statSync(options.ruleTables).isDirectory())) {
+  err_exit('The rule tables directory %s does not exist.', options.ruleTables);
+}
+
+(async () => {
+  let records = [], numMessages = 0, numSkipped = 0;
+  try {
+    hl7Parser.splitMessages(fs.readFileSync(hl7FileName, 'utf8')).forEach(msgSegments => {
+      numMessages += 1;
+      let segments = hl7Parser.parseMessage(msgSegments);
+      let msgType = hl7Parser.getMessageType(segments);
+      if(msgType !== hl7Parser.ORU_R01) {
+        numSkipped += 1;
+        console.log('WARN: message #%d (control ID %s) skipped, the message type (MSH-9) is %s, not %s', numMessages,
+          segments[0].get(10) || '-', msgType || 'missing', hl7Parser.ORU_R01);
+        return;
+      }
+      records.push(...hl7Parser.extractObxRecords(segments));
+    });
+  }
+  catch(e) {
+    err_exit('Unable to read the HL7 messages from %s: %s', hl7FileName, e.message);
+  }
+  let {rows, nonLoincRows} = hl7Parser.aggregateObxRecords(records);
+  console.log('%s messages (%s skipped, not %s), %s OBX segments loaded, %s distinct LOINC combinations to ' +
+    'validate, %s distinct non-LOINC codes', numMessages, numSkipped, hl7Parser.ORU_R01, records.length, rows.length,
+    nonLoincRows.length);
+
+  let baseName = path.basename(hl7FileName, path.extname(hl7FileName));
+  let ext = '.' + options.format, delimiter = getDelimiter(options.format);
+  if(nonLoincRows.length) {
+    let nonLoincFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'non-loinc', ext});
+    await writeCSV(nonLoincRows, nonLoincFile, delimiter);
+    console.log('OBX codes with non-LOINC coding systems written to %s', nonLoincFile);
+  }
+  if(! rows.length) {
+    err_exit('No OBX with LOINC codes found in %s', hl7FileName);
+  }
+
+  await initAsyncGlobals(outputDir, combinedMappingRuleXlsx, loincFileCSV, {ruleTablesDir: options.ruleTables})
+    .catch(e => err_exit('Initialization failed: %s', e.message || e));
+  // the processing changes some input fields, keep the rows as is for the output
+  let pcnRows = validateAndSuggest(rows.map(row => Object.assign({}, row)));
+
+  let inputRows = rows.map(row => OUTPUT_FIELDS.reduce((acc, f) => { acc[f] = ''; return acc; }, row));
+  let outFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'results', ext});
+  await updateResultsDelimitedFile(pcnRows, inputRows, outFile, delimiter);
+  console.log('Results written to %s', outFile);
+
+  if(options.ndjson) {
+    await writeNdjson(pcnRows, newFileNameFrom(baseName, {dirname: outputDir, suffix: 'results', ext: '.ndjson'}));
+  }
+})();
@@ -0,0 +1,107 @@
+// Validate (and suggest corrections for) the LOINC concepts of the OMOP CDM MEASUREMENT records, see
+// lib/omopMeasurementAdapter.js for how the measurements are turned into the rows (distinct combinations of
+// measurement_concept_id, measurement_source_value, and unit_source_value) that are validated the same way as
+// the PCORnet rows. The following files are written:
+// - the results table, with the suggestions as both the LOINC codes (SGG_LOINC) and the concept_ids (SGG_CONCEPT_ID)
+// - the proposed source_to_concept_map rows for the corrected combinations
+// - the combinations with non-LOINC (or unmapped) concepts, if any.
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const {program} = require('commander');
+const {newFileNameFrom, writeCSV} = require('./lib/common');
+const {getDelimiter} = require('./lib/dataFileUtil');
+const {writeNdjson} = require('./lib/resultsNdjsonExporter');
+const omopAdapter = require('./lib/omopMeasurementAdapter');
+const {OUTPUT_FIELDS, initAsyncGlobals, validateAndSuggest, updateResultsDelimitedFile} =
+  require('./altLoincSuggesterGen6');
+
+function err_exit(...args) {
+  console.error('\n%s', util.format(...args));
+  process.exit(1);
+}
+
+program
+  .usage('[options] <output-dir> <combined-mapping-files-xlsx> <loinc-csv-file> <omop-concept-csv> <measurement-file>')
+  .option('-f, --format <format>', 'format of the output files: csv or tsv', 'csv')
+  .option('--count-column <column>', 'the record count column, if the measurement extract is already aggregated')
+  .option('--source-vocabulary <id>', 'the source_vocabulary_id for the proposed source_to_concept_map', 'LOCAL')
+  .option('--rule-tables <dir>', 'directory of the JSON/CSV rule tables (see src/lib/ruleTableLoader.js), which ' +
+    'take precedence over the rule table sheets in the combined mapping file')
+  .option('-j, --ndjson', 'also write the structured results, with full inference details, into an NDJSON file')
+  .parse(process.argv);
+
+if(program.args.length !== 5) {
+  err_exit('Usage: %s', program.usage());
+}
+let [outputDir, combinedMappingRuleXlsx, loincFileCSV, conceptFile, measurementFile] = program.args;
+let options = program.opts();
+if(! ['csv', 'tsv'].includes(options.format)) {
+  err_exit('Invalid output format: %s, must be csv or tsv', options.format);
+}
+if(options.ruleTables && !(fs.existsSync(options.ruleTables) && fs.statSync(options.ruleTables).isDirectory())) {
+  err_exit('The rule tables directory %s does not exist.', options.ruleTables);
+}
+
+(async () => {
+  let concepts, aggregated;
+  try {
+    concepts = await omopAdapter.loadLoincConcepts(conceptFile);
+    console.log('%s LOINC concepts loaded from %s', Object.keys(concepts.idToConcept).length, conceptFile);
+    let countColumn = options.countColumn && options.countColumn.toLowerCase();
+    aggregated = await omopAdapter.aggregateMeasurements(measurementFile, concepts, countColumn);
+  }
+  catch(e) {
+    err_exit(e.message);
+  }
+  let {rows, nonLoincRows, numRecords} = aggregated;
+  console.log('%s measurement records loaded, %s distinct LOINC combinations to validate, ' +
+    '%s distinct non-LOINC combinations', numRecords, rows.length, nonLoincRows.length);
+
+  let baseName = path.basename(measurementFile, path.extname(measurementFile));
+  let ext = '.' + options.format, delimiter = getDelimiter(options.format);
+  if(nonLoincRows.length) {
+    let nonLoincFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'non-loinc', ext});
+    await writeCSV(nonLoincRows, nonLoincFile, delimiter);
+    console.log('Combinations with non-LOINC concepts written to %s', nonLoincFile);
+  }
+  if(! rows.length) {
+    err_exit('No measurements with LOINC concepts found in %s', measurementFile);
+  }
+
+  await initAsyncGlobals(outputDir, combinedMappingRuleXlsx, loincFileCSV, {ruleTablesDir: options.ruleTables})
+    .catch(e => err_exit('Initialization failed: %s', e.message || e));
+  // the processing changes some input fields, keep the rows as is for the output
+  let pcnRows = validateAndSuggest(rows.map(row => Object.assign({}, row)));
+  omopAdapter.addSuggestedConceptIds(pcnRows, concepts);
+
+  // SGG_CONCEPT_ID (next to SGG_LOINC) is not a standard output field, so it's passed through as an input field.
+  let outputFields = OUTPUT_FIELDS.slice();
+  outputFields.splice(OUTPUT_FIELDS.indexOf('SGG_LOINC') + 1, 0, 'SGG_CONCEPT_ID');
+  let inputRows = rows.map((row, index) => outputFields.reduce((acc, f) => {
+    acc[f] = f === 'SGG_CONCEPT_ID'? pcnRows[index].SGG_CONCEPT_ID: '';
+    return acc;
+  }, row));
+  let outFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'results', ext});
+  await updateResultsDelimitedFile(pcnRows, inputRows, outFile, delimiter);
+  console.log('Results written to %s', outFile);
+
+  let stcm = omopAdapter.getSourceToConceptMapRows(pcnRows, options.sourceVocabulary);
+  if(stcm.rows.length) {
+    let stcmFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'source-to-concept-map', ext});
+    await writeCSV(stcm.rows, stcmFile, delimiter);
+    console.log('Proposed source_to_concept_map rows written to %s', stcmFile);
+  }
+  if(stcm.conflicts.length) {
+    let conflictFile = newFileNameFrom(baseName, {dirname: outputDir, suffix: 'source-to-concept-map-conflicts', ext});
+    await writeCSV(stcm.conflicts, conflictFile, delimiter);
+    console.log('WARN: %s source values not proposed for source_to_concept_map, their combinations are not all ' +
+      'mapped to the same concept after the corrections, written to %s',
+      new Set(stcm.conflicts.map(row => row.source_code)).size, conflictFile);
+  }
+
+  if(options.ndjson) {
+    await writeNdjson(pcnRows, newFileNameFrom(baseName, {dirname: outputDir, suffix: 'results', ext: '.ndjson'}));
+  }
+})();